@@ -0,0 +1,231 @@
+// artworkfields.js
+
+/* Parses the "key: value" lines of an artwork post against a per-site field schema.
+
+ The schema is stored in KV under `json:fields` (resources/fields.json), or `json:fields:<hostname>`
+ for a single site, and looks like:
+ {
+   "fields": [
+     { "key": "title", "synonyms": ["title", "titel"], "label": { "en": "Title", "nl": "Titel" } },
+     { "key": "dimensions", "synonyms": ["size"], "type": "dimensions", "unit": "cm", "order": "hwd" },
+     { "key": "price", "synonyms": ["price", "prijs"], "label": "Price", "type": "price", "currency": "EUR", "hidden": true }
+   ]
+ }
+
+ The order of the `fields` array is the render order of the object card.
+ Hidden fields are still parsed (and available to other code) but not rendered.
+ The optional `type` ("date", "dimensions", "price") enables typed parsing, see fieldtypes.js.
+*/
+
+import { getCachedKV } from './helpers.js';
+import { parseTypedValue } from './fieldtypes.js';
+
+/**
+ * Built-in schema, used when a site has no `json:fields` entry in KV (or it cannot be parsed).
+ * It matches the synonyms that used to be hard-coded in `handlePostPage`.
+ */
+export const DEFAULT_FIELD_SCHEMA = {
+  fields: [
+    { key: 'title', synonyms: ['title', 'name', 'titel', 'naam'], label: { en: 'Title', nl: 'Titel' } },
+    { key: 'artist', synonyms: ['artist', 'creator', 'artiest'], label: { en: 'Artist', nl: 'Kunstenaar' } },
+    { key: 'medium', synonyms: ['medium'], label: { en: 'Medium', nl: 'Medium' } },
+    { key: 'date', synonyms: ['date', 'datum'], label: { en: 'Date', nl: 'Datum' }, type: 'date' },
+    { key: 'year', synonyms: ['year', 'jaar'], label: { en: 'Year', nl: 'Jaar' }, type: 'date' },
+    { key: 'period', synonyms: ['period', 'periode'], label: { en: 'Period', nl: 'Periode' }, type: 'date' },
+    { key: 'series', synonyms: ['series', 'serie'], label: { en: 'Series', nl: 'Serie' } }
+  ]
+};
+
+const prettify = s => s.charAt(0).toUpperCase() + s.slice(1);
+const escapeRegExp = s => s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * Normalizes a raw schema object into a predictable shape and pre-compiles the synonym patterns.
+ * Entries without a `key` are dropped; the key itself is always accepted as a synonym.
+ *
+ * @param {object} raw The schema as stored in KV.
+ * @returns {{fields: Array<{key: string, synonyms: string[], label: (string|object|null), hidden: boolean, type: string, patterns: RegExp[]}>}}
+ */
+export function normalizeFieldSchema(raw) {
+  const list = Array.isArray(raw?.fields) ? raw.fields : [];
+  const fields = [];
+
+  for (const entry of list) {
+    if (!entry || typeof entry.key !== 'string' || !entry.key.trim()) continue;
+    const key = entry.key.trim();
+    const synonyms = [...new Set([key, ...(Array.isArray(entry.synonyms) ? entry.synonyms : [])]
+      .map(s => String(s).trim())
+      .filter(Boolean))];
+
+    fields.push({
+      key,
+      synonyms,
+      label: entry.label ?? null,
+      hidden: entry.hidden === true,
+      type: typeof entry.type === 'string' ? entry.type : 'text',
+      unit: entry.unit,
+      order: entry.order,
+      currency: entry.currency,
+      // Accept both ASCII and full-width separators (e.g. "技法：油彩").
+      patterns: synonyms.map(s => new RegExp(`^${escapeRegExp(s)}\\s*[:=：]\\s*(.*)$`, 'i'))
+    });
+  }
+
+  return { fields };
+}
+
+const NORMALIZED_DEFAULT = normalizeFieldSchema(DEFAULT_FIELD_SCHEMA);
+
+/**
+ * Loads the site's field schema from KV, falling back to the default schema.
+ * A hostname specific entry (`json:fields:<hostname>`) takes precedence over the shared `json:fields`.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} [hostname] The hostname of the site being served.
+ * @returns {Promise<object>} The normalized field schema.
+ */
+export async function loadFieldSchema(env, hostname = '') {
+  try {
+    const raw = (hostname && await getCachedKV(env, `json:fields:${hostname}`)) ||
+      await getCachedKV(env, 'json:fields');
+    if (!raw) return NORMALIZED_DEFAULT;
+    const schema = normalizeFieldSchema(JSON.parse(raw));
+    return schema.fields.length > 0 ? schema : NORMALIZED_DEFAULT;
+  } catch (error) {
+    console.error(`Invalid field schema in KV: ${error.message}`);
+    return NORMALIZED_DEFAULT;
+  }
+}
+
+/**
+ * Returns the display label of a field for the given page language.
+ * `label` may be a plain string or an object keyed by language ("nl", "ja", "en-GB", ...).
+ *
+ * @param {object} schema The normalized field schema.
+ * @param {string} key The canonical field key.
+ * @param {string} [lang] The page language, e.g. "nl" or "ja-JP".
+ * @returns {string} The label, or the prettified key when none is configured.
+ */
+export function fieldLabel(schema, key, lang = '') {
+  const field = schema.fields.find(f => f.key === key);
+  const label = field?.label;
+
+  if (typeof label === 'string' && label) return label;
+  if (label && typeof label === 'object') {
+    const full = (lang || '').toLowerCase();
+    const base = full.split('-')[0];
+    const match = Object.keys(label).find(k => k.toLowerCase() === full) ||
+      Object.keys(label).find(k => k.toLowerCase() === base);
+    if (match) return label[match];
+    if (label.en) return label.en;
+  }
+  return prettify(key);
+}
+
+/**
+ * Splits the inner HTML of a Blogger post body into clean text lines.
+ *
+ * @param {string} bodyHTML The inner HTML of `div.post-body`.
+ * @returns {{cleanHTML: string, lines: string[]}} The normalized text and its non-empty lines.
+ */
+export function splitBodyLines(bodyHTML) {
+  // Step 1: Normalize HTML into clean lines
+  const cleanHTML = (bodyHTML || '')
+    .replace(/\r\n|\r/g, '\n') // Normalize CRLF to LF
+    .replace(/<div[^>]*>/gi, '¶') // Replace opening <div> with pilcrow
+    .replace(/<\/div>/gi, '¶') // Replace closing </div> with pilcrow
+    .replace(/<br\s*\/?>/gi, '¶') // Replace <br> with pilcrow
+    .replace(/&nbsp;(?=\s*[:=])/gi, ' ') // Replace nbsp before : or = with space
+    .replace(/(?<=[:=]\s*)&nbsp;/gi, '') // Remove nbsp after :
+    .replace(/^(&nbsp;)+|(&nbsp;)+$/gi, '') // Trim leading/trailing nbsp
+    .replace(/<[^>]+>/g, '') // Strip all other tags
+    .replace(/[ \t]+/g, ' ') // Normalize spacing
+    .replace(/¶+/g, '¶') // Collapse multiple pilcrows
+    .replace(/^\s*¶|¶\s*$/g, ''); // Trim leading/trailing pilcrows
+
+  const lines = cleanHTML
+    .split('¶')
+    .map(line => line.trim())
+    .filter(Boolean); // Remove empty lines
+
+  return { cleanHTML, lines };
+}
+
+/**
+ * Parses the structured lines of a post body using the field schema.
+ * Lines that do not match any synonym are returned as leftover (notes) lines.
+ * Fields with a `type` also get a typed value in `typed` (see fieldtypes.js).
+ *
+ * @param {string} bodyHTML The inner HTML of `div.post-body`.
+ * @param {object} schema The normalized field schema.
+ * @param {object} [overrides={}] Request level overrides passed on to `parseTypedValue`, e.g. `{ unit: 'in' }`.
+ * @returns {{parsed: Object<string, string>, typed: Object<string, object>, parsedRawKeys: Object<string, string>, leftoverLines: string[], cleanHTML: string}}
+ */
+export function parseArtworkFields(bodyHTML, schema = NORMALIZED_DEFAULT, overrides = {}) {
+  const { cleanHTML, lines } = splitBodyLines(bodyHTML);
+  const parsed = {};
+  const typed = {};
+  const parsedRawKeys = {};
+  const leftoverLines = [];
+
+  // Step 2: Parse structured lines using synonyms
+  for (const line of lines) {
+    let matched = false;
+
+    for (const field of schema.fields) {
+      for (const [index, pattern] of field.patterns.entries()) {
+        const fieldMatch = line.match(pattern);
+
+        if (fieldMatch && fieldMatch[1] !== undefined) {
+          parsed[field.key] = fieldMatch[1].trim();
+          const typedValue = parseTypedValue(field, parsed[field.key], overrides);
+          if (typedValue) typed[field.key] = typedValue;
+          parsedRawKeys[field.key] = field.synonyms[index];
+          matched = true;
+          break;
+        }
+      }
+      if (matched) break;
+    }
+
+    if (!matched) {
+      leftoverLines.push(line);
+    }
+  }
+
+  return { parsed, typed, parsedRawKeys, leftoverLines, cleanHTML };
+}
+
+/**
+ * Converts a Blogger JSON feed entry into a normalized artwork object with parsed fields.
+ *
+ * @param {object} entry A `feed.entry[]` item from `/feeds/posts/default?alt=json`.
+ * @param {object} [schema] The normalized field schema.
+ * @returns {{id: string, title: string, url: string, path: string, published: string, updated: string, labels: string[], imageUrl: (string|null), fields: Object<string, string>, typed: Object<string, object>, notes: string[]}}
+ */
+export function artworkFromFeedEntry(entry, schema = NORMALIZED_DEFAULT) {
+  const content = entry.content?.$t || entry.summary?.$t || '';
+  const url = entry.link?.find(l => l.rel === 'alternate')?.href || '';
+  const { parsed, typed, leftoverLines } = parseArtworkFields(content, schema);
+  const title = (entry.title?.$t || '').trim();
+
+  // Prefer the full image in the post body; the feed thumbnail is a small square crop.
+  const bodyImage = content.match(/<img[^>]+src=["']([^"']+)["']/i)?.[1];
+  const thumbnail = entry.media$thumbnail?.url?.replace(/\/s\d+-c\//, '/s0/');
+
+  if (!parsed.title && title) parsed.title = title;
+
+  return {
+    id: (entry.id?.$t || '').replace(/^.*post-/, ''),
+    title: title || parsed.title || '',
+    url,
+    path: url.replace(/^https?:\/\/[^/]+/, ''),
+    published: entry.published?.$t || '',
+    updated: entry.updated?.$t || '',
+    labels: (entry.category || []).map(c => c.term),
+    imageUrl: bodyImage || thumbnail || null,
+    fields: parsed,
+    typed,
+    notes: leftoverLines
+  };
+}
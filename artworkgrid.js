@@ -0,0 +1,92 @@
+// artworkgrid.js
+
+/* Server-side rendering of artwork thumbnail grids and numbered pagination,
+ shared by the label, search and browse pages.
+*/
+
+import { escapeHtml, resizeImage } from './helpers.js';
+import { stripTemplateTags } from './templatehelper.js';
+
+/**
+ * Renders a single artwork tile.
+ *
+ * @param {object} artwork A normalized artwork (see `artworkFromFeedEntry`).
+ * @param {object} [options={}]
+ * @param {string} [options.imageSize='s400'] The Blogger image size of the thumbnail.
+ * @returns {string} The tile HTML.
+ */
+export function renderArtworkTile(artwork, options = {}) {
+  const { imageSize = 's400' } = options;
+  const title = escapeHtml(stripTemplateTags(artwork.title || artwork.fields?.title || ''));
+  const year = artwork.fields?.year || artwork.fields?.date || '';
+  const image = artwork.imageUrl
+    ? `<img src="${escapeHtml(resizeImage(artwork.imageUrl, imageSize))}" alt="${title}" loading="lazy">`
+    : '';
+
+  return `<li class="artwork-tile">
+  <a href="${escapeHtml(artwork.path || artwork.url)}">
+    <div class="artwork-thumb">${image}</div>
+    <span class="artwork-title">${title}</span>${year ? `\n    <span class="artwork-year">${escapeHtml(year)}</span>` : ''}
+  </a>
+</li>`;
+}
+
+/**
+ * Renders a grid of artwork tiles.
+ *
+ * @param {object[]} artworks The artworks to render.
+ * @param {object} [options={}] Passed on to `renderArtworkTile`; `className` adds classes to the list.
+ * @returns {string} The grid HTML, or an empty string when there are no artworks.
+ */
+export function renderArtworkGrid(artworks, options = {}) {
+  if (!artworks || artworks.length === 0) return '';
+  const className = options.className ? ` ${options.className}` : '';
+  return `<ul class="artwork-grid${className}">\n${artworks.map(a => renderArtworkTile(a, options)).join('\n')}\n</ul>`;
+}
+
+/**
+ * Renders numbered pagination with previous/next links.
+ * Page links keep the other query parameters of `baseUrl` and set `?page=n`.
+ *
+ * @param {URL} baseUrl The URL of the current page.
+ * @param {number} page The current page (1-based).
+ * @param {number} totalPages The number of pages.
+ * @param {object} [labels] Link texts, e.g. `{ previous: 'Vorige', next: 'Volgende' }`.
+ * @returns {string} The pagination HTML, or an empty string for a single page.
+ */
+export function renderPagination(baseUrl, page, totalPages, labels = {}) {
+  if (totalPages <= 1) return '';
+  const { previous = 'Previous', next = 'Next' } = labels;
+
+  const pageHref = n => {
+    const target = new URL(baseUrl);
+    if (n === 1) target.searchParams.delete('page');
+    else target.searchParams.set('page', String(n));
+    return escapeHtml(target.pathname + target.search);
+  };
+
+  // Show the first and last page, and two pages around the current one.
+  const numbers = [];
+  for (let n = 1; n <= totalPages; n++) {
+    if (n === 1 || n === totalPages || Math.abs(n - page) <= 2) {
+      numbers.push(n);
+    } else if (numbers[numbers.length - 1] !== '…') {
+      numbers.push('…');
+    }
+  }
+
+  const items = numbers.map(n => {
+    if (n === '…') return `<span class="page-gap">…</span>`;
+    if (n === page) return `<span class="page-number current" aria-current="page">${n}</span>`;
+    return `<a class="page-number" href="${pageHref(n)}">${n}</a>`;
+  });
+
+  const prevLink = page > 1
+    ? `<a class="page-previous" rel="prev" href="${pageHref(page - 1)}">${escapeHtml(previous)}</a>`
+    : '';
+  const nextLink = page < totalPages
+    ? `<a class="page-next" rel="next" href="${pageHref(page + 1)}">${escapeHtml(next)}</a>`
+    : '';
+
+  return `<nav class="pagination" aria-label="Pagination">${prevLink}${items.join('')}${nextLink}</nav>`;
+}
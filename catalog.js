@@ -0,0 +1,323 @@
+// catalog.js
+
+/* The merged artwork catalog: every post of the blog as a normalized artwork (see artworkfields.js).
+
+ Blogger caps a feed request at a limited number of entries, so the catalog is built by walking
+ the posts feed with `start-index`/`max-results`, and stored in KV under `json:catalog:<hostname>`:
+ {
+   "version": 1,              catalog format, a mismatch forces a full rebuild
+   "stamp": "...",            changes whenever the content changes (use it in derived cache keys)
+   "builtAt": 0,              last full build (ms)
+   "refreshedAt": 0,          last incremental refresh (ms)
+   "latestUpdate": "...",     newest `updated` timestamp seen, used as `updated-min`
+   "site": {...},             blog id, title and description from the feed, for routes that don't request a page
+   "artworks": [...]
+ }
+
+ When the catalog is older than its TTL only changed posts are fetched (`updated-min`);
+ a full rebuild runs once per `fullRefreshSeconds` to drop deleted posts. Both run in the background
+ (`ctx.waitUntil`) while requests keep using the outdated catalog. A lock (`lock:catalog:<hostname>`)
+ keeps other requests from crawling the same blog meanwhile. A refresh that finds no changes stores only
+ its time, under `json:catalog-refreshed:<hostname>` as `{ "stamp": "...", "refreshedAt": 0 }`.
+ Debug requests rebuild the catalog, once per request.
+*/
+
+import { cacheHelper } from './helpers.js';
+import { loadFieldSchema, artworkFromFeedEntry } from './artworkfields.js';
+
+export const CATALOG_VERSION = 1;
+
+const FEED_PAGE_SIZE = 150;   // Blogger's maximum for max-results
+const MAX_FEED_PAGES = 40;    // Safety limit: 6000 posts
+const UPDATE_LOCK_SECONDS = 120; // An update that takes longer (or fails) no longer blocks the next one
+
+// Parsed catalogs per hostname, so the KV value is not parsed on every request in this isolate.
+const catalogMemo = new Map();
+
+// Catalog updates in progress, per request (keyed by its ExecutionContext) and hostname.
+// Requests cannot share one: the I/O of a promise belongs to the request that started it.
+const catalogUpdates = new WeakMap();
+
+// Start times of the catalog updates of this isolate per hostname; KV holds them for the other isolates
+const updateLocks = new Map();
+
+// Catalogs rebuilt for debug requests, per request (keyed by its ExecutionContext) and hostname
+const debugBuilds = new WeakMap();
+
+/**
+ * Reads the blog id, title and description from a feed.
+ *
+ * @param {object} feed The `feed` object of a Blogger JSON feed.
+ * @returns {{blogId: (string|null), title: string, description: string}}
+ */
+export function siteFromFeed(feed) {
+  return {
+    blogId: feed?.id?.$t?.match(/blog-(\d+)/)?.[1] || null,
+    title: feed?.title?.$t || '',
+    description: feed?.subtitle?.$t || ''
+  };
+}
+
+/**
+ * Fetches all entries of the posts feed, following `start-index` pagination.
+ *
+ * @param {string} hostname The blog hostname.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {object} [options={}]
+ * @param {string} [options.updatedMin] Only fetch posts updated since this ISO timestamp.
+ * @param {number} [options.cacheSeconds=60] Cache duration of the individual feed pages.
+ * @param {any} [options.env] The environment object; with it, purging `site:<hostname>` refetches the pages.
+ * @returns {Promise<{entries: object[], site: object}>} The raw feed entries and the site (see `siteFromFeed`).
+ */
+export async function fetchAllFeedEntries(hostname, ctx, options = {}) {
+  const { updatedMin, cacheSeconds = 60, env } = options;
+  const entries = [];
+  let site = null;
+
+  for (let page = 0; page < MAX_FEED_PAGES; page++) {
+    const params = new URLSearchParams({
+      alt: 'json',
+      'start-index': String(page * FEED_PAGE_SIZE + 1),
+      'max-results': String(FEED_PAGE_SIZE),
+      orderby: updatedMin ? 'updated' : 'published'
+    });
+    if (updatedMin) params.set('updated-min', updatedMin);
+
+    const feedUrl = `https://${hostname}/feeds/posts/default?${params}`;
+    const res = await cacheHelper(new Request(feedUrl), feedUrl, cacheSeconds, ctx, { env });
+    if (!res.ok) throw new Error(`Feed page ${page + 1} failed: ${res.status}`);
+
+    const feed = (await res.json())?.feed || {};
+    site ||= siteFromFeed(feed);
+    const pageEntries = feed.entry || [];
+    entries.push(...pageEntries);
+
+    const total = parseInt(feed.openSearch$totalResults?.$t || '0', 10);
+    if (pageEntries.length < FEED_PAGE_SIZE || entries.length >= total) break;
+  }
+
+  return { entries, site };
+}
+
+const newestUpdate = artworks => artworks.reduce((latest, a) => (a.updated > latest ? a.updated : latest), '');
+const byPublishedDesc = (a, b) => String(b.published).localeCompare(String(a.published));
+
+/**
+ * Builds a complete catalog from the posts feed.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The blog hostname.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {number} [cacheSeconds=60] Cache duration of the individual feed pages.
+ * @returns {Promise<object>} The catalog.
+ */
+export async function buildCatalog(env, hostname, ctx, cacheSeconds = 60) {
+  const schema = await loadFieldSchema(env, hostname);
+  const { entries, site } = await fetchAllFeedEntries(hostname, ctx, { cacheSeconds, env });
+  const artworks = entries.map(entry => artworkFromFeedEntry(entry, schema)).sort(byPublishedDesc);
+  const now = Date.now();
+
+  return {
+    version: CATALOG_VERSION,
+    stamp: String(now),
+    builtAt: now,
+    refreshedAt: now,
+    latestUpdate: newestUpdate(artworks),
+    site,
+    artworks
+  };
+}
+
+/**
+ * Merges posts updated since `catalog.latestUpdate` into the catalog.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The blog hostname.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {object} catalog The current catalog.
+ * @param {number} [cacheSeconds=60] Cache duration of the individual feed pages.
+ * @returns {Promise<object>} The refreshed catalog (a new object when something changed).
+ */
+export async function refreshCatalog(env, hostname, ctx, catalog, cacheSeconds = 60) {
+  const schema = await loadFieldSchema(env, hostname);
+  const { entries, site } = await fetchAllFeedEntries(hostname, ctx, { updatedMin: catalog.latestUpdate, cacheSeconds, env });
+  const changed = entries
+    .map(entry => artworkFromFeedEntry(entry, schema))
+    // updated-min is inclusive, so the newest known post comes back unchanged
+    .filter(artwork => !catalog.artworks.some(a => a.id === artwork.id && a.updated === artwork.updated));
+  const now = Date.now();
+
+  if (changed.length === 0 && JSON.stringify(site) === JSON.stringify(catalog.site)) {
+    return { ...catalog, refreshedAt: now };
+  }
+
+  const byId = new Map(catalog.artworks.map(artwork => [artwork.id, artwork]));
+  changed.forEach(artwork => byId.set(artwork.id, artwork));
+  const artworks = [...byId.values()].sort(byPublishedDesc);
+
+  return {
+    ...catalog,
+    stamp: String(now),
+    refreshedAt: now,
+    latestUpdate: newestUpdate(artworks),
+    site,
+    artworks
+  };
+}
+
+/**
+ * Reads the stored catalog from KV when it is newer than the one in memory.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The blog hostname.
+ * @param {object|null} catalog The catalog in memory.
+ * @returns {Promise<object|null>} The newest of both, or null when there is none.
+ */
+async function readStoredCatalog(env, hostname, catalog) {
+  try {
+    const [stored, refreshed] = await Promise.all([
+      env.GALLERY.get(`json:catalog:${hostname}`, 'json'),
+      env.GALLERY.get(`json:catalog-refreshed:${hostname}`, 'json')
+    ]);
+    if (stored?.version === CATALOG_VERSION) {
+      if (refreshed?.stamp === stored.stamp && refreshed.refreshedAt > stored.refreshedAt) {
+        stored.refreshedAt = refreshed.refreshedAt;
+      }
+      if (!catalog || stored.refreshedAt > catalog.refreshedAt) return stored;
+    }
+  } catch (error) {
+    console.error(`Catalog read failed: ${error.message}`);
+  }
+  return catalog;
+}
+
+/**
+ * Takes the update lock of a hostname, unless an update started less than UPDATE_LOCK_SECONDS ago
+ * in this isolate or (as far as KV has seen it yet) in another one.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The blog hostname.
+ * @returns {Promise<boolean>} True if the caller may update the catalog.
+ */
+async function acquireUpdateLock(env, hostname) {
+  const now = Date.now();
+  const isHeld = since => now - since < UPDATE_LOCK_SECONDS * 1000;
+  if (isHeld(updateLocks.get(hostname) || 0)) return false;
+  updateLocks.set(hostname, now);
+
+  try {
+    const key = `lock:catalog:${hostname}`;
+    if (isHeld(Number(await env.GALLERY.get(key)) || 0)) return false;
+    await env.GALLERY.put(key, String(now), { expirationTtl: UPDATE_LOCK_SECONDS });
+  } catch (error) {
+    console.error(`Catalog lock failed: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Builds or refreshes a catalog and writes it to KV and memory, once per request. An outdated catalog
+ * is only updated when the update lock is free; a site without a catalog always waits for a build.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The blog hostname.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object, one per request.
+ * @param {object|null} catalog The current catalog, null to build one.
+ * @param {number} fullRefreshSeconds Age after which the catalog is rebuilt completely.
+ * @returns {Promise<object|null>} The updated catalog, or `catalog` when the update failed or was left to another request.
+ */
+function updateCatalog(env, hostname, ctx, catalog, fullRefreshSeconds) {
+  const updates = catalogUpdates.get(ctx) || new Map();
+  catalogUpdates.set(ctx, updates);
+  if (updates.has(hostname)) return updates.get(hostname);
+
+  const update = (async () => {
+    const locked = await acquireUpdateLock(env, hostname);
+    if (!locked && catalog) return catalog;
+    try {
+      const next = catalog && Date.now() - catalog.builtAt < fullRefreshSeconds * 1000
+        ? await refreshCatalog(env, hostname, ctx, catalog)
+        : await buildCatalog(env, hostname, ctx);
+      catalogMemo.set(hostname, next);
+      // Nothing changed: store the refresh time rather than rewriting the whole catalog
+      const write = next.stamp === catalog?.stamp
+        ? env.GALLERY.put(`json:catalog-refreshed:${hostname}`, JSON.stringify({ stamp: next.stamp, refreshedAt: next.refreshedAt }))
+        : env.GALLERY.put(`json:catalog:${hostname}`, JSON.stringify(next));
+      await write.catch(error => console.error(`Catalog write failed: ${error.message}`));
+      return next;
+    } catch (error) {
+      console.error(`Catalog update failed: ${error.message}`);
+      // Serve the outdated catalog rather than nothing
+      return catalog;
+    } finally {
+      if (locked) updateLocks.delete(hostname);
+    }
+  })();
+
+  updates.set(hostname, update);
+  return update;
+}
+
+/**
+ * Rebuilds the catalog for a debug request, once per request however many handlers ask for it.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The blog hostname.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object, one per request.
+ * @returns {Promise<object|null>} The rebuilt catalog, or the stored one when the build failed.
+ */
+function rebuildForDebug(env, hostname, ctx) {
+  const builds = debugBuilds.get(ctx) || new Map();
+  debugBuilds.set(ctx, builds);
+  if (builds.has(hostname)) return builds.get(hostname);
+
+  const build = (async () => {
+    try {
+      const next = await buildCatalog(env, hostname, ctx, 1);
+      catalogMemo.set(hostname, next);
+      ctx.waitUntil(env.GALLERY.put(`json:catalog:${hostname}`, JSON.stringify(next)));
+      return next;
+    } catch (error) {
+      console.error(`Catalog update failed: ${error.message}`);
+      return readStoredCatalog(env, hostname, catalogMemo.get(hostname) || null);
+    }
+  })();
+
+  builds.set(hostname, build);
+  return build;
+}
+
+/**
+ * Returns the site's catalog. An outdated catalog is returned as it is while it is refreshed (or
+ * rebuilt) in the background; only a site without any catalog waits for the build.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {URL} url The request URL (its hostname selects the site).
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {object} [options={}]
+ * @param {number} [options.ttlSeconds=3600] Age after which changed posts are fetched.
+ * @param {number} [options.fullRefreshSeconds=86400] Age after which the catalog is rebuilt completely.
+ * @param {boolean} [options.debug=false] If true, rebuild (once per request).
+ * @returns {Promise<object|null>} The catalog, or null when it cannot be built and none is stored.
+ */
+export async function getCatalog(env, url, ctx, options = {}) {
+  const { ttlSeconds = 3600, fullRefreshSeconds = 86400, debug = false } = options;
+  const hostname = url.hostname;
+  if (debug) return rebuildForDebug(env, hostname, ctx);
+
+  const isFresh = catalog => catalog && Date.now() - catalog.refreshedAt < ttlSeconds * 1000;
+  let catalog = catalogMemo.get(hostname) || null;
+  if (isFresh(catalog)) return catalog;
+
+  // While this request updates it, the catalog in memory is the newest there is
+  if (!catalogUpdates.get(ctx)?.has(hostname)) {
+    catalog = await readStoredCatalog(env, hostname, catalog);
+    if (catalog) catalogMemo.set(hostname, catalog);
+    if (isFresh(catalog)) return catalog;
+  }
+
+  const update = updateCatalog(env, hostname, ctx, catalog, fullRefreshSeconds);
+  if (!catalog) return update;
+  ctx.waitUntil(update);
+  return catalog;
+}
@@ -0,0 +1,148 @@
+// facets.js
+
+/* Faceted browsing over the search index documents (see search.js).
+
+ Filters live in the query string so a filtered view can be shared as a URL:
+   /browse?label=Portraits&label=Landscapes&medium=Oil+on+canvas&decade=1960
+
+ Values within one facet are combined with OR, different facets with AND.
+ Facet counts are disjunctive: the counts of a facet ignore that facet's own selection.
+*/
+
+import { escapeHtml } from './helpers.js';
+
+/** Facet definitions, in display order. */
+export const FACETS = [
+  { key: 'label', title: 'Labels', values: doc => doc.labels },
+  { key: 'artist', title: 'Artist', values: doc => doc.artist ? [doc.artist] : [] },
+  { key: 'medium', title: 'Medium', values: doc => doc.medium ? [doc.medium] : [] },
+  { key: 'series', title: 'Series', values: doc => doc.series ? [doc.series] : [] },
+  { key: 'decade', title: 'Decade', values: doc => doc.yearStart ? [String(Math.floor(doc.yearStart / 10) * 10)] : [] }
+];
+
+const FACET_KEYS = FACETS.map(facet => facet.key);
+
+/**
+ * Reads the facet filters from the query string.
+ *
+ * @param {URLSearchParams} params The query parameters.
+ * @returns {Object<string, string[]>} The selected values per facet key.
+ */
+export function parseFilters(params) {
+  const filters = {};
+  for (const key of FACET_KEYS) {
+    const values = params.getAll(key).map(v => v.trim()).filter(Boolean);
+    if (values.length > 0) filters[key] = [...new Set(values)];
+  }
+  return filters;
+}
+
+/**
+ * Tests a document against the filters, optionally ignoring one facet.
+ *
+ * @param {object} doc A search index document.
+ * @param {Object<string, string[]>} filters The selected values per facet key.
+ * @param {string} [ignoreKey] A facet key to leave out (for disjunctive counts).
+ * @returns {boolean} True if the document matches.
+ */
+function matchesFilters(doc, filters, ignoreKey = null) {
+  return FACETS.every(facet => {
+    const selected = filters[facet.key];
+    if (!selected || facet.key === ignoreKey) return true;
+    const values = facet.values(doc);
+    return selected.some(value => values.includes(value));
+  });
+}
+
+/**
+ * Returns the documents that match all filters.
+ *
+ * @param {object[]} docs The search index documents.
+ * @param {Object<string, string[]>} filters The selected values per facet key.
+ * @returns {object[]} The matching documents.
+ */
+export function filterDocs(docs, filters) {
+  return docs.filter(doc => matchesFilters(doc, filters));
+}
+
+/**
+ * Computes value counts for every facet.
+ *
+ * @param {object[]} docs The search index documents.
+ * @param {Object<string, string[]>} filters The selected values per facet key.
+ * @returns {Array<{key: string, title: string, values: Array<{value: string, count: number, selected: boolean}>}>}
+ */
+export function computeFacets(docs, filters) {
+  return FACETS.map(facet => {
+    const counts = new Map();
+    for (const doc of docs) {
+      if (!matchesFilters(doc, filters, facet.key)) continue;
+      for (const value of new Set(facet.values(doc))) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    // Selected values stay visible even when nothing else matches them
+    for (const value of filters[facet.key] || []) {
+      if (!counts.has(value)) counts.set(value, 0);
+    }
+
+    const values = [...counts.entries()]
+      .map(([value, count]) => ({ value, count, selected: (filters[facet.key] || []).includes(value) }))
+      .sort((a, b) => facet.key === 'decade'
+        ? Number(a.value) - Number(b.value)
+        : b.count - a.count || a.value.localeCompare(b.value));
+
+    return { key: facet.key, title: facet.title, values };
+  });
+}
+
+/**
+ * Builds the URL that toggles one facet value, keeping the other filters and resetting pagination.
+ *
+ * @param {URL} url The current URL.
+ * @param {string} key The facet key.
+ * @param {string} value The facet value.
+ * @returns {string} The relative URL.
+ */
+export function toggleFilterUrl(url, key, value) {
+  const target = new URL(url);
+  const values = target.searchParams.getAll(key);
+  target.searchParams.delete(key);
+  target.searchParams.delete('page');
+
+  const next = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+  next.forEach(v => target.searchParams.append(key, v));
+  return target.pathname + target.search;
+}
+
+/**
+ * Renders the facet panel.
+ *
+ * @param {URL} url The current URL.
+ * @param {object[]} facets The facets returned by `computeFacets`.
+ * @param {Object<string, string[]>} filters The selected values per facet key.
+ * @returns {string} The facet panel HTML.
+ */
+export function renderFacets(url, facets, filters) {
+  const groups = facets
+    .filter(facet => facet.values.length > 0)
+    .map(facet => {
+      const items = facet.values.map(({ value, count, selected }) => {
+        const label = facet.key === 'decade' ? `${value}s` : value;
+        return `<li class="facet-value${selected ? ' selected' : ''}"><a href="${escapeHtml(toggleFilterUrl(url, facet.key, value))}" rel="nofollow"${selected ? ' aria-current="true"' : ''}>${escapeHtml(label)} <span class="facet-count">${count}</span></a></li>`;
+      });
+      return `<details class="facet facet-${facet.key}"${filters[facet.key] || facet.values.length <= 10 ? ' open' : ''}>
+  <summary>${escapeHtml(facet.title)}</summary>
+  <ul>
+    ${items.join('\n    ')}
+  </ul>
+</details>`;
+    });
+
+  const clear = Object.keys(filters).length > 0
+    ? `<a class="facet-clear" href="${escapeHtml(url.pathname)}">Clear all filters</a>`
+    : '';
+
+  return `<aside class="facets">\n${clear}\n${groups.join('\n')}\n</aside>`;
+}
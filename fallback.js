@@ -0,0 +1,98 @@
+// fallback.js
+
+/* What visitors get when the Blogger origin is down.
+
+ The page is requested from the origin with a timeout (`fetchOrigin`). When the request fails, times
+ out or returns a 5xx, and when a handler hits the same with an origin resource (an OriginError, see
+ helpers.js), the worker answers with
+   1. the last good rendering of the page from the full-page cache (see pagecache.js), or
+   2. a branded page built from the site's header, footer and styles in KV (html:header, html:footer,
+      css:style) with a retry hint, sent with the status of the failure (502, 503 or 504) and Retry-After.
+ Only the <head> of the page is read before rendering starts. When the origin fails after that, the page
+ has already started to stream and ends where the origin stopped.
+*/
+
+import { getCachedKV, escapeHtml, OriginError, ORIGIN_TIMEOUT_MS, RETRY_AFTER_SECONDS } from './helpers.js';
+import { readHead } from './streamhandlers.js';
+
+/**
+ * Requests the page from the origin and reads its <head>, within ORIGIN_TIMEOUT_MS. The rest of the
+ * body is not waited for: it streams to the client as it arrives.
+ *
+ * @param {Request} request The incoming request.
+ * @returns {Promise<{response: Response, head: string, body: ReadableStream|null}>} The origin response,
+ *   the start of the page up to the end of its <head>, and the whole page body (see `readHead`).
+ * @throws {OriginError} When the request fails, times out or the origin returns a 5xx.
+ */
+export async function fetchOrigin(request) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new DOMException('Origin timeout', 'TimeoutError')), ORIGIN_TIMEOUT_MS);
+  try {
+    const response = await fetch(request, { signal: controller.signal });
+    if (response.status >= 500) {
+      throw OriginError.fromResponse(response, request.url);
+    }
+    // Read the <head> within the same timeout, a stalled page is as bad as no answer
+    const { head, body } = await readHead(response.body);
+    return { response, head, body };
+  } catch (error) {
+    throw OriginError.from(error, request.url);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const FALLBACK_TEXT = {
+  502: 'The gallery could not be reached just now.',
+  503: 'The gallery is temporarily unavailable.',
+  504: 'The gallery took too long to respond.'
+};
+
+/**
+ * Renders the branded page shown when the origin is down and no cached rendering exists.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {object} options
+ * @param {number} options.status The response status, 502, 503 or 504.
+ * @param {URL} options.url The requested URL, linked as the retry.
+ * @returns {Promise<Response>} The fallback page.
+ */
+export async function renderFallbackPage(env, { status, url }) {
+  // KV may be unavailable as well, the page still renders without header and footer
+  const [header, footer, style] = await Promise.all(
+    ['html:header', 'html:footer', 'css:style'].map(key => getCachedKV(env, key).catch(() => null))
+  );
+  const retryUrl = escapeHtml(`${url.pathname}${url.search}`);
+  const minutes = Math.max(1, Math.round(RETRY_AFTER_SECONDS / 60));
+
+  const html = `<!DOCTYPE html>
+<html lang="en" class="fallback-page">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>Temporarily unavailable</title>
+${style ? `<style>\n${style}\n</style>` : ''}
+</head>
+<body>
+${header || ''}
+<main>
+<div class="fallback-message">
+  <h1>Temporarily unavailable</h1>
+  <p>${FALLBACK_TEXT[status] || FALLBACK_TEXT[502]} Please try again in ${minutes === 1 ? 'a minute' : `${minutes} minutes`}.</p>
+  <p><a href="${retryUrl}">Try again</a></p>
+</div>
+</main>
+${footer || ''}
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Retry-After': String(RETRY_AFTER_SECONDS)
+    }
+  });
+}
@@ -0,0 +1,174 @@
+// feeds.js
+
+/* Atom, RSS 2.0 and JSON Feed 1.1 output built from the artwork catalog (see catalog.js).
+
+ Links point at the site's own domain, images are included at a chosen Blogger size
+ (enclosure / media:content / JSON Feed `image`) and template tokens are stripped from titles.
+*/
+
+import { escapeHtml, escapeXml, resizeImage } from './helpers.js';
+import { stripTemplateTags } from './templatehelper.js';
+import { fieldLabel } from './artworkfields.js';
+
+/**
+ * Guesses the MIME type of an image from its URL.
+ *
+ * @param {string} imageUrl The image URL.
+ * @returns {string} The MIME type.
+ */
+function imageType(imageUrl) {
+  const ext = (imageUrl.match(/\.([a-z0-9]+)(?:[?#]|$)/i)?.[1] || '').toLowerCase();
+  return { png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif' }[ext] || 'image/jpeg';
+}
+
+/**
+ * Prepares an artwork for feed output: absolute link, clean title, resized image and HTML content.
+ *
+ * @param {object} artwork A catalog artwork.
+ * @param {object} site
+ * @param {string} site.origin The site origin, e.g. "https://gallery.example.com".
+ * @param {object} [site.schema] The field schema, used for localized field labels.
+ * @param {string} [site.lang] The site language.
+ * @param {string} imageSize The Blogger image size, e.g. "s1200".
+ * @returns {object} The feed item.
+ */
+export function toFeedItem(artwork, { origin, schema, lang }, imageSize) {
+  const link = `${origin}${artwork.path}`;
+  const title = stripTemplateTags(artwork.title || artwork.fields?.title || '');
+  const image = artwork.imageUrl ? resizeImage(artwork.imageUrl, imageSize) : null;
+
+  // Field values and notes are tag-free text lines that still carry their HTML entities
+  const visibleFields = (schema?.fields || [])
+    .filter(field => !field.hidden && field.key !== 'title' && artwork.fields?.[field.key])
+    .map(field => `<li>${escapeHtml(fieldLabel(schema, field.key, lang))}: ${stripTemplateTags(artwork.fields[field.key])}</li>`);
+
+  const summary = [artwork.fields?.artist, artwork.fields?.medium, artwork.fields?.year || artwork.fields?.date]
+    .filter(Boolean)
+    .join(', ');
+
+  const contentHtml = [
+    image ? `<p><img src="${escapeHtml(image)}" alt="${escapeHtml(title)}"></p>` : '',
+    visibleFields.length > 0 ? `<ul>${visibleFields.join('')}</ul>` : '',
+    ...(artwork.notes || []).map(line => `<p>${stripTemplateTags(line)}</p>`)
+  ].filter(Boolean).join('\n');
+
+  return {
+    id: link,
+    link,
+    title,
+    summary,
+    contentHtml,
+    image,
+    published: artwork.published,
+    updated: artwork.updated || artwork.published,
+    labels: artwork.labels || [],
+    artist: artwork.fields?.artist || null
+  };
+}
+
+/**
+ * Renders an Atom feed.
+ *
+ * @param {object} site `{ origin, title, description, lang, selfUrl }`.
+ * @param {object[]} items Items from `toFeedItem`.
+ * @returns {string} The Atom XML.
+ */
+export function renderAtomFeed(site, items) {
+  const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), '') || new Date().toISOString();
+
+  const entries = items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>
+    <published>${escapeXml(item.published)}</published>
+    <updated>${escapeXml(item.updated)}</updated>${item.artist ? `
+    <author><name>${escapeXml(item.artist)}</name></author>` : ''}
+${item.labels.map(label => `    <category term="${escapeXml(label)}"/>`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>${item.image ? `
+    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>
+    <media:content url="${escapeXml(item.image)}" medium="image" type="${imageType(item.image)}"/>` : ''}
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/"${site.lang ? ` xml:lang="${escapeXml(site.lang)}"` : ''}>
+  <id>${escapeXml(site.origin)}/</id>
+  <title>${escapeXml(site.title)}</title>${site.description ? `
+  <subtitle>${escapeXml(site.description)}</subtitle>` : ''}
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>${escapeXml(site.title)}</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(site.selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(site.origin)}/"/>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Renders an RSS 2.0 feed.
+ *
+ * @param {object} site `{ origin, title, description, lang, selfUrl }`.
+ * @param {object[]} items Items from `toFeedItem`.
+ * @returns {string} The RSS XML.
+ */
+export function renderRssFeed(site, items) {
+  const rfc822 = iso => (iso ? new Date(iso).toUTCString() : '');
+  const lastBuild = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), '');
+
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.link)}</guid>
+      <pubDate>${rfc822(item.published)}</pubDate>
+${item.labels.map(label => `      <category>${escapeXml(label)}</category>`).join('\n')}
+      <description>${escapeXml(item.contentHtml)}</description>${item.image ? `
+      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>
+      <media:content url="${escapeXml(item.image)}" medium="image" type="${imageType(item.image)}"/>` : ''}
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(site.title)}</title>
+    <link>${escapeXml(site.origin)}/</link>
+    <description>${escapeXml(site.description || site.title)}</description>${site.lang ? `
+    <language>${escapeXml(site.lang)}</language>` : ''}${lastBuild ? `
+    <lastBuildDate>${rfc822(lastBuild)}</lastBuildDate>` : ''}
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(site.selfUrl)}"/>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Renders a JSON Feed 1.1 document.
+ *
+ * @param {object} site `{ origin, title, description, lang, selfUrl }`.
+ * @param {object[]} items Items from `toFeedItem`.
+ * @returns {string} The JSON Feed.
+ */
+export function renderJsonFeed(site, items) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    home_page_url: `${site.origin}/`,
+    feed_url: site.selfUrl,
+    ...(site.description ? { description: site.description } : {}),
+    ...(site.lang ? { language: site.lang } : {}),
+    items: items.map(item => ({
+      id: item.id,
+      url: item.link,
+      title: item.title,
+      content_html: item.contentHtml,
+      ...(item.summary ? { summary: item.summary } : {}),
+      ...(item.image ? { image: item.image } : {}),
+      date_published: item.published,
+      date_modified: item.updated,
+      ...(item.labels.length > 0 ? { tags: item.labels } : {}),
+      ...(item.artist ? { authors: [{ name: item.artist }] } : {})
+    }))
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
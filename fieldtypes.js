@@ -0,0 +1,305 @@
+// fieldtypes.js
+
+/* Typed parsing of artwork field values.
+
+ A field in the schema (see artworkfields.js) may declare a `type`:
+   "date"        "ca. 1960", "1960–1965", "jaren 70", "1970s", "12-03-1960", "1960年代"
+   "dimensions"  "30 x 40 cm", "30 × 40 × 5 cm", "12 x 16 in", "30 x 40 cm (framed 50 x 60 cm)"
+   "price"       "€ 1.250,-", "EUR 1250", "$1,200", "¥150,000"
+ Anything else is kept as plain text.
+
+ Each parser returns a plain object (or null when the value cannot be understood),
+ which `fieldDataAttributes` turns into data-* attributes for the `.field` elements.
+*/
+
+const CM_PER_INCH = 2.54;
+
+const APPROXIMATE_PATTERN = /^(?:ca\.?|c\.|circa|approx\.?|omstreeks|rond|around|about|±|~)\s*|\s*(?:頃|ごろ|年頃)$/i;
+const RANGE_SEPARATOR = /\s*(?:–|—|-|\/|~|〜|\bto\b|\btot\b)\s*/i;
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Converts a number string using either "," or "." as decimal separator.
+ * When both are present the last one is the decimal separator.
+ *
+ * @param {string} str The number string.
+ * @param {boolean} [groupedThousands=false] Treat a lone separator followed by exactly three digits as a thousands separator.
+ * @returns {number} The parsed number, or NaN.
+ */
+function toNumber(str, groupedThousands = false) {
+  let s = String(str).replace(/[\s' ]/g, '');
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const group = decimal === ',' ? '.' : ',';
+    s = s.split(group).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const sep = lastComma !== -1 ? ',' : '.';
+    const parts = s.split(sep);
+    const isGrouping = groupedThousands && parts.length > 1 && parts.slice(1).every(p => p.length === 3);
+    s = isGrouping ? parts.join('') : parts.join('.');
+  }
+  return parseFloat(s);
+}
+
+/**
+ * Parses a single date expression (no ranges) into an ISO start/end pair.
+ *
+ * @param {string} str The date expression.
+ * @returns {{start: string, end: string}|null}
+ */
+function parseSingleDate(str) {
+  const s = str.trim().replace(/年$/, '');
+  let m;
+
+  // Decades: "1970s", "1970's", "jaren 70", "jaren '70", "1970年代"
+  if ((m = s.match(/^(\d{3})0\s*(?:'?s|年代)$/i))) {
+    return { start: `${m[1]}0`, end: `${m[1]}9` };
+  }
+  if ((m = s.match(/^(?:jaren|the)\s*'?(\d)0(?:s)?$/i))) {
+    const decade = `19${m[1]}0`;
+    return { start: decade, end: `${decade.slice(0, 3)}9` };
+  }
+  // ISO: 1960, 1960-03, 1960-03-12
+  if ((m = s.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/))) {
+    if (m[2] && (+m[2] < 1 || +m[2] > 12)) return null; // "1960-65" is a range, not a month
+    const iso = [m[1], m[2] && pad(m[2]), m[3] && pad(m[3])].filter(Boolean).join('-');
+    return { start: iso, end: iso };
+  }
+  // European day first: 12-03-1960, 12/3/1960, 12.03.1960
+  if ((m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+    const iso = `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+    return { start: iso, end: iso };
+  }
+  // Japanese: 1960年3月12日, 1960年3月
+  if ((m = s.match(/^(\d{4})年(\d{1,2})月(?:(\d{1,2})日)?$/))) {
+    const iso = [m[1], pad(m[2]), m[3] && pad(m[3])].filter(Boolean).join('-');
+    return { start: iso, end: iso };
+  }
+  return null;
+}
+
+/**
+ * Parses a date, year or period value into normalized ISO form.
+ * Ranges are returned as ISO 8601 intervals ("1960/1965").
+ *
+ * @param {string} raw The raw field value.
+ * @returns {{type: 'date', value: string, start: string, end: string, approximate: boolean}|null}
+ */
+export function parseDateValue(raw) {
+  if (!raw) return null;
+  let s = String(raw).trim();
+  const approximate = APPROXIMATE_PATTERN.test(s);
+  s = s.replace(APPROXIMATE_PATTERN, '').trim();
+
+  let start = null;
+  let end = null;
+
+  const single = parseSingleDate(s);
+  if (single) {
+    ({ start, end } = single);
+  } else {
+    const parts = s.split(RANGE_SEPARATOR).map(p => p.replace(APPROXIMATE_PATTERN, '').trim()).filter(Boolean);
+    if (parts.length === 2) {
+      const from = parseSingleDate(parts[0]);
+      // Allow abbreviated range ends: "1960-65", "1960–5"
+      const to = parseSingleDate(/^\d{1,2}$/.test(parts[1]) && from
+        ? from.start.slice(0, 4 - parts[1].length) + parts[1]
+        : parts[1]);
+      if (from && to) {
+        start = from.start;
+        end = to.end;
+      }
+    }
+  }
+
+  if (!start) return null;
+  return {
+    type: 'date',
+    value: start === end ? start : `${start}/${end}`,
+    start,
+    end,
+    approximate
+  };
+}
+
+// Where the size of the frame starts: "30 x 40 cm (framed 50 x 60 cm)", "30 x 40 cm, ingelijst 50 x 60 cm"
+const FRAMED_PATTERN = /\(|\b(?:framed|ingelijst|met lijst)\b|額装/;
+const FRAMED_WORD = /\b(?:framed|ingelijst|met lijst)\b|額装/;
+
+/**
+ * Detects the unit of a dimensions text. The unit must follow a number ("16 in", "40cm"),
+ * so words such as "in" in a free text note are not read as a unit.
+ *
+ * @param {string} s The lowercased text.
+ * @returns {string|null} "cm", "mm", "m" or "in", or null when none is given.
+ */
+function detectUnit(s) {
+  if (/\d\s*(?:in\b|inch(?:es)?\b|"|″)/.test(s)) return 'in';
+  if (/\d\s*mm\b/.test(s)) return 'mm';
+  if (/\d\s*m\b/.test(s)) return 'm';
+  if (/\d\s*cm\b/.test(s)) return 'cm';
+  return null;
+}
+
+/**
+ * Reads up to three numbers of a dimensions text in the given order.
+ *
+ * @param {string} s The lowercased text.
+ * @param {string} order The order of the numbers, e.g. "hwd".
+ * @param {(n: number) => number} convert Converts a number to the output unit.
+ * @returns {{h: number, w: number, d: (number|null)}|null} The dimensions, or null when fewer than two numbers.
+ */
+function readDimensions(s, order, convert) {
+  const numbers = s.match(/\d+(?:[.,]\d+)?/g);
+  if (!numbers || numbers.length < 2) return null;
+
+  const values = numbers.slice(0, 3).map(n => convert(toNumber(n)));
+  const dims = { h: null, w: null, d: null };
+  [...order].forEach((axis, i) => {
+    if (axis in dims && values[i] !== undefined) dims[axis] = values[i];
+  });
+  return dims.w === null || dims.h === null ? null : dims;
+}
+
+/**
+ * Parses a dimensions value. Numbers are read in the configured order (height × width × depth by default,
+ * the usual museum convention) and the unit defaults to cm when none is given.
+ * A frame size after the dimensions ("(framed 50 x 60 cm)", "ingelijst 50 x 60") is returned as `framed`
+ * instead of being read as the depth.
+ *
+ * @param {string} raw The raw field value.
+ * @param {object} [options={}]
+ * @param {string} [options.order='hwd'] The order of the numbers in the source text, e.g. "hwd" or "whd".
+ * @param {string} [options.unit] Convert the values to this unit ("cm" or "in").
+ * @returns {{type: 'dimensions', width: number, height: number, depth: (number|null), framed: ({width: number, height: number, depth: (number|null)}|null), unit: string, sourceUnit: string, display: string}|null}
+ */
+export function parseDimensions(raw, options = {}) {
+  if (!raw) return null;
+  const s = String(raw).toLowerCase();
+  const split = s.search(FRAMED_PATTERN);
+  const work = split > 0 ? s.slice(0, split) : s;
+  const frame = split > 0 ? s.slice(split) : '';
+
+  // "30 x 40 (framed 50 x 60 cm)": the unit may only be given once, at the end
+  const sourceUnit = detectUnit(work) || detectUnit(frame) || 'cm';
+
+  // Normalize to cm or in before any conversion.
+  const toBase = { mm: 0.1, m: 100, cm: 1, in: 1 }[sourceUnit];
+  const baseUnit = sourceUnit === 'in' ? 'in' : 'cm';
+  const unit = options.unit === 'in' || options.unit === 'cm' ? options.unit : baseUnit;
+  const factor = unit === baseUnit ? 1 : (unit === 'in' ? 1 / CM_PER_INCH : CM_PER_INCH);
+  const convert = n => Math.round(n * toBase * factor * 10) / 10;
+
+  const order = (options.order || 'hwd').toLowerCase();
+  const dims = readDimensions(work, order, convert);
+  if (!dims) return null;
+  const framed = frame ? readDimensions(frame, order, convert) : null;
+
+  const format = ({ h, w, d }) => [h, w, d].filter(n => n !== null).join(' × ') + ` ${unit}`;
+  const framedWord = frame.match(FRAMED_WORD)?.[0];
+  const display = format(dims) + (framed ? ` (${framedWord ? `${framedWord} ` : ''}${format(framed)})` : '');
+
+  return {
+    type: 'dimensions',
+    width: dims.w,
+    height: dims.h,
+    depth: dims.d,
+    framed: framed ? { width: framed.w, height: framed.h, depth: framed.d } : null,
+    unit,
+    sourceUnit,
+    display
+  };
+}
+
+const CURRENCY_SYMBOLS = {
+  '€': 'EUR', '$': 'USD', '£': 'GBP', '¥': 'JPY', '円': 'JPY', 'ƒ': 'NLG',
+  'eur': 'EUR', 'euro': 'EUR', 'usd': 'USD', 'gbp': 'GBP', 'jpy': 'JPY', 'yen': 'JPY', 'chf': 'CHF'
+};
+
+/**
+ * Parses a price value with currency. Values such as "on request" yield `amount: null`.
+ * A currency code we do not know ("NOK 1000") leaves the value untyped rather than assuming the default currency.
+ *
+ * @param {string} raw The raw field value.
+ * @param {object} [options={}]
+ * @param {string} [options.currency] Currency to assume when none is given (ISO 4217).
+ * @returns {{type: 'price', amount: (number|null), currency: (string|null)}|null}
+ */
+export function parsePrice(raw, options = {}) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+
+  let currency = null;
+  const symbol = s.match(/[€$£¥円ƒ]|\b(?:eur|euro|usd|gbp|jpy|yen|chf)\b/i);
+  if (symbol) currency = CURRENCY_SYMBOLS[symbol[0].toLowerCase()] || null;
+  if (!currency && /\b[A-Z]{3}\s*\d|\d\s*[A-Z]{3}\b/.test(s)) return null;
+  if (!currency && options.currency) currency = options.currency.toUpperCase();
+
+  const number = s.match(/\d[\d.,'\s ]*/);
+  if (!number) return { type: 'price', amount: null, currency };
+
+  // Drop trailing ",-" / ".-" and whitespace before reading the number.
+  const amount = toNumber(number[0].replace(/[.,]-?\s*$/, '').trim(), true);
+  return {
+    type: 'price',
+    amount: Number.isFinite(amount) ? amount : null,
+    currency
+  };
+}
+
+/**
+ * Parses a raw value according to its field definition.
+ *
+ * @param {object} field The normalized schema field (uses `type`, `unit`, `order`, `currency`).
+ * @param {string} raw The raw field value.
+ * @param {object} [overrides={}] Request level overrides, e.g. `{ unit: 'in' }` from `?units=in`.
+ * @returns {object|null} The typed value, or null for plain text or unparseable values.
+ */
+export function parseTypedValue(field, raw, overrides = {}) {
+  switch (field.type) {
+    case 'date':
+      return parseDateValue(raw);
+    case 'dimensions':
+      return parseDimensions(raw, { order: field.order, unit: overrides.unit || field.unit });
+    case 'price':
+      return parsePrice(raw, { currency: field.currency });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Renders a typed value as a string of data-* attributes (with a leading space).
+ *
+ * @param {object|null} typed The typed value returned by `parseTypedValue`.
+ * @returns {string} The attribute string, or an empty string.
+ */
+export function fieldDataAttributes(typed) {
+  if (!typed) return '';
+  const attrs = { type: typed.type };
+
+  if (typed.type === 'date') {
+    Object.assign(attrs, { value: typed.value, start: typed.start, end: typed.end });
+    if (typed.approximate) attrs.approximate = 'true';
+  } else if (typed.type === 'dimensions') {
+    Object.assign(attrs, { width: typed.width, height: typed.height, depth: typed.depth, unit: typed.unit });
+    if (typed.framed) {
+      Object.assign(attrs, {
+        'framed-width': typed.framed.width,
+        'framed-height': typed.framed.height,
+        'framed-depth': typed.framed.depth
+      });
+    }
+  } else if (typed.type === 'price') {
+    Object.assign(attrs, { amount: typed.amount, currency: typed.currency });
+  }
+
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` data-${name}="${String(value).replace(/"/g, '&quot;')}"`)
+    .join('');
+}
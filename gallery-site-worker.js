@@ -9,36 +9,70 @@
  * replacing them with a more efficient and integrated `checkContentExistsAndCache` function.
  */
 
-export const config = {
-  debug: false, // Set to 'true' to enable detailed logging and disable caching (by setting cache duration to 1 second).
-  useGitHub: false, // Use GitHub for templates (slower but easier to edit)
-  useHardCodedMenu: false, // Use hardcoded menu links instead of scraping page titles.
-  cacheDurationSeconds: 3600, // Duration to cache resources in seconds
-  maxMenuEntries: 5,         // Maximum number of menu links to display
-  bundleScripts: true, // Consolidate all addded script blocks into one script tag at the end of the body element
-  bundleStyles: true, // Consolidate all addded style blocks into one style tag in the head element
-  // Add other configurable values here as needed
-};
-
-// Pre-compiled regex patterns for better performance
-const ROUTE_PATTERNS = {
-  POST_PAGE: /^\/\d{4}\/\d{2}\/.*\.html$/,
-  STATIC_PAGE: /^\/p\/.*\.html$/,
-  LABEL_SEARCH: /^\/search\/label\/[^/]+/,
-  FULL_SEARCH: /^\/search\?q=/,
-};
-
 // start of page processing code
 import { test, querySelector, querySelectorAll, getAttribute, deleteElements, replaceElements, setAttributes, insertHtml } from './htmlparser.js'
-import { templateTagParser, injectLayoutClasses, cleanTitle, FinalCleanupHandler } from './templatehelper.js';
-import { cacheHelper, checkContentExistsAndCache, getCachedKV, resizeImage, extractBlogId, cleanBloggerArtifacts, escapeHtml } from './helpers.js';
-
-// Global arrays to store the contents of the tags to be bundled.
-let styleArray = [];
-let scriptArray = [];
-
-function isDebugMode(url) {
-  if (config.debug === true) return true; // Manual override always wins
+import { templateTagParser, findLayoutClasses, cleanTitle, FinalCleanupHandler, stripTemplateTags } from './templatehelper.js';
+import { cacheHelper, OriginError, cacheTag, purgeCacheTags, isPurgedSince, isAdminRequest, checkContentExistsAndCache, getCachedKV, getCachedJson, resizeImage, extractBlogId, extractPageLanguage, extractSiteName, escapeHtml, decodeHtmlEntities } from './helpers.js';
+import { loadFieldSchema, parseArtworkFields, fieldLabel, artworkFromFeedEntry } from './artworkfields.js';
+import { fieldDataAttributes } from './fieldtypes.js';
+import { buildVisualArtwork, buildCollectionPage, buildWebSite, renderJsonLd } from './structureddata.js';
+import { renderSocialMeta, SOCIAL_META_SELECTORS } from './socialmeta.js';
+import { renderArtworkGrid, renderPagination } from './artworkgrid.js';
+import { getSearchIndex, parseQuery, searchIndex, highlight, suggest } from './search.js';
+import { parseFilters, filterDocs, computeFacets, renderFacets } from './facets.js';
+import { getCatalog } from './catalog.js';
+import { toFeedItem, renderAtomFeed, renderRssFeed, renderJsonFeed } from './feeds.js';
+import { buildSitemapEntries, renderSitemap, renderRobotsTxt } from './sitemap.js';
+import { newsItemsFromFeed, newsItemsToJson, renderNewsItems } from './news.js';
+import { loadMenuDocument, getMenuEntries, renderMenuLinks } from './menu.js';
+import { DEFAULT_CONFIG, loadSiteConfig } from './siteconfig.js';
+import { createRequestContext } from './requestcontext.js';
+import { Router } from './router.js';
+import { pageCacheKey, matchCachedPage, matchLastGoodPage, storeCachedPage } from './pagecache.js';
+import { fetchOrigin, renderFallbackPage } from './fallback.js';
+import { MainContentSimplifier, removeBloggerArtifacts, AssetBundler, PageLayout, replaceNbsp } from './streamhandlers.js';
+import { RequestMetrics } from './instrumentation.js';
+import { inMemoryCache } from './memorycache.js';
+import { suggestPosts, popularLabels, renderNotFound, CATALOG_WAIT_MS } from './notfound.js';
+import { applyRedirects, listRedirectHits } from './redirects.js';
+import { findSeriesSiblings, renderSeriesNavigation, scoreRelatedWorks, renderRelatedWorks } from './relatedworks.js';
+
+// Defaults shared by every site; each site's own settings are loaded per request (see siteconfig.js)
+export const config = DEFAULT_CONFIG;
+
+// Route registry, first match wins (see router.js for the pattern syntax and options).
+// Page routes render through the page pipeline.
+const router = new Router()
+  .add(['/', '/p/home.html'], handleMainPage, { pageClass: 'main-page', cacheSeconds: 300, simplify: true, pageCache: true, notFound: true, readsPage: true })
+  .add('/:year(\\d{4})/:month(\\d{2})/:slug.html', handlePostPage, { pageClass: 'post-page', cacheSeconds: 300, simplify: true, pageCache: true, notFound: true, readsPage: true })
+  .add('/p/:slug.html', handleStaticPage, { pageClass: 'static-page', cacheSeconds: 300, pageCache: true, notFound: true })
+  .add('/search/label/:label', handleLabelSearch, { pageClass: 'label-search', cacheSeconds: 300, simplify: true, pageCache: true })
+  .add('/search', handleFullSearch, { pageClass: 'full-search', query: ['q'], cacheSeconds: 300, simplify: true, pageCache: true })
+  .add('/browse', handleBrowse, { pageClass: 'browse', cacheSeconds: 300, simplify: true, pageCache: true });
+
+// Routes that return their own Response, answered after the redirect rules without requesting
+// the origin page, the menu or the layout. Site details come from the catalog and the site config.
+const resourceRouter = new Router()
+  .add(['/atom', '/rss', '/json'], handleFeed, { pageClass: 'feed', assets: false })
+  .add('/sitemap{-:n(\\d+)}?.xml', handleSitemap, { pageClass: 'sitemap', assets: false })
+  .add('/robots.txt', handleRobots, { pageClass: 'static-file', cacheSeconds: 86400, assets: false })
+  .add('/favicon.ico', handleFavicon, { pageClass: 'static-file', assets: false })
+  .add('/getnews', handleGetNews, { pageClass: 'news-feed', cacheSeconds: 900, assets: false })
+  .add('/api/suggest', handleSuggest, { pageClass: 'api', cacheSeconds: 300, assets: false });
+
+// Admin routes, answered before the origin is requested. They require the ADMIN_TOKEN secret.
+const adminRouter = new Router()
+  .add('/admin/purge', handlePurge, { pageClass: 'admin', methods: ['POST'], assets: false })
+  .add('/admin/redirects', handleRedirectList, { pageClass: 'admin', assets: false });
+
+// Blogger's 404 page, for paths no route handles and routes with `notFound` (see notfound.js).
+// The template is read by the handler, so no KV assets are injected.
+const notFoundRouter = new Router()
+  .add('*', handleNotFound, { pageClass: 'not-found', cacheSeconds: 60, simplify: true, assets: false });
+
+
+function isDebugMode(url, forced = false) {
+  if (forced === true) return true; // Manual override always wins
 
   const p = url.searchParams;
   const truthy = new Set(['', '1', 'true', 'yes']);
@@ -50,502 +84,178 @@ function isDebugMode(url) {
   });
 }
 
-let testHtml = '<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><meta name="description" content="A small, structured HTML file for testing purposes."><title>Test HTML Structure</title><link rel="stylesheet" href="styles.css"></head><body><header><h1 class="title">Welcome to My Test Page</h1><h2 id="sub-heading">Subheading: Testing HTML Structure</h2></header><main><div><h2 id="part1">Part 1</h2><p class="summary body-text">This is a paragraph inside a <code>div</code> element. It demonstrates basic HTML structure.</p><p class="body-text">Here is another paragraph with a <span style="color: blue;">highlighted span</span> for testing inline elements.</p></div><div><h2 id="part2">Part 2</h2><p class="summary body-text">This is a paragraph inside a <code>div</code> element. It demonstrates basic HTML structure.</p><p class="body-text">Here is another paragraph with a <span style="color: blue;">highlighted span</span> for testing inline elements.</p></div></main><footer><h2 id="footer-heading">Footer Section</h2><p class="footer-text">Thank you for visiting this test page.</p></footer></body></html>';
-let lowResImage, highResImage;
-
-export const inMemoryCache = {};
-
 export default {
   async fetch(request, env, ctx) {
-
-    // Shared data object
-    const data = {
-      bloggerAPIkey: null,
-      html: null,
-      originalHtml: null,
-      blogId: null,
-      menuHtml: null,
-      lowResImage: null,
-      highResImage: null,
-      sitename: null,
-      pageClass: 'unknown-page'
-    };
-
-    data.bloggerAPIkey = env.BLOGGER_API_KEY;
-
-    // ✅ 1. Global debug flag
-    // Set to 'true' to enable detailed logging and disable caching (by setting cache duration to 1 second).
-    // Set to 'false' for production to suppress logs and use normal cache durations.
-    const debug = config.debug;
-
-    // ✅ 2. Conditional console logging
-    // If not in debug mode, overwrite console.log with an empty function to suppress all log output.
-    if (!debug) {
-      console.log = () => {};
+    // Server-Timing header and one structured log line per request (see instrumentation.js)
+    const metrics = new RequestMetrics(request);
+    try {
+      return metrics.finish(await handleRequest(request, env, ctx, metrics), ctx);
+    } catch (error) {
+      // Origin down: the last good rendering of the page, or a branded fallback page (see fallback.js)
+      if (error instanceof OriginError && error.status >= 500) {
+        metrics.error('origin', error);
+        try {
+          return metrics.finish(await respondToOriginError(error, request, env, metrics), ctx);
+        } catch (fallbackError) {
+          error = fallbackError;
+        }
+      }
+      metrics.error('request', error);
+      metrics.writeLog(500);
+      throw error;
+    } finally {
+      // Verbose output (metrics.log) ends with the request, however it ended
+      metrics.setVerbose(false);
     }
+  }
+};
 
-    const originalResponse = await fetch(request);
-    // let html, originalHtml, blogId, menuHtml;
+async function respondToOriginError(error, request, env, metrics) {
+  const url = new URL(request.url);
+  const lastGood = request.method === 'GET' ? await matchLastGoodPage(pageCacheKey(url)) : null;
+  if (lastGood) {
+    metrics.cache('page', 'STALE');
+    return lastGood;
+  }
+  return renderFallbackPage(env, { status: error.status, url });
+}
+
+async function handleRequest(request, env, ctx, metrics) {
 
     const url = new URL(request.url);
     const path = url.pathname;
     const search = url.search; // includes leading '?', or '' if none
     const params = url.searchParams; // for easy access to individual keys
-    
-    config.debug = isDebugMode(url);
 
-if (url.pathname != '/favicon.ico') {
+    // ✅ 1. Per-site configuration, merged over the defaults and never shared between requests
+    // debug: enables detailed logging and disables caching (by setting cache duration to 1 second),
+    // either from the site's config or per request with ?debug
+    const storedConfig = await metrics.time('config', () => loadSiteConfig(env, url.hostname));
+    const debug = isDebugMode(url, storedConfig.debug);
+    const siteConfig = Object.freeze({ ...storedConfig, debug });
+
+    // Request context: all per-request state of the pipeline (see requestcontext.js)
+    const data = createRequestContext({ request, env, ctx, url, siteConfig, metrics });
+
+    // ✅ 2. Verbose logging (metrics.log) for debug requests only
+    metrics.setVerbose(debug);
+
+    const adminMatch = adminRouter.match(request.method, url);
+    if (adminMatch) {
+      data.route = adminMatch.route;
+      data.params = adminMatch.params;
+      data.pageClass = adminMatch.route.pageClass;
+      metrics.annotate({ route: adminMatch.route.name, pageClass: data.pageClass });
+      return adminMatch.route.handler(data);
+    }
+
+    // Redirect rules of the site, for renamed posts and moved pages (see redirects.js)
+    const redirect = await metrics.time('redirects', () => applyRedirects(request, env, ctx, metrics));
+    if (redirect) {
+      metrics.log(`Redirect ${path} -> ${redirect.headers.get('Location')} (${redirect.status})`);
+      metrics.annotate({ route: 'redirect', pageClass: 'redirect' });
+      return redirect;
+    }
+
+    const resourceMatch = resourceRouter.match(request.method, url);
+    if (resourceMatch) {
+      data.route = resourceMatch.route;
+      data.params = resourceMatch.params;
+      data.pageClass = resourceMatch.route.pageClass;
+      data.cacheSeconds = resourceMatch.route.cacheSeconds ?? siteConfig.cacheDurationSeconds;
+      metrics.annotate({ route: resourceMatch.route.name, pageClass: data.pageClass });
+      return metrics.time('parse', () => resourceMatch.route.handler(data));
+    }
 
-    data.originalHtml = await originalResponse.text();
-    data.html = data.originalHtml;
+    // Full-page cache: a repeat view of a page skips the whole pipeline (see pagecache.js).
+    // The key is taken before any handler runs, as the main page handler rewrites url.pathname.
+    const pageRoute = router.match(request.method, url)?.route;
+    const pageKey = !debug && request.method === 'GET' && pageRoute?.pageCache ? pageCacheKey(url) : null;
+    if (pageKey) {
+      const cachedPage = await metrics.time('pagecache', () => matchCachedPage(request, pageKey, env));
+      metrics.cache('page', cachedPage ? 'HIT' : 'MISS');
+      if (cachedPage) {
+        metrics.annotate({ route: pageRoute.name, pageClass: pageRoute.pageClass });
+        return cachedPage;
+      }
+    } else if (pageRoute?.pageCache) {
+      metrics.cache('page', 'BYPASS');
+    }
 
-    data.blogId = extractBlogId(data.html);
+    // Throws an OriginError when Blogger is down, handled in fetch above. Only the <head> is read here,
+    // the rest of the page streams through the rewriters below (see streamhandlers.js).
+    const origin = await metrics.time('origin', () => fetchOrigin(request));
+    const originalResponse = origin.response;
+    data.head = origin.head;
+
+    data.blogId = extractBlogId(data.head);
 
 
     /* if menu links are not hard-coded use {{menu:n}} tags in page titles to create navigation menu */
-    if (!config.useHardCodedMenu && data.blogId) {
+    if (!siteConfig.useHardCodedMenu && data.blogId) {
       // Use a cache key for menuHtml
-      const menuCacheKey = `menuHtml:${data.blogId}`;
+      const menuCacheKey = `menuHtml:${url.hostname}:${data.blogId}`;
+      // Purging site:<hostname> or pages:<hostname> (after editing a page title) refreshes the menu
+      const pageListTags = [cacheTag('site', url.hostname), cacheTag('pages', url.hostname)];
+      const stopMenuTimer = metrics.start('menu');
 
       if (debug) {
         // In debug mode, always fetch fresh
         const pageListUrl = `https://www.googleapis.com/blogger/v3/blogs/${data.blogId}/pages?fetchBodies=false&status=live&key=${data.bloggerAPIkey}`;
-        const pageListRes = await cacheHelper(request, pageListUrl, 1, ctx);
-        const pagesJson = await pageListRes.json();
-        const menuArray = getMenuEntries(pagesJson);
+        const pageListRes = await cacheHelper(request, pageListUrl, 1, ctx, { env, tags: pageListTags });
+        const pagesJson = pageListRes.ok ? await pageListRes.json() : null; // null gives the fallback menu
+        const menuDoc = await loadMenuDocument(env, url.hostname);
+        const menuArray = getMenuEntries(pagesJson, menuDoc, siteConfig.maxMenuEntries);
         data.menuHtml = renderMenuLinks(menuArray);
+        metrics.cache('menu', 'BYPASS');
       } else {
         // Try to get menuHtml from in-memory cache
-        if (inMemoryCache[menuCacheKey] && (Date.now() - inMemoryCache[menuCacheKey].ts < 3600 * 1000)) {
+        const memo = inMemoryCache[menuCacheKey];
+        if (memo && (Date.now() - memo.ts < 3600 * 1000) && !(await isPurgedSince(env, pageListTags.join(','), memo.ts))) {
           data.menuHtml = inMemoryCache[menuCacheKey].value;
-          console.log('Using cached menuHtml');
+          metrics.cache('menu', 'HIT');
         } else {
           // Fetch menuHtml and store in cache
           const pageListUrl = `https://www.googleapis.com/blogger/v3/blogs/${data.blogId}/pages?fetchBodies=false&status=live&key=${data.bloggerAPIkey}`;
-          const pageListRes = await cacheHelper(request, pageListUrl, 3600, ctx);
-          const pagesJson = await pageListRes.json();
-          const menuArray = getMenuEntries(pagesJson);
+          const pageListRes = await cacheHelper(request, pageListUrl, 3600, ctx, { env, tags: pageListTags });
+          const pagesJson = pageListRes.ok ? await pageListRes.json() : null; // null gives the fallback menu
+          const menuDoc = await loadMenuDocument(env, url.hostname);
+          const menuArray = getMenuEntries(pagesJson, menuDoc, siteConfig.maxMenuEntries);
           data.menuHtml = renderMenuLinks(menuArray);
 
-          // Store in in-memory cache
-          inMemoryCache[menuCacheKey] = { value: data.menuHtml, ts: Date.now() };
-          console.log('Fetched and cached menuHtml');
+          // Store in in-memory cache, unless the page list was unavailable
+          if (pageListRes.ok) {
+            inMemoryCache[menuCacheKey] = { value: data.menuHtml, ts: Date.now() };
+          }
+          metrics.cache('menu', 'MISS');
         }
       }
+      stopMenuTimer();
     }
-  }
 
-data.pageClass = 'unknown-page';
-let response = null;
-
-const routes = [
-  {
-    match: path === '/' || path === '/p/home.html',
-    pageClass: 'main-page',
-    handler: handleMainPage
-  },
-  {
-    match: ROUTE_PATTERNS.POST_PAGE.test(path),
-    pageClass: 'post-page',
-    handler: handlePostPage
-  },
-  {
-    match: ROUTE_PATTERNS.STATIC_PAGE.test(path),
-    pageClass: 'static-page',
-    handler: handleStaticPage
-  },
-  {
-    match: ROUTE_PATTERNS.LABEL_SEARCH.test(path),
-    pageClass: 'label-search',
-    handler: handleLabelSearch
-  },
-  {
-    match: ROUTE_PATTERNS.FULL_SEARCH.test(path + search),
-    pageClass: 'full-search',
-    handler: handleFullSearch
-  },
-  {
-    match: url.pathname === '/atom',
-    pageClass: 'feed',
-    handler: handleAtomFeed
-  },
-  {
-    match: url.pathname === '/json',
-    pageClass: 'feed',
-    handler: handleJsonFeed
-  },
-  {
-    match: url.pathname === '/favicon.ico',
-    pageClass: 'static-file',
-    handler: handleFavicon
-  },
-  {
-    match: url.pathname === '/getnews',
-    pageClass: 'news-feed',
-    handler: handleGetNews
+// Routing: the first route registered on `router` (below) that matches the request handles it.
+// A 404 from the origin for a Blogger page renders the not-found page instead.
+const isNotFound = originalResponse.status === 404 && (!pageRoute || pageRoute.notFound);
+const matched = isNotFound ? notFoundRouter.match(request.method, url) : router.match(request.method, url);
+if (matched) {
+  data.route = matched.route;
+  data.params = matched.params;
+  data.pageClass = matched.route.pageClass;
+  data.cacheSeconds = matched.route.cacheSeconds ?? siteConfig.cacheDurationSeconds;
+  metrics.annotate({ route: matched.route.name, pageClass: data.pageClass });
+
+  // Routes that read the page itself get it whole, the others leave it streaming
+  if (matched.route.readsPage) {
+    data.html = await metrics.time('origin', () => new Response(origin.body).text());
   }
-];
-
-
-for (const route of routes) {
-  if (route.match) {
-    data.pageClass = route.pageClass;
-    const result = await route.handler(request, url, ctx, debug, data.html, env, data.blogId, data.pageClass);
-
-    if (result instanceof Response) {
-      // Handler returned a final Response — terminate routing
-      response = result;
-      break;
-    } else if (typeof result === 'string') {
-      // Handler returned modified HTML — continue processing
-      data.html = result;
-      break;
-    }
-  }
-}
-
-if (response) { 
-  return response;
-}
-// END OF REVERTED ROUTER LOGIC
-
-    // Placeholder functions for each route handler
-    // These will contain the logic previously inside the if/else if blocks
-    async function handleMainPage(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the main page
-        if (url.pathname === "/") {
-          url.pathname = '/p/home.html';
-          const response = await cacheHelper(request, url.toString(), debug ? 1 : 3600, ctx);
-          html = await response.text();
-        } 
-        // main page specific styling
-        const imgRegex = /<img[^>]+src="([^"]+)"[^>]*>/i;
-        const firstImgMatch = html.match(imgRegex);
-        const bgImageURL = firstImgMatch?.[1];
-
-        // main-page art related code
-        lowResImage = resizeImage(bgImageURL, "s200");
-        highResImage = resizeImage(bgImageURL, "s0");
-
-        if (bgImageURL) {
-            // Build a regex to match <a> wrapping that specific image
-            const anchorImgRegex = new RegExp(
-                `<a[^>]*>\\s*(${firstImgMatch[0].replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')})\\s*</a>`,
-                'i'
-            );
-            // Replace the <a>...</a> with just the <img>
-            html = html.replace(anchorImgRegex, '');
-        }
-        // html = html.replace(imgRegex, '');
-        return html;
-    }
-
-    async function handlePostPage(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the post page
-        const synonyms = {
-          title: ['title', 'name', 'titel', 'naam'],
-          artist: ['artist', 'creator', 'artiest'],
-          medium: ['medium'],
-          date: ['date', 'datum'],
-          year: ['year', 'jaar'],
-          period: ['period', 'periode'],
-          series: ['series', 'serie']
-        };
-
-        const renderOrder = Object.keys(synonyms);
-        const prettify = s => s.charAt(0).toUpperCase() + s.slice(1);
-
-        // 1️⃣ Extract post-body <div> content
-        const bodyHTML = await querySelector(html, 'div.post-body', {
-          returnInnerHtml: true
-        });
 
-
-        // 2️⃣ Extract title
-        const objectTitle = await querySelector(html, "div.post h3.post-title", {
-          returnInnerHtml: true,
-          stripTags: true
-        });
-
-
-        // 3️⃣ Parse individual field lines
-        let parsed = {};
-        let parsedRawKeys = {};
-        let leftoverLines = [];
-
-        // Step 1: Normalize HTML into clean lines
-        let cleanHTML = bodyHTML
-          .replace(/\r\n|\r/g, '\n') // Normalize CRLF to LF
-          .replace(/<div[^>]*>/gi, '¶') // Replace opening <div> with pilcrow
-          .replace(/<\/div>/gi, '¶') // Replace closing </div> with pilcrow
-          .replace(/<br\s*\/?>/gi, '¶') // Replace <br> with pilcrow
-          .replace(/&nbsp;(?=\s*[:=])/gi, ' ') // Replace nbsp before : or = with space
-          .replace(/(?<=[:=]\s*)&nbsp;/gi, '') // Remove nbsp after :
-          .replace(/^(&nbsp;)+|(&nbsp;)+$/gi, '') // Trim leading/trailing nbsp
-          .replace(/<[^>]+>/g, '') // Strip all other tags
-          .replace(/[ \t]+/g, ' ') // Normalize spacing
-          .replace(/¶+/g, '¶') // Collapse multiple pilcrows
-          .replace(/^\s*¶|¶\s*$/g, ''); // Trim leading/trailing pilcrows
-        // .replace(/\s*¶\s*/g, '\n');                    // Convert pilcrow to actual line break
-
-
-        const lines = cleanHTML
-          .split('¶') // .split('\n')
-          .map(line => line.trim())
-          .filter(Boolean); // Remove empty lines
-
-        // Step 2: Parse structured lines using synonyms
-        for (const line of lines) {
-          let matched = false;
-
-          for (const [canonicalKey, variants] of Object.entries(synonyms)) {
-            for (const variant of variants) {
-              const fieldRegex = new RegExp(`^${variant}\\s*[:=]\\s*(.*)$`, 'i');
-              const fieldMatch = line.match(fieldRegex);
-
-              if (fieldMatch && fieldMatch[1] !== undefined) {
-                parsed[canonicalKey] = fieldMatch[1].trim();
-                parsedRawKeys[canonicalKey] = variant;
-                matched = true;
-                break;
-              }
-            }
-            if (matched) break;
-          }
-
-          if (!matched) {
-            leftoverLines.push(line);
-          }
-        }
-
-        // Step 3: Inject fallback title if missing
-        if (!parsed.title && objectTitle) {
-          parsed.title = objectTitle.trim();
-        }
-
-
-
-        // 4️⃣ Extract labels
-        let labels = await querySelectorAll(html, "span.post-labels a", {
-          returnInnerHtml: true,
-          stripTags: true
-        });
-
-        // 5️⃣ Extract image & link
-        const imageLink = await getAttribute(html, "div.post-body div.separator a", "href");
-        const imageUrl = await getAttribute(html, "div.post-body div.separator a img", "src");
-
-        // 6️⃣ Render HTML
-        let cardHTML = '<div class="card">\n';
-
-        renderOrder.forEach(key => {
-          if (parsed[key]) {
-            const prettyKey = prettify(key);
-            cardHTML += `  <div class="field object-${key}">\n    <span class="key">${prettyKey}</span>: <span class="value">${parsed[key]}</span>\n  </div>\n`;
-          }
-        });
-
-        Object.entries(parsed).forEach(([key, value]) => {
-          if (!renderOrder.includes(key)) {
-            const prettyKey = prettify(key);
-            cardHTML += `  <div class="field object-${key}">\n    <span class="key">${prettyKey}</span>: <span class="value">${value}</span>\n  </div>\n`;
-          }
-        });
-
-        cardHTML += '</div>\n';
-
-        let notesHTML = '<div class="notes">\n';
-        for (const line of leftoverLines) {
-          notesHTML += `  <p>${line}</p>\n`;
-        }
-        notesHTML += '</div>\n';
-
-        let labelHTML = '';
-        if (labels.length > 0) {
-          labelHTML += `<div class="object-labels">\n`;
-          for (const label of labels) {
-            const safeLabel = encodeURIComponent(label);
-            labelHTML += `  <span class="object-label"><a href="/search/label/${safeLabel}">${label}</a></span>\n`;
-          }
-          labelHTML += `</div>\n`;
-        }
-
-        let imageHTML = '';
-        if (imageLink && imageUrl) {
-          imageHTML += `<div class="object-image"><div class="image-frame">\n`;
-          //imageHTML += `  <a href="${imageLink}">\n`;
-          imageHTML += `    <img src="${imageUrl}" alt="${objectTitle}" data-original-src="${imageLink}" class="view-original" />\n`;
-          // imageHTML += `  </a>\n`;
-          imageHTML += `</div></div>\n`;
-        }
-
-        let titleHTML = '';
-        if (objectTitle) {
-          titleHTML = `<h3 class="object-title">${objectTitle}</h3>\n`;
-        }
-
-        let objectHTML = titleHTML + imageHTML + cardHTML + notesHTML + labelHTML;
-
-        // uncomment to debug original formatting issues
-        // objectHTML = objectHTML + "<br/>==========================================<br/><br/>" + cleanHTML + "<br/>--------------------------------------------------------------------------------<br/><br/>" + bodyHTML + "<br/>==========================================<br/><br/>";
-
-const insertBeforePost = (html, objectHTML) => {
-  const postDivRegex = /<div[^>]*class=["'][^"']*\bpost\b[^"']*["'][^>]*>/i;
-  const match = html.match(postDivRegex);
-
-  if (match) {
-    const insertIndex = html.indexOf(match[0]);
-    const before = html.slice(0, insertIndex);
-    const after = html.slice(insertIndex);
-    return before + `<div class="object">\n${objectHTML}</div>\n` + after;
+  // A handler either ends the request with a Response, or updates data.html or data.content for the
+  // page pipeline
+  const result = await metrics.time('parse', () => matched.route.handler(data));
+  if (result instanceof Response) {
+    return result;
   }
-
-  // Fallback if no post div found
-  return html;
-};
-
-        html = insertBeforePost(html, objectHTML);
-        return html;
-    }
-
-    async function handleStaticPage(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the static page
-        // The original code has no specific logic for this page type, so we can leave it empty or add a comment.
-        // It's here for completeness and to show how a handler would be structured.
-        return null; // Return null so the main fetch function can continue processing
-    }
-
-    async function handleLabelSearch(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the label search page
-        return null; // Return null so the main fetch function can continue processing
-    }
-
-    async function handleFullSearch(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the full search page
-        return null; // Return null so the main fetch function can continue processing
-    }
-
-    async function handleAtomFeed(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the Atom feed
-        const format = url.searchParams.get('alt'); // Checks for ?alt=json
-        const feedUrl = format === 'json' ?
-          'https://' + url.hostname + '/feeds/posts/default?alt=json' :
-          'https://' + url.hostname + '/feeds/posts/default';
-
-        try {
-          // ✅ 3. Dynamic cache duration
-          const feedRes = await cacheHelper(request, feedUrl, debug ? 1 : 3600, ctx);
-
-          if (!feedRes.ok) {
-            return new Response(`Feed fetch failed: ${feedRes.status}`, {
-              status: 502
-            });
-          }
-
-          const body = await feedRes.text();
-          const contentType = feedRes.headers.get('Content-Type') || (format === 'json' ? 'application/json' : 'application/atom+xml');
-
-          return new Response(body, {
-            status: 200,
-            headers: {
-              'Content-Type': contentType,
-              'Cache-Control': 'no-store'
-            }
-          });
-
-        } catch (err) {
-          return new Response(`Feed error: ${err.message}`, {
-            status: 500
-          });
-        }
-    }
-
-    async function handleJsonFeed(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the JSON feed
-        const feedUrl = 'https://' + url.hostname + '/feeds/posts/default?alt=json';
-
-        try {
-          // ✅ 3. Dynamic cache duration
-          const feedRes = await cacheHelper(request, feedUrl, debug ? 1 : 3600, ctx);
-
-          if (!feedRes.ok) {
-            return new Response(`Feed fetch failed: ${feedRes.status}`, {
-              status: 502
-            });
-          }
-
-          const json = await feedRes.text(); // Use text() to stream untouched JSON
-          return new Response(json, {
-            status: 200,
-            headers: {
-              'Content-Type': 'application/json',
-              'Cache-Control': 'no-store'
-            }
-          });
-        } catch (err) {
-          return new Response(`Feed error: ${err.message}`, {
-            status: 500
-          });
-        }
-    }
-
-    async function handleFavicon(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the favicon
-        return new Response(null, { status: 204 });
-    }
-
-    async function handleGetNews(request, url, ctx, debug, html, env, blogId, pageClass) {
-        // Logic for the news feed
-        const feedUrl = `https://www.blogger.com/feeds/${blogId}/posts/default/-/news?alt=json`;
-        console.log(feedUrl);
-        try {
-            const res = await fetch(feedUrl);
-            if (!res.ok) throw new Error('Failed to fetch feed');
-            const data = await res.json();
-            const entries = data.feed.entry || []; // Extract and sort by published date (descending)
-            const newsItems = entries
-                .map(entry => {
-                    const title = entry.title?.['$t'] || 'Untitled';
-                    const content = entry.content?.['$t'] || '';
-                    const link = entry.link?.find(l => l.rel === 'alternate')?.href || '#';
-                    const published = new Date(entry.published?.['$t'] || 0);
-                    return {
-                        title,
-                        content,
-                        link,
-                        published
-                    };
-                })
-                .sort((a, b) => b.published - a.published);
-            // Build HTML response
-            const html = `
-                <div class="news">
-                  ${newsItems.map(item => `
-                    <div class="news-item">
-                      <a href="${item.link}">
-                        <h2 class="news-title">${escapeHtml(item.title)}</h2>
-                      </a>
-                      <div class="news-content">${item.content}</div>
-                    </div>
-                  `).join('')}
-                </div>
-            `;
-            return new Response(html, {
-                headers: {
-                    'Content-Type': 'text/html; charset=utf-8'
-                }
-            });
-        } catch (err) {
-            return new Response(`Error: ${err.message}`, {
-                status: 500
-            });
-        }
-    }
-
-
-    
-
-
+}
 
     /*
     // insert JavaScript variable inside page
@@ -569,18 +279,15 @@ const insertBeforePost = (html, objectHTML) => {
     // rewriter.on('head', new ScriptInjector('myVar', 'Hello from Cloudflare'))
     */
 
-// Extract the original body content
-const bodyMatch = data.html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-const originalBodyContent = bodyMatch?.[1]?.trim() || '';
-const wrappedMain = `<main>\n${originalBodyContent}\n</main>`;
-
-let extraHeadContent = "", newBodyContent = "";
+// The site's layout goes around Blogger's body while the page streams (see PageLayout below):
+// head content, then the header, Blogger's body in <main>, and the footer
+let extraHeadContent = "", layoutHeader = "", layoutFooter = "";
 
 // add default content blocks
-if (config.useGitHub) { 
+if (siteConfig.useGitHub) { 
     const githubUrl = "https://raw.githubusercontent.com/netlands/sites-templates/main/gallery-site.html";
     // ✅ 3. Pass debug flag to cache function
-    const response = await cacheHelper(request, githubUrl, debug ? 1 : 7200, ctx);
+    const response = await cacheHelper(request, githubUrl, debug ? 1 : 7200, ctx, { env, tags: [cacheTag('template', 'github')] });
     const htmlSnippet = await response.text();
 
     // Extract inner head and body using regex
@@ -590,18 +297,16 @@ if (config.useGitHub) {
     extraHeadContent = headContent?.[1] || '';
     const extraBodyContent = bodyContent?.[1] || '';
 
-    // Inject <main> right after </header> in the template body content
-    newBodyContent = extraBodyContent;
+    // <main> goes right after </header> in the template body content
     const headerCloseTag = '</header>';
     const headerIndex = extraBodyContent.indexOf(headerCloseTag);
     
     if (headerIndex !== -1) {
-      const beforeHeader = extraBodyContent.slice(0, headerIndex + headerCloseTag.length);
-      const afterHeader = extraBodyContent.slice(headerIndex + headerCloseTag.length);
-      newBodyContent = `${beforeHeader}\n${wrappedMain}\n${afterHeader}`;
+      layoutHeader = extraBodyContent.slice(0, headerIndex + headerCloseTag.length);
+      layoutFooter = extraBodyContent.slice(headerIndex + headerCloseTag.length);
     } else {
-      // Fallback: just prepend main if header not found
-      newBodyContent = `${wrappedMain}\n${extraBodyContent}`;
+      // Fallback: main first if header not found
+      layoutFooter = extraBodyContent;
     }
 } else { 
 
@@ -617,62 +322,68 @@ if (config.useGitHub) {
     `html:header`,
     `html:footer`
   ];
-  const [head, style, script, header, footer] = await Promise.all(
+  const [head, style, script, header, footer] = await metrics.time('kv', () => Promise.all(
     // kvKeys.map(key => env.GALLERY.get(key))
     kvKeys.map(key => getCachedKV(env, key))
-  );
+  ));
   extraHeadContent = head || "";
   let defaultStyle = "", defaultScript = "";
   if (style) { 
-    if (!config.bundleStyles) { defaultStyle = `\n<style>${style}</style>` || ""; } else { styleArray.push(style); }
+    if (!siteConfig.bundleStyles) { defaultStyle = `\n<style>${style}</style>` || ""; } else { data.styles.push(style); }
   }
   if (script) { 
-    if (!config.bundleScripts) { defaultScript = `\n<script>${script}</script>` || ""; } else { scriptArray.push(script); }
+    if (!siteConfig.bundleScripts) { defaultScript = `\n<script>${script}</script>` || ""; } else { data.scripts.push(script); }
   }
-  const headerElement = header || "";
-  const footerElement = footer || "";
+  layoutHeader = header || "";
+  layoutFooter = footer || "";
 
   extraHeadContent = `${extraHeadContent}${defaultStyle}${defaultScript}`;
-  newBodyContent = `\n\n${headerElement}\n${wrappedMain}\n${footerElement}\n\n`;
 
 }  
 
 // ✅ 3. Pass debug flag to get metadata
-const { tags, recent } = await getMetaDataWithTimeout(url, ctx, debug);
-
-// Rebuild the body
-data.html = data.html
-  .replace('</head>', `${extraHeadContent}\n</head>`)
-  // A simple check to ensure the match was successful before trying to use it.
-  if (bodyMatch && bodyMatch[0]) {
-    data.html = data.html.replace(bodyMatch[0], `<body>\n${newBodyContent}\n</body>`);
-  } else {
-    // Handle the case where no match was found.
-    console.error("Could not find the <body> tag to replace.");
-  }
+// The not-found page, often a bot scan, waits no longer for the catalog than for its suggestions
+const { tags, recent } = await metrics.time('meta', () => getMetaDataWithTimeout(url, ctx, env, metrics, siteConfig, isNotFound ? CATALOG_WAIT_MS : undefined));
 
- 
-    //* below depend on the header and footer being inserted correctly *//
     // add site personalization based on the title
-     let sitename = 'Gallery'; // default fallback
-    // Try to extract from data-sitename in the <html> tag
-    const htmlTagMatch = data.html.match(/<html[^>]*?\sdata-sitename=["']([^"']+)["']/i);
-    if (htmlTagMatch) {
-      sitename = htmlTagMatch[1];
-    }
+    // Taken from data-sitename in the <html> tag, 'Gallery' as fallback
+    const sitename = extractSiteName(data.head);
     
+    if (data.pageClass === 'main-page') {
+      data.jsonLd.push(buildWebSite({
+        origin: `https://${url.hostname}`,
+        name: sitename,
+        lang: extractPageLanguage(data.head)
+      }));
+    }
+
+    // Open Graph / Twitter card defaults are site-level
+    if (data.social) {
+      const existingDescription = data.head.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']*)["']/i)?.[1];
+      data.social = {
+        ...data.social,
+        url: `https://${url.hostname}${data.pageClass === 'main-page' ? '/' : url.pathname}`,
+        title: data.social.title ? `${data.social.title} | ${sitename}` : sitename,
+        description: data.social.description || existingDescription || sitename,
+        siteName: sitename,
+        lang: extractPageLanguage(data.head)
+      };
+    }
+
     // add site specific style sheet
     const sanitizedName = sitename.replace(/\s+/g, '').toLowerCase();
 
     const styleUrl = `https://raw.githubusercontent.com/netlands/sites-templates/main/${sanitizedName}.css`;
     let inlineCSS = '';
+    const stopThemeTimer = metrics.start('theme');
     try {
       // ✅ 3. Pass debug flag to cache function
-      const cssResponse = await cacheHelper(request, styleUrl, debug ? 1 : 86400, ctx);
+      const cssResponse = await cacheHelper(request, styleUrl, debug ? 1 : 86400, ctx, { env, tags: [cacheTag('template', 'github')] });
+      if (!cssResponse.ok) throw new Error(`status ${cssResponse.status}`);
       inlineCSS = await cssResponse.text();
-      if (config.bundleStyles) styleArray.push(inlineCSS);
+      if (siteConfig.bundleStyles) data.styles.push(inlineCSS);
     } catch (err) {
-      console.error(`CSS fetch failed: ${err}`);
+      metrics.error('theme css', err);
     }
 
 
@@ -681,6 +392,7 @@ data.html = data.html
     // 'https://raw.githubusercontent.com/netlands/sites-templates/main/' + sanitizedName + '-logo.' + logotype;
     // ✅ 3. Pass debug flag to cache function
     const logoExists = await checkContentExistsAndCache(new URL(LOGO_URL), ctx);
+    stopThemeTimer();
 
 
 
@@ -697,7 +409,7 @@ data.html = data.html
           if (data.blogId) {
                 el.setAttribute('data-blogid', data.blogId);
           }
-          if (config.debug) {
+          if (debug) {
             el.setAttribute('debug', '');
           }
         }
@@ -732,7 +444,7 @@ data.html = data.html
             "class",
             currentValue ? `${currentValue} theme-${sanitizedName}` : `theme-${sanitizedName}`
           );            
-          if (inlineCSS.trim() && !config.bundleStyles) {
+          if (inlineCSS.trim() && !siteConfig.bundleStyles) {
             el.append(`<style>\n/* theme-${sanitizedName} */\n${inlineCSS}\n</style>`, { html: true });
           }
         }
@@ -757,23 +469,26 @@ data.html = data.html
         });
       }
 
-      class HeadPreloadInjector {
-        constructor(lowRes, highRes) {
-          this.lowRes = lowRes;
-          this.highRes = highRes;
-        }
-      
-        element(head) {
-          head.append(`
-            <link rel="preload" as="image" href="${this.lowRes}" fetchpriority="high" data-name="lowres-image">
-            <link rel="preload" as="image" href="${this.highRes}" fetchpriority="low" data-name="highres-image">
-          `, { html: true });
-        }
+      if (data.pageClass === 'main-page' && data.lowResImage) {  
+        rewriter.on("head", new HeadPreloadInjector(data))
+      }  
+
+      // schema.org structured data collected by the route handlers
+      if (data.jsonLd.length > 0) {
+        rewriter.on('head', new HtmlInjector(renderJsonLd(data.jsonLd)));
       }
 
-      if (data.pageClass === 'main-page') {  
-        rewriter.on("head", new HeadPreloadInjector(lowResImage, highResImage))
-      }  
+      if (data.noindex) {
+        rewriter.on('head', new HtmlInjector('<meta name="robots" content="noindex">\n'));
+      }
+
+      // replace Blogger's generic og:/twitter: tags with our own
+      if (data.social) {
+        SOCIAL_META_SELECTORS.forEach(selector => {
+          rewriter.on(selector, { element(el) { el.remove(); } });
+        });
+        rewriter.on('head', new HtmlInjector(renderSocialMeta(data.social)));
+      }
 
 
       // menu related 
@@ -781,8 +496,7 @@ data.html = data.html
         constructor(menuHtml) {
           this.menuHtml = menuHtml;
           if (!menuHtml) {
-            const menuArray =  [ { title: 'About', url: '/p/about.html' }, { title: 'News', url: '/p/news.html' }, { title: 'Contact', url: '/p/contact.html' } ];
-            this.menuHtml = renderMenuLinks(menuArray);
+            this.menuHtml = renderMenuLinks(getMenuEntries(null));
           }
         }
       
@@ -796,39 +510,6 @@ data.html = data.html
             
 
 
-        // rewriter.on("a", new HideLinksByText(targets));
-         const targets = ["some text", "other text"];
-
-         class HideLinksByText {
-          constructor(targets) {
-            this.targets = targets.map(t => t.toLowerCase());
-          }
-        
-          // Called when the <a> tag starts
-          element(el) {
-            el.setAttribute("data-should-remove", "false"); // default flag
-            el.tagName = "a"; // ensure it's an <a> tag
-          }
-        
-          // Called for each text chunk inside the <a>
-          text(textChunk) {
-            const content = textChunk.text.trim().toLowerCase();
-            if (this.targets.some(target => content.includes(target))) {
-              textChunk.before(""); // optional: blank out the text
-              textChunk.remove();   // remove the chunk
-              this.shouldRemove = true;
-            }
-          }
-        
-          // Called when the tag ends
-          end(el) {
-            if (this.shouldRemove) {
-              el.remove(); // now safely remove the whole <a> tag
-            }
-          }
-        }
-        
- 
         class ReplaceWordInElement {
           constructor(selector, fromWord, toWord) {
             this.selector = selector;
@@ -851,7 +532,6 @@ data.html = data.html
         }
 
         if (data.pageClass === 'label-search' || data.pageClass === 'full-search' ) {
-          // rewriter.on("a", new HideLinksByText(targets));
           rewriter.on('div.status-msg-body', new ReplaceWordInElement('div.status-msg-body', 'posts', 'works'));
           const tagsToRemove = ['a'];
           class RemoveElement {
@@ -866,23 +546,24 @@ data.html = data.html
 
         }
 
-        if (data.pageClass === 'label-search' || data.pageClass === 'full-search' || data.pageClass === 'post-page' || data.pageClass === 'main-page') {
-          data.html = await simplifyHtml(data.html,'div.main', ['div.blog-posts', 'div.blog-pager'])
+        // Reduce div.main to the post list and pager while streaming; registered before the
+        // template tag handlers, which skip the text it removes
+        if (data.route?.simplify) {
+          const simplifier = new MainContentSimplifier(['div.blog-posts', 'div.blog-pager']);
+          rewriter.on('div.main', simplifier.container);
+          rewriter.on('div.main *', simplifier.descendants);
         }  
 
 
         // template related functions
         // Use the single, unified parser for all content transformations
         rewriter.on('*', new templateTagParser());      
-        data.html = injectLayoutClasses(data.html);     
         //html = cleanTitle(html);
 
 
       
         
-    data.html  = cleanBloggerArtifacts(data.html);
- 
-    data.html = data.html.replace(/&nbsp;/g, '\u00A0');
+    removeBloggerArtifacts(rewriter);
 
     rewriter.on('title', new FinalCleanupHandler());
     rewriter.on('h3', new FinalCleanupHandler());
@@ -918,28 +599,31 @@ data.html = data.html
       }  
     } else {
       rewriter.on("*", new RemoveIfDebugClass());
-      // In production, allow caching for a short period (e.g., 5 minutes) to improve performance
-      // for repeat visitors while ensuring content stays relatively fresh.
-      responseHeaders.set('Cache-Control', 'public, max-age=300');
+      // In production, allow caching for a short period (the route's cacheSeconds, 5 minutes for pages)
+      // to improve performance for repeat visitors while ensuring content stays relatively fresh.
+      responseHeaders.set('Cache-Control', `public, max-age=${data.cacheSeconds}`);
     }
 
-  const routeKey = data.pageClass === '/' ? '/main-page' : `/${data.pageClass.replace(/^\/+/, '')}`;
+  // Per-route KV assets (html:/<assets>, css:/<assets>, js:/<assets>), unmatched pages use their pageClass
+  const assetKey = data.route ? data.route.assets : data.pageClass;
 
   // Fetch KV entries
-  const [htm, css, js] = await Promise.all([
-    getCachedKV(env, `html:${routeKey}`),
-    getCachedKV(env, `css:${routeKey}`),
-    getCachedKV(env, `js:${routeKey}`)
-  ]);
+  const [htm, css, js] = assetKey
+    ? await metrics.time('kv', () => Promise.all([
+      getCachedKV(env, `html:/${assetKey}`),
+      getCachedKV(env, `css:/${assetKey}`),
+      getCachedKV(env, `js:/${assetKey}`)
+    ]))
+    : [null, null, null];
 
     if (css) {
-      if (!config.bundleStyles) { rewriter.on('body', new StyleInjector(css)); } else {
-        styleArray.push(css);       
+      if (!siteConfig.bundleStyles) { rewriter.on('body', new StyleInjector(css)); } else {
+        data.styles.push(css);
       }
     }
     if (js) {
-      if (!config.bundleScripts) { rewriter.on('body', new ScriptInjector(js)); } else {
-        scriptArray.push(js); 
+      if (!siteConfig.bundleScripts) { rewriter.on('body', new ScriptInjector(js)); } else {
+        data.scripts.push(js);
       }
     }
     if (htm) {
@@ -948,110 +632,237 @@ data.html = data.html
 
 
 
-    // Await the result of the extraction function
-    if (config.bundleScripts || config.bundleStyles) {
-      const { html: processedHtml, styles: processedStyles, scripts: processedScripts } = await extractAndRemoveStylesAndScripts(data.html, config.bundleScripts, config.bundleStyles);
+    // Inline styles of the <head> and inline scripts are bundled while the page streams
+    const bundler = new AssetBundler(data);
+    rewriter
+      .on('head', bundler.head)
+      .on('body', bundler.body)
+      .on('head style', bundler.styles)
+      .on('script:not([src])', bundler.scripts);
 
-      data.html = processedHtml;
-      
-      // combine in-file and added script blocks
-      scriptArray = processedScripts.concat(scriptArray);
-      styleArray = processedStyles.concat(styleArray);
+    // The layout is built in a rewriter of its own, as the handlers of the page rewriter have to see
+    // the header, footer and route content it inserts (see streamhandlers.js)
+    const layout = new PageLayout({
+      headContent: extraHeadContent,
+      header: layoutHeader,
+      footer: layoutFooter,
+      bodyClasses: findLayoutClasses(data.head, extraHeadContent, layoutHeader, layoutFooter, data.html),
+      content: data.content
+    });
+    const layoutRewriter = new HTMLRewriter()
+      .on('head', layout.head)
+      .on('body', layout.body)
+      .onDocument(replaceNbsp())
+      .onDocument({
+        end() {
+          if (!layout.bodyFound) metrics.error('layout', 'Could not find the <body> tag to build the layout in');
+        }
+      });
+    if (data.content !== null) {
+      layoutRewriter
+        .on('div.blog-posts', layout.postList)
+        .on('div.blog-pager', layout.remove)
+        .on('div.status-msg-wrapper', layout.remove);
     }
 
-      if (config.bundleStyles && styleArray.length > 0) {
-        // const bundledStyleContent = styleArray.join('\n');
-        // Insert the style tag at the end of the <head> element
-        // data.html = await insertHtml(data.html, 'head', 'beforeend',`<style>\n/* Bundled styles */\n${bundledStyleContent}\n</style>`);  
-        rewriter.on('head', new HeadHandler());
-      }
-      if (config.bundleScripts && scriptArray.length > 0) {rewriter.on('body', new BodyHandler());}
-    
-
-    return rewriter.transform(new Response(data.html, {
+    // Rewriting happens while the page streams from the origin, unless the route read it whole;
+    // its duration is in the request log line
+    const rendered = rewriter.transform(layoutRewriter.transform(new Response(data.html ?? origin.body, {
+      status: data.status,
       headers: responseHeaders
-    }));
-  }
-};
+    })));
+
+    // Only pages rendered successfully are kept, error pages are rendered every time. Pages of the
+    // worker's own (e.g. /browse) are built on Blogger's 404 page, so the origin status only counts
+    // for routes showing a Blogger page.
+    const renderedOk = data.status === 200 && (originalResponse.ok || !data.route?.notFound);
+    if (pageKey && renderedOk) {
+      return storeCachedPage(rendered, pageKey, ctx, {
+        tags: [cacheTag('site', url.hostname), ...data.cacheTags],
+        freshSeconds: data.cacheSeconds
+      });
+    }
+    return rendered;
+}
 
-class RemoveIfDebugClass {
-  element(element) {
-    const classAttr = element.getAttribute("class");
-    if (classAttr && classAttr.split(/\s+/).includes("debug")) {
-      element.remove();
+// Route handlers, registered on `router` above the fetch handler.
+// Each receives the request context (see requestcontext.js) with `params` and `route`.
+
+async function handleMainPage(context) {
+    const { request, url, ctx, debug, env } = context;
+    let { html } = context;
+    // Logic for the main page
+    if (url.pathname === "/") {
+      url.pathname = '/p/home.html';
+      const response = await cacheHelper(request, url.toString(), debug ? 1 : 3600, ctx, { env });
+      if (response.status >= 500) {
+        throw new OriginError(`Home page unavailable: ${await response.text()}`, response.status);
+      }
+      html = await response.text();
+    } 
+    // main page specific styling
+    const imgRegex = /<img[^>]+src="([^"]+)"[^>]*>/i;
+    const firstImgMatch = html.match(imgRegex);
+    const bgImageURL = firstImgMatch?.[1];
+
+    // main-page art related code
+    context.lowResImage = bgImageURL ? resizeImage(bgImageURL, "s200") : null;
+    context.highResImage = bgImageURL ? resizeImage(bgImageURL, "s0") : null;
+
+    // site-level share card built from the first image
+    context.social = { image: bgImageURL, type: 'website' };
+
+    if (bgImageURL) {
+        // Build a regex to match <a> wrapping that specific image
+        const anchorImgRegex = new RegExp(
+            `<a[^>]*>\\s*(${firstImgMatch[0].replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')})\\s*</a>`,
+            'i'
+        );
+        // Replace the <a>...</a> with just the <img>
+        html = html.replace(anchorImgRegex, '');
     }
-  }
+    // html = html.replace(imgRegex, '');
+    context.html = html;
 }
 
+async function handlePostPage(context) {
+    const { request, url, ctx, debug, env, siteConfig } = context;
+    let { html } = context;
+    // Logic for the post page
+    const schema = await loadFieldSchema(env, url.hostname);
+    const lang = extractPageLanguage(html);
 
+    // 1️⃣ Extract post-body <div> content
+    const bodyHTML = await querySelector(html, 'div.post-body', {
+      returnInnerHtml: true
+    });
 
-/**
- * Asynchronously fetches a JSON feed, handles potential errors, and returns a sanitized list of entries.
- * This function is designed to be resilient to non-existent hostnames, network issues, or malformed JSON.
- * @param {URL} url The URL object containing the hostname to fetch the feed from.
- * @param {ExecutionContext} ctx The execution context.
- * @param {boolean} debug - If true, sets a very short cache duration.
- * @returns {Promise<{entries: Array<Object>}>} An object containing an array of feed entries.
- * Returns `{ entries: [] }` on any error to ensure a consistent return type.
- */
-async function getParsedJson(url, ctx, debug = false) {
-  try {
-    const fullUrl = `https://${url.hostname}/feeds/posts/default?alt=json`;
-    console.log(`Attempting to fetch from: ${fullUrl}`);
 
-    // Set cache duration based on the debug flag
-    const cacheDuration = debug ? 1 : config.cacheDurationSeconds;
-    const res = await cacheHelper(new Request(fullUrl), fullUrl, cacheDuration, ctx);
+    // 2️⃣ Extract title
+    const objectTitle = await querySelector(html, "div.post h3.post-title", {
+      returnInnerHtml: true,
+      stripTags: true
+    });
+
 
-    if (!res.ok) {
-      throw new Error(`HTTP error! Status: ${res.status} - ${res.statusText}`);
+    // 3️⃣ Parse individual field lines using the site's field schema
+    // ?units=in|cm converts dimensions on request
+    const units = url.searchParams.get('units');
+    const { parsed, typed, leftoverLines, cleanHTML } = parseArtworkFields(bodyHTML, schema, { unit: units });
+
+    // Step 3: Inject fallback title if missing
+    if (!parsed.title && objectTitle) {
+      parsed.title = objectTitle.trim();
     }
-    
-    const raw = await res.json();
-    
-    return {
-      entries: raw?.feed?.entry || []
-    };
-  } catch (error) {
-    console.error("An error occurred while fetching the data:", error);
-    return {
-      entries: []
+
+
+
+    // 4️⃣ Extract labels
+    let labels = await querySelectorAll(html, "span.post-labels a", {
+      returnInnerHtml: true,
+      stripTags: true
+    });
+
+    // 5️⃣ Extract image & link
+    const imageLink = await getAttribute(html, "div.post-body div.separator a", "href");
+    const imageUrl = await getAttribute(html, "div.post-body div.separator a img", "src");
+    const imageWidth = await getAttribute(html, "div.post-body div.separator a img", "width");
+    const imageHeight = await getAttribute(html, "div.post-body div.separator a img", "height");
+
+    // 6️⃣ Render HTML
+    let cardHTML = '<div class="card">\n';
+
+    const renderOrder = schema.fields.map(field => field.key);
+    const hiddenKeys = schema.fields.filter(field => field.hidden).map(field => field.key);
+
+    const renderField = (key, value) => {
+      const prettyKey = fieldLabel(schema, key, lang);
+      const typedValue = typed[key];
+      // Show converted dimensions, otherwise keep the text as written in the post
+      const displayValue = typedValue?.type === 'dimensions' && typedValue.unit !== typedValue.sourceUnit
+        ? typedValue.display
+        : value;
+      return `  <div class="field object-${key}"${fieldDataAttributes(typedValue)}>\n    <span class="key">${prettyKey}</span>: <span class="value">${displayValue}</span>\n  </div>\n`;
     };
-  }
-}
 
-async function getMetaDataWithTimeout(url, ctx, debug = false, timeout = 2000) {
-  const metaPromise = (async () => {
-    // Pass the debug flag down to the next function
-    const feed = await getParsedJson(url, ctx, debug);
-    const tagsSet = new Set();
-    const recentPosts = [];
-
-    feed.entries.forEach(entry => {
-      entry.category?.forEach(c => tagsSet.add(c.term));
-      recentPosts.push({
-        title: entry.title?.$t,
-        href: entry.link?.find(l => l.rel === "alternate")?.href,
-        published: entry.published?.$t
-      });
+    renderOrder.forEach(key => {
+      if (parsed[key] && !hiddenKeys.includes(key)) {
+        cardHTML += renderField(key, parsed[key]);
+      }
     });
 
-    const tags = Array.from(tagsSet).sort();
-    const recent = recentPosts
-    .filter(post => post.published) // ensures published exists
-    //.sort((a, b) => new Date(b.published) - new Date(a.published)) // warning regarding date formatting can be ignored
-    .sort((a, b) => new Date(b.published).valueOf() - new Date(a.published).valueOf()) 
-    .slice(0, 5);
-  
-    return { tags, recent };
-  })();
+    Object.entries(parsed).forEach(([key, value]) => {
+      if (!renderOrder.includes(key)) {
+        cardHTML += renderField(key, value);
+      }
+    });
 
-  const timeoutPromise = new Promise(resolve =>
-    setTimeout(() => resolve({ tags: [], recent: [] }), timeout)
-  );
+    cardHTML += '</div>\n';
 
-  return Promise.race([metaPromise, timeoutPromise]);
-}
+    let notesHTML = '<div class="notes">\n';
+    for (const line of leftoverLines) {
+      notesHTML += `  <p>${line}</p>\n`;
+    }
+    notesHTML += '</div>\n';
+
+    let labelHTML = '';
+    if (labels.length > 0) {
+      labelHTML += `<div class="object-labels">\n`;
+      for (const label of labels) {
+        const safeLabel = encodeURIComponent(label);
+        labelHTML += `  <span class="object-label"><a href="/search/label/${safeLabel}">${label}</a></span>\n`;
+      }
+      labelHTML += `</div>\n`;
+    }
+
+    let imageHTML = '';
+    if (imageLink && imageUrl) {
+      imageHTML += `<div class="object-image"><div class="image-frame">\n`;
+      //imageHTML += `  <a href="${imageLink}">\n`;
+      imageHTML += `    <img src="${imageUrl}" alt="${objectTitle}" data-original-src="${imageLink}" class="view-original" />\n`;
+      // imageHTML += `  </a>\n`;
+      imageHTML += `</div></div>\n`;
+    }
+
+    let titleHTML = '';
+    if (objectTitle) {
+      titleHTML = `<h3 class="object-title">${objectTitle}</h3>\n`;
+    }
+
+    // Previous/next within the series (or a shared label) from the cached index
+    let seriesHTML = '';
+    let relatedHTML = '';
+    const index = await getSearchIndex(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug });
+    if (index) {
+      const seriesNav = findSeriesSiblings(index.docs, {
+        path: url.pathname,
+        series: parsed.series,
+        labels
+      });
+      seriesHTML = renderSeriesNavigation(seriesNav);
+
+      // Related works are scored once per post and index version
+      const dateValue = typed.year || typed.date || typed.period;
+      const computeRelated = async () => scoreRelatedWorks(index.docs, {
+        path: url.pathname,
+        fields: parsed,
+        labels,
+        yearStart: dateValue ? parseInt(dateValue.start, 10) : null
+      }, {
+        exclude: seriesNav ? seriesNav.items.map(doc => doc.path) : []
+      }).map(({ doc }) => doc);
+
+      const relatedCacheUrl = `https://${url.hostname}/__related${url.pathname}?v=${index.builtAt}`;
+      const relatedDocs = debug
+        ? await computeRelated()
+        : await getCachedJson(relatedCacheUrl, siteConfig.cacheDurationSeconds, ctx, computeRelated);
+      relatedHTML = renderRelatedWorks(relatedDocs);
+    }
+
+    let objectHTML = titleHTML + imageHTML + cardHTML + notesHTML + labelHTML + seriesHTML + relatedHTML;
+
+    // uncomment to debug original formatting issues
+    // objectHTML = objectHTML + "<br/>==========================================<br/><br/>" + cleanHTML + "<br/>--------------------------------------------------------------------------------<br/><br/>" + bodyHTML + "<br/>==========================================<br/><br/>";
 
 const insertBeforePost = (html, objectHTML) => {
   const postDivRegex = /<div[^>]*class=["'][^"']*\bpost\b[^"']*["'][^>]*>/i;
@@ -1068,205 +879,566 @@ const insertBeforePost = (html, objectHTML) => {
   return html;
 };
 
-function escapeHTML(htmlString) {
-  return htmlString
-    .replace(/&/g, '&amp;')  // Must go first!
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+    html = insertBeforePost(html, objectHTML);
+
+    // Cache tags, so publishing this post or another one with the same labels refreshes the page
+    const postId = html.match(/<meta[^>]+content=["'](\d+)["'][^>]*itemprop=["']postId["']/i)?.[1];
+    if (postId) context.cacheTags.push(cacheTag('post', postId));
+    labels.forEach(label => context.cacheTags.push(cacheTag('label', label)));
+
+    // 7️⃣ Structured data for search engines
+    context.jsonLd.push(buildVisualArtwork({
+      url: `https://${url.hostname}${url.pathname}`,
+      // Blogger titles and notes may carry {{...}} / {%...%} template tags, stripped like in <title>,
+      // and HTML entities (&amp;, &#39;) that JSON-LD should carry as plain characters
+      title: decodeHtmlEntities(stripTemplateTags(objectTitle || parsed.title)),
+      fields: parsed,
+      typed,
+      imageUrl: imageLink || imageUrl,
+      labels,
+      description: decodeHtmlEntities(stripTemplateTags(leftoverLines.join(' ')))
+    }));
+
+    // Share card: prefer the aspect ratio of the embedded image, then the parsed dimensions
+    const summary = [parsed.artist, parsed.medium, parsed.year || parsed.date].filter(Boolean).join(', ');
+    context.social = {
+      title: objectTitle,
+      description: [summary, ...leftoverLines].filter(Boolean).join('. '),
+      image: imageLink || imageUrl,
+      imageSize: imageWidth && imageHeight
+        ? { width: imageWidth, height: imageHeight }
+        : (typed.dimensions ? { width: typed.dimensions.width, height: typed.dimensions.height } : null),
+      type: 'article'
+    };
+
+    context.html = html;
 }
 
+async function handleStaticPage(context) {
+    // Logic for the static page
+    // The original code has no specific logic for this page type, so we can leave it empty or add a comment.
+    // It's here for completeness and to show how a handler would be structured.
+    // Returning nothing leaves the page as it is, so the page pipeline streams the original page.
+}
 
-function getMenuEntries(json, maxentries = config.maxMenuEntries) {
-  const menuRegex = /\{\{menu(?::(\d+))?\}\}/i;
-  const entries = [];
+async function handleLabelSearch(context) {
+    const { request, url, ctx, debug, env, siteConfig } = context;
+    // Logic for the label search page
+    const { label } = context.params;
+    context.cacheTags.push(cacheTag('label', label));
+    const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+    const pageSize = siteConfig.labelPageSize;
+    const startIndex = (page - 1) * pageSize + 1;
 
-  for (const item of json.items || []) {
-    const match = item.title.match(menuRegex);
-    if (match) {
-      const number = match[1] ? parseInt(match[1], 10) : null;
-      const cleanedTitle = item.title.replace(menuRegex, '').trim();
-      const relativeUrl = item.url.replace(/^https?:\/\/[^/]+/, '');
+    const feedUrl = `https://${url.hostname}/feeds/posts/default/-/${encodeURIComponent(label)}?alt=json&start-index=${startIndex}&max-results=${pageSize}`;
+    let artworks = [];
+    let total = 0;
 
-      entries.push({
-        title: cleanedTitle,
-        url: relativeUrl,
-        order: number !== null ? number : Infinity
+    try {
+      const feedRes = await cacheHelper(request, feedUrl, debug ? 1 : siteConfig.cacheDurationSeconds, ctx, {
+        env,
+        tags: [cacheTag('label', label)]
       });
+      if (!feedRes.ok) throw new Error(`Label feed fetch failed: ${feedRes.status}`);
+      const feed = (await feedRes.json()).feed || {};
+      const schema = await loadFieldSchema(env, url.hostname);
+
+      total = parseInt(feed.openSearch$totalResults?.$t || '0', 10);
+      artworks = (feed.entry || []).map(entry => artworkFromFeedEntry(entry, schema));
+    } catch (err) {
+      // Fall back to Blogger's own post list
+      context.metrics.error(`label feed ${label}`, err);
+      return;
     }
-  }
 
-  // Sort and slice
-  entries.sort((a, b) => a.order - b.order);
-  const sliced = typeof maxentries === 'number'
-    ? entries.slice(0, maxentries)
-    : entries;
-
-  // If no valid entries, return fallback
-  if (sliced.length === 0) {
-    const fallback = [
-      { title: 'About', url: '/p/about.html' },
-      { title: 'News', url: '/p/news.html' },
-      { title: 'Contact', url: '/p/contact.html' }
-    ];
-    return typeof maxentries === 'number' ? fallback.slice(0, maxentries) : fallback;
-  }
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const countText = `${total} ${total === 1 ? 'work' : 'works'}`;
+
+    const gridHTML = `<div class="blog-posts label-results">
+  <div class="label-header">
+    <h2 class="label-title">${escapeHtml(label)}</h2>
+    <span class="label-count">${countText}</span>
+  </div>
+  ${renderArtworkGrid(artworks) || '<p class="no-results">No works found.</p>'}
+  ${renderPagination(url, page, totalPages)}
+</div>`;
+
+    // In place of Blogger's post list, while the page streams
+    context.content = gridHTML;
+
+    context.jsonLd.push(buildCollectionPage({
+      url: `https://${url.hostname}${url.pathname}`,
+      name: label,
+      items: artworks.map(artwork => ({
+        url: artwork.url,
+        title: artwork.title,
+        imageUrl: artwork.imageUrl
+      })),
+      startPosition: startIndex
+    }));
 
-  return sliced.map(({ title, url }) => ({ title, url }));
+    context.social = {
+      title: label,
+      description: `${countText} · ${label}`,
+      image: artworks.find(artwork => artwork.imageUrl)?.imageUrl,
+      type: 'website'
+    };
 }
 
-function renderMenuLinks(menuArray) {
-  return menuArray
-    .map(({ title, url }) => `<a href="${url}" class="top-menu-item">${title}</a>`)
-    .join('');
+async function handleFullSearch(context) {
+    const { url, ctx, debug, env, siteConfig } = context;
+    // Logic for the full search page
+    const q = (url.searchParams.get('q') || '').trim();
+    if (!q) return;
+
+    const index = await getSearchIndex(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug });
+    if (!index) return; // Fall back to Blogger's own search results
+
+    const query = parseQuery(q);
+    const results = searchIndex(index, query);
+    const highlightTerms = [...query.terms, ...Object.values(query.fields).flat()];
+
+    const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+    const pageSize = siteConfig.searchPageSize;
+    const totalPages = Math.max(1, Math.ceil(results.length / pageSize));
+    const pageResults = results.slice((page - 1) * pageSize, page * pageSize);
+
+    const resultItems = pageResults.map(({ doc }) => {
+      const details = [doc.artist, doc.medium, doc.year, doc.series]
+        .filter(Boolean)
+        .map(value => `<span class="result-field">${highlight(value, highlightTerms)}</span>`)
+        .join(', ');
+      const image = doc.image
+        ? `<img src="${escapeHtml(resizeImage(doc.image, 's200'))}" alt="${escapeHtml(doc.title)}" loading="lazy">`
+        : '';
+      const notes = doc.notes ? `\n    <p class="result-notes">${highlight(doc.notes.slice(0, 200), highlightTerms)}</p>` : '';
+      return `<li class="search-result">
+  <a href="${escapeHtml(doc.path)}">
+    <div class="result-thumb">${image}</div>
+    <h3 class="result-title">${highlight(doc.title, highlightTerms)}</h3>
+  </a>
+  <div class="result-details">${details}</div>${notes}
+</li>`;
+    });
+
+    const resultsHTML = `<div class="blog-posts search-results">
+  <div class="search-header">
+    <h2 class="search-title">${escapeHtml(q)}</h2>
+    <span class="search-count">${results.length} ${results.length === 1 ? 'result' : 'results'}</span>
+  </div>
+  ${resultItems.length > 0 ? `<ol class="search-result-list">\n${resultItems.join('\n')}\n</ol>` : '<p class="no-results">No works found.</p>'}
+  ${renderPagination(url, page, totalPages)}
+</div>`;
+
+    context.content = resultsHTML;
 }
 
+async function handleFeed(context) {
+    const { url, ctx, debug, env, siteConfig } = context;
+    // Atom (/atom), RSS 2.0 (/rss) and JSON Feed 1.1 (/json or /atom?alt=json) built from the catalog
+    const format = url.pathname === '/rss' ? 'rss'
+      : url.pathname === '/json' || url.searchParams.get('alt') === 'json' ? 'json'
+      : 'atom';
 
-class StyleInjector {
-  constructor(css) {
-    this.css = css;
-  }
-  element(el) {
-    el.append(`<style>${this.css}</style>`, { html: true });
-  }
+    // ?size=s1600 or ?size=w1200-h630 selects the enclosure image size
+    const sizeParam = url.searchParams.get('size') || '';
+    const imageSize = /^(?:s\d{1,4}|w\d{1,4}-h\d{1,4})$/.test(sizeParam) ? sizeParam : 's1200';
+    const maxResults = Math.min(Math.max(parseInt(url.searchParams.get('max-results') || '25', 10) || 25, 1), 100);
+
+    try {
+      const catalog = await getCatalog(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug });
+      if (!catalog) {
+        return new Response('Feed unavailable', { status: 503 });
+      }
+
+      const schema = await loadFieldSchema(env, url.hostname);
+      const origin = `https://${url.hostname}`;
+      const lang = siteConfig.language;
+      const site = {
+        origin,
+        title: catalog.site?.title || 'Gallery',
+        description: catalog.site?.description || '',
+        lang,
+        selfUrl: origin + url.pathname + url.search
+      };
+
+      const items = catalog.artworks
+        .slice(0, maxResults)
+        .map(artwork => toFeedItem(artwork, { origin, schema, lang }, imageSize));
+
+      const renderers = {
+        atom: [renderAtomFeed, 'application/atom+xml; charset=utf-8'],
+        rss: [renderRssFeed, 'application/rss+xml; charset=utf-8'],
+        json: [renderJsonFeed, 'application/feed+json; charset=utf-8']
+      };
+      const [render, contentType] = renderers[format];
+
+      return new Response(render(site, items), {
+        status: 200,
+        headers: {
+          'Content-Type': contentType,
+          'Cache-Control': debug ? 'no-store' : `public, max-age=${context.cacheSeconds}`
+        }
+      });
+    } catch (err) {
+      return new Response(`Feed error: ${err.message}`, {
+        status: 500
+      });
+    }
 }
 
-class ScriptInjector {
-  constructor(js) {
-    this.js = js;
-  }
-  element(el) {
-    el.append(`<script>${this.js}</script>`, { html: true });
-  }
+async function handleBrowse(context) {
+    const { url, ctx, debug, env, siteConfig } = context;
+    // Faceted browse page, all filter state lives in the query string
+    const index = await getSearchIndex(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug });
+    if (!index) return;
+
+    const filters = parseFilters(url.searchParams);
+    const matches = filterDocs(index.docs, filters)
+      .sort((a, b) => String(b.published).localeCompare(String(a.published)));
+    const facets = computeFacets(index.docs, filters);
+
+    const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+    const pageSize = siteConfig.labelPageSize;
+    const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const artworks = matches.slice((page - 1) * pageSize, page * pageSize).map(doc => ({
+      title: doc.title,
+      path: doc.path,
+      imageUrl: doc.image,
+      fields: { year: doc.year }
+    }));
+
+    const browseHTML = `<div class="blog-posts browse-results">
+  ${renderFacets(url, facets, filters)}
+  <section class="browse-grid">
+    <div class="browse-header">
+      <span class="browse-count">${matches.length} ${matches.length === 1 ? 'work' : 'works'}</span>
+    </div>
+    ${renderArtworkGrid(artworks) || '<p class="no-results">No works found.</p>'}
+    ${renderPagination(url, page, totalPages)}
+  </section>
+</div>`;
+
+    // /browse does not exist on Blogger, so the origin page is its "not found" page, with or without
+    // a post list to put this in place of
+    context.content = browseHTML;
 }
 
-class HtmlInjector {
-  constructor(html) {
-    this.html = html;
-  }
-  element(el) {
-    el.append(this.html, { html: true });
-  }
+async function handleNotFound(context) {
+    const { url, ctx, debug, env, siteConfig, metrics } = context;
+    // Blogger's 404 page, with suggestions for the path in place of its error message.
+    // A catalog still being built is not waited for, the page then has no suggestions.
+    const catalogPromise = getCatalog(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug }).catch(error => {
+      metrics.error('not found catalog', error);
+      return null;
+    });
+    ctx.waitUntil(catalogPromise);
+    const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(null), CATALOG_WAIT_MS));
+
+    const [template, catalog] = await Promise.all([
+      getCachedKV(env, 'html:/not-found'),
+      Promise.race([catalogPromise, timeoutPromise])
+    ]);
+    if (!catalog) metrics.log(`Not found page for ${url.pathname} without the catalog`);
+    const artworks = catalog?.artworks || [];
+
+    context.content = `<div class="blog-posts not-found-page">
+${renderNotFound({
+  template,
+  path: url.pathname,
+  suggestions: suggestPosts(artworks, url.pathname),
+  labels: popularLabels(artworks)
+})}
+</div>`;
+    context.noindex = true;
+    context.status = 404;
 }
 
+async function handleSuggest(context) {
+    const { url, ctx, debug, env, siteConfig } = context;
+    // Search-as-you-type suggestions for the header search box
+    const q = (url.searchParams.get('q') || '').trim().slice(0, 100);
+    const headers = {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': debug ? 'no-store' : `public, max-age=${context.cacheSeconds}`
+    };
 
+    if (q.length < 2) {
+      return new Response(JSON.stringify({ query: q, artworks: [], labels: [], pages: [] }), { headers });
+    }
 
-export async function simplifyHtml(htmlText, startSelector, keepSelectors = []) {
-  // Step 1: Get full outer HTML of startSelector
-  const startOuter = await querySelector(htmlText, startSelector, { returnInnerHtml: false });
-  if (!startOuter || typeof startOuter !== 'string') return htmlText;
+    const index = await getSearchIndex(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug });
+    if (!index) {
+      return new Response(JSON.stringify({ error: 'Search index unavailable' }), { status: 503, headers });
+    }
 
-  const kept = [];
-  const seenOffsets = [];
+    const pages = (await getLivePages(context)).map(item => ({
+      title: stripTemplateTags(item.title),
+      url: item.url.replace(/^https?:\/\/[^/]+/, '')
+    }));
 
-  // Step 2: For each keepSelector, find top-level matches inside startInner
-  for (const keepSel of keepSelectors) {
-    const matches = await querySelectorAll(startOuter, keepSel, { returnInnerHtml: false });
+    const suggestions = suggest(index, q, { pages });
+    suggestions.artworks = suggestions.artworks.map(artwork => ({
+      ...artwork,
+      image: artwork.image ? resizeImage(artwork.image, 's100') : null
+    }));
 
-    if (Array.isArray(matches)) {
-      for (const block of matches) {
-        console.log(block);
-        // Avoid nested matches: skip if this block is inside a previously kept block
-        if (seenOffsets.some(parent => parent.includes(block))) continue;
+    return new Response(JSON.stringify(suggestions), { headers });
+}
 
-        kept.push(block);
-        seenOffsets.push(block); // Track to avoid nesting
-      }
+async function getLivePages(context) {
+    // Live static pages from the Blogger pages API, an empty list when unavailable.
+    // Routes without the origin page take the blog id from the catalog.
+    const { request, url, ctx, debug, env, siteConfig } = context;
+    try {
+      const blogId = context.blogId ||
+        (await getCatalog(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug }))?.site?.blogId;
+      if (!blogId) return [];
+      const pageListUrl = `https://www.googleapis.com/blogger/v3/blogs/${blogId}/pages?fetchBodies=false&status=live&key=${context.bloggerAPIkey}`;
+      const pageListRes = await cacheHelper(request, pageListUrl, debug ? 1 : 3600, ctx, { env, tags: [cacheTag('pages', url.hostname)] });
+      const pagesJson = await pageListRes.json();
+      return pagesJson.items || [];
+    } catch (err) {
+      context.metrics.error('page list', err);
+      return [];
     }
-  }
+}
+
+async function handleSitemap(context) {
+    const { url, ctx, debug, env, siteConfig } = context;
+    // /sitemap.xml, split into /sitemap-<n>.xml behind a sitemap index when large
+    const catalog = await getCatalog(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug });
+    if (!catalog) {
+      return new Response('Sitemap unavailable', { status: 503 });
+    }
+
+    const pages = await getLivePages(context);
+    const entries = buildSitemapEntries(catalog, pages);
+    const xml = renderSitemap(url.pathname, `https://${url.hostname}`, entries, {
+      pageSize: siteConfig.sitemapPageSize,
+      lang: siteConfig.language,
+      languages: siteConfig.translatedLanguages
+    });
+
+    if (!xml) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    return new Response(xml, {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': debug ? 'no-store' : `public, max-age=${context.cacheSeconds}`
+      }
+    });
+}
 
-  htmlText = replaceElements(htmlText,startSelector,kept.join(''))
-  // Step 3: Replace full startSelector block with kept blocks
-  return htmlText;
+async function handleRobots(context) {
+    const { url, debug } = context;
+    return new Response(renderRobotsTxt(`https://${url.hostname}`), {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Cache-Control': debug ? 'no-store' : `public, max-age=${context.cacheSeconds}`
+      }
+    });
 }
 
+async function handleFavicon(context) {
 
+    // Logic for the favicon
+    return new Response(null, { status: 204 });
+}
 
-// This handler injects the bundled scripts at the end of the <body> tag.
-class BodyHandler {
-  /**
-   * Called when the rewriter encounters the <body> tag.
-   * @param {Element} element The <body> element.
-   */
-  element(element) {
-    if (config.bundleScripts && scriptArray.length > 0) {
-      // Join all the captured scripts and inject them into a new <script> tag.
-      const bundledScriptContent = scriptArray.join('\n');
-      element.append(`<script>\n/* Bundled scripts */\n${bundledScriptContent}\n</script>`, {
-        html: true
+async function handlePurge(context) {
+    const { request, url, env } = context;
+    // POST /admin/purge?tag=post:123&tag=label:portraits (or comma-separated) invalidates the cached
+    // origin responses carrying those tags, e.g. from a publish hook. Besides post and label tags:
+    // site:<hostname> (everything of a site), pages:<hostname> (page list and menu), template:github
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' };
+
+    if (!isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...headers, 'WWW-Authenticate': 'Bearer' }
       });
     }
-  }
+
+    const tags = url.searchParams.getAll('tag');
+    if (tags.length === 0) {
+      return new Response(JSON.stringify({ error: 'Missing tag parameter' }), { status: 400, headers });
+    }
+
+    try {
+      const purged = await purgeCacheTags(env, tags);
+      context.metrics.log(`Purged cache tags: ${purged.join(', ')}`);
+      return new Response(JSON.stringify({ purged, at: new Date().toISOString() }), { headers });
+    } catch (err) {
+      context.metrics.error('purge', err);
+      return new Response(JSON.stringify({ error: 'Purge failed' }), { status: 500, headers });
+    }
 }
 
-class HeadHandler {
-  /**
-   * Called when the rewriter encounters the <body> tag.
-   * @param {Element} element The <head> element.
-   */
-  element(element) {
-    if (config.bundleStyles && styleArray.length > 0) {
-      // Join all the captured scripts and inject them into a new <script> tag.
-      const bundledStyleContent = styleArray.join('\n');
-      element.append(`<style>\n/* Bundled styles */\n${bundledStyleContent}\n</style>`, {
-        html: true
+async function handleRedirectList(context) {
+    const { request, url, env } = context;
+    // GET /admin/redirects lists the site's redirect rules with their hit counts, least used first
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' };
+
+    if (!isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { ...headers, 'WWW-Authenticate': 'Bearer' }
       });
     }
+
+    try {
+      const rules = await listRedirectHits(env, url.hostname, context.metrics);
+      return new Response(JSON.stringify({ hostname: url.hostname, rules }, null, 2), { headers });
+    } catch (err) {
+      context.metrics.error('redirect list', err);
+      return new Response(JSON.stringify({ error: 'Listing failed' }), { status: 500, headers });
+    }
+}
+
+async function handleGetNews(context) {
+    const { request, url, ctx, debug, env, siteConfig } = context;
+    // News list fragment (or JSON) from the `news` label feed, embedded by the news page
+    const format = url.searchParams.get('format') === 'json' ? 'json' : 'html';
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '10', 10) || 10, 1), 50);
+    const sinceParam = url.searchParams.get('since');
+    const since = sinceParam && !isNaN(Date.parse(sinceParam)) ? new Date(sinceParam) : null;
+    const lang = url.searchParams.get('lang') || siteConfig.language;
+
+    const feedParams = new URLSearchParams({ alt: 'json', 'max-results': String(limit) });
+    if (since) feedParams.set('published-min', since.toISOString());
+    const feedUrl = `https://${url.hostname}/feeds/posts/default/-/news?${feedParams}`;
+
+    try {
+        const res = await cacheHelper(request, feedUrl, debug ? 1 : 900, ctx, { env, tags: [cacheTag('label', 'news')] });
+        if (!res.ok) throw new Error(`Failed to fetch feed: ${res.status}`);
+        const feed = (await res.json())?.feed || {};
+        const newsItems = newsItemsFromFeed(feed.entry, { since, limit });
+
+        const headers = {
+            'Cache-Control': debug ? 'no-store' : `public, max-age=${context.cacheSeconds}`
+        };
+
+        if (format === 'json') {
+            return new Response(JSON.stringify({ items: newsItemsToJson(newsItems, lang) }), {
+                headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' }
+            });
+        }
+
+        const template = await getCachedKV(env, 'html:news-item', debug ? 1 : 3600);
+        return new Response(renderNewsItems(newsItems, { template, lang }), {
+            headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    } catch (err) {
+        return new Response(`Error: ${err.message}`, {
+            status: 500
+        });
+    }
+}
+
+class RemoveIfDebugClass {
+  element(element) {
+    const classAttr = element.getAttribute("class");
+    if (classAttr && classAttr.split(/\s+/).includes("debug")) {
+      element.remove();
+    }
   }
 }
 
 
+
 /**
- * Traverses an HTML string to extract and remove all <style> and <script> blocks.
- *
- * @param {string} html The HTML string to process.
- * @returns {Promise<{html: string, styles: string[], scripts: string[]}>} An object containing the
- * modified HTML string and arrays of extracted style and script contents.
+ * Collects all tags and the most recent posts from the artwork catalog (see catalog.js).
+ * Resolves with empty lists when the catalog is not available within `timeout` milliseconds,
+ * so a slow feed never blocks the page.
+ * @param {URL} url The URL object containing the hostname of the site.
+ * @param {ExecutionContext} ctx The execution context.
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {RequestMetrics} metrics The request's metrics, which record a failed catalog read.
+ * @param {object} siteConfig - The site configuration (see siteconfig.js); in debug the catalog is rebuilt.
+ * @param {number} timeout - Maximum wait in milliseconds.
+ * @returns {Promise<{tags: string[], recent: Array<Object>}>}
  */
-export async function extractAndRemoveStylesAndScripts(html, extractScripts = true, extractStyles = true) {
-  const styleArray = [];
-  const scriptArray = [];
-
-  // Use querySelectorAll to find all <style> and <script> tags.
-  // The { returnInnerHtml: true } option is essential to get the content of the tags.
-  const styleElements = await querySelectorAll(html, 'style', { returnInnerHtml: true });
-  const scriptElements = await querySelectorAll(html, 'script', { returnInnerHtml: true });
-
-  if (extractScripts) {
-    // Filter out <script> tags with a 'src' attribute, as they are links.
-    const allScriptTags = await querySelectorAll(html, 'script');
-    const scriptsToKeep = new Set();
-    for (const element of allScriptTags) {
-      if (element.includes('src=')) {
-        scriptsToKeep.add(element);
-      }
-    }
+async function getMetaDataWithTimeout(url, ctx, env, metrics, siteConfig = DEFAULT_CONFIG, timeout = 2000) {
+  const metaPromise = (async () => {
+    const catalog = await getCatalog(env, url, ctx, { ttlSeconds: siteConfig.cacheDurationSeconds, debug: siteConfig.debug });
+    const artworks = catalog?.artworks || [];
+    const tagsSet = new Set();
 
-    // Iterate through collected scripts, filtering out those with a 'src' attribute.
-    for (const [index, script] of scriptElements.entries()) {
-      if (!scriptsToKeep.has(allScriptTags[index])) {
-        scriptArray.push(script);
-      }
-    }
+    artworks.forEach(artwork => {
+      artwork.labels.forEach(label => tagsSet.add(label));
+    });
+
+    const tags = Array.from(tagsSet).sort();
+    // the catalog is sorted newest first
+    const recent = artworks
+      .filter(artwork => artwork.published)
+      .slice(0, 5)
+      .map(artwork => ({ title: artwork.title, href: artwork.url, published: artwork.published }));
+  
+    return { tags, recent };
+  })().catch(error => {
+    metrics.error('catalog', error);
+    return { tags: [], recent: [] };
+  });
+
+  const timeoutPromise = new Promise(resolve =>
+    setTimeout(() => resolve({ tags: [], recent: [] }), timeout)
+  );
+
+  // Let a slow catalog build finish in the background so the next request can use it
+  ctx.waitUntil(metaPromise);
+  return Promise.race([metaPromise, timeoutPromise]);
+}
+
+
+class StyleInjector {
+  constructor(css) {
+    this.css = css;
+  }
+  element(el) {
+    el.append(`<style>${this.css}</style>`, { html: true });
   }
+}
 
-  if (extractStyles) {
-    // Iterate through the collected content and populate the arrays.
-    for (const style of styleElements) {
-      styleArray.push(style);
-    }
+class ScriptInjector {
+  constructor(js) {
+    this.js = js;
+  }
+  element(el) {
+    el.append(`<script>${this.js}</script>`, { html: true });
   }
+}
 
-  // Use deleteElements to remove the original <style> and <script> tags from the HTML.
-  // This step modifies the HTML string to remove the original content.
-  let modifiedHtml = html;
-  if (extractStyles) modifiedHtml= await deleteElements(modifiedHtml, 'style');
-  if (extractScripts) modifiedHtml = await deleteElements(modifiedHtml, 'script:not([src])');
-  
-  return {
-    html: modifiedHtml,
-    styles: styleArray,
-    scripts: scriptArray,
-  };
+class HtmlInjector {
+  constructor(html) {
+    this.html = html;
+  }
+  element(el) {
+    el.append(this.html, { html: true });
+  }
+}
+
+
+
+// This handler preloads the main page background image, low resolution first.
+class HeadPreloadInjector {
+  /**
+   * @param {RequestContext} context The request context holding the preload images.
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  element(head) {
+    const { lowResImage, highResImage } = this.context;
+    head.append(`
+      <link rel="preload" as="image" href="${lowResImage}" fetchpriority="high" data-name="lowres-image">
+      <link rel="preload" as="image" href="${highResImage}" fetchpriority="low" data-name="highres-image">
+    `, { html: true });
+  }
 }
\ No newline at end of file
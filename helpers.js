@@ -1,61 +1,236 @@
-import { config, inMemoryCache } from './worker.js';
+import { inMemoryCache } from './memorycache.js';
 // --- New, optimized caching functions ---
 
+const STALE_SECONDS = 86400; // How long cacheHelper may serve a stale response while it refreshes
+const TAG_CHECK_SECONDS = 30; // How long the purge times of cache tags are kept in memory
+
+// Cache URLs being refreshed in the background, so a burst of requests refreshes each one once
+const refreshing = new Set();
+
+export const ORIGIN_TIMEOUT_MS = 8000; // Requests to Blogger (and other origins) give up after this
+export const RETRY_AFTER_SECONDS = 60; // Retry-After of responses reporting an unavailable origin
+
 /**
- * Handles caching for a given request and URL. Tries to return a cached response first;
- * if not found, fetches from the network and updates the cache. Falls back to stale cache on error.
+ * An origin request that failed, timed out or returned an error status.
+ * `status` is the status to answer with: the origin's own 4xx, 503 or 504, 502 for other
+ * origin errors and failed requests, 504 for a timeout.
+ */
+export class OriginError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'OriginError';
+    this.status = status;
+  }
+
+  /**
+   * Wraps an exception thrown by `fetch`.
+   *
+   * @param {Error} error The exception.
+   * @param {string} url The requested URL.
+   * @returns {OriginError} The origin error.
+   */
+  static from(error, url) {
+    if (error instanceof OriginError) return error;
+    return error?.name === 'TimeoutError' || error?.name === 'AbortError'
+      ? new OriginError(`${url} timed out after ${ORIGIN_TIMEOUT_MS} ms`, 504)
+      : new OriginError(`${url} failed: ${error?.message || error}`, 502);
+  }
+
+  /**
+   * Creates the error for an origin response with an error status.
+   *
+   * @param {Response} response The origin response.
+   * @param {string} url The requested URL.
+   * @returns {OriginError} The origin error.
+   */
+  static fromResponse(response, url) {
+    const { status } = response;
+    const gatewayStatus = status < 500 || status === 503 || status === 504 ? status : 502;
+    return new OriginError(`${url} returned ${status} ${response.statusText}`.trim(), gatewayStatus);
+  }
+}
+
+/**
+ * Handles caching for a given request and URL with stale-while-revalidate: a fresh cached response
+ * is returned as is, a stale one is returned at once while a fresh copy is fetched in the background.
+ * Falls back to the stale copy when the origin fails.
+ *
+ * Cached entries carry cache tags (`site:<hostname>` is always added), so they can be invalidated
+ * with `purgeCacheTags`, e.g. after publishing a post.
  *
  * @param {Request} request The incoming request.
  * @param {string} cacheUrl The URL to fetch and cache.
- * @param {number} cacheDurationSeconds The time-to-live for the cached asset in seconds.
+ * @param {number} cacheDurationSeconds The time in seconds the cached asset is fresh.
  * @param {ExecutionContext} ctx The Cloudflare Worker's context object (to use `waitUntil`).
+ * @param {object} [options={}]
+ * @param {any} [options.env] The environment object, needed to honour purged cache tags.
+ * @param {string[]} [options.tags=[]] Cache tags, e.g. `cacheTag('post', id)` or `cacheTag('label', name)`.
+ * @param {number} [options.staleSeconds=86400] How long a stale response may still be served.
  * @returns {Promise<Response>} The response from the cache or the network.
  */
-export async function cacheHelper(request, cacheUrl, cacheDurationSeconds, ctx) {
+export async function cacheHelper(request, cacheUrl, cacheDurationSeconds, ctx, options = {}) {
+    const { env = null, tags = [], staleSeconds = STALE_SECONDS } = options;
     const cache = caches.default;
     const cacheKey = new Request(cacheUrl, request); // Use the URL to be fetched as the key.
-    
-    // Try to find a cached response first.
-    let response = await cache.match(cacheKey);
-  
-    if (!response) {
-      // Cache miss, or no-store, so fetch from the network.
+    const entryTags = normalizeCacheTags([cacheTag('site', new URL(request.url).hostname), ...tags]);
+
+    const refresh = async () => {
+      let originResponse;
       try {
-        const originResponse = await fetch(cacheUrl);
-        
-        // Check if the response is valid before caching
-        if (originResponse.ok) {
-          // We create a new response to cache, as the body can only be read once.
-          const headers = new Headers(originResponse.headers);
-          headers.set('Cache-Control', `max-age=${config.cacheDurationSeconds}, public, immutable`);
-          response = new Response(originResponse.body, {
-            status: originResponse.status,
-            statusText: originResponse.statusText,
-            headers: headers
-          });
-          
-          // Use waitUntil to ensure the cache is updated asynchronously
-          ctx.waitUntil(cache.put(cacheKey, response.clone()));
-        } else {
-          // Network fetch failed, throw an error to trigger the catch block.
-          throw new Error(`Failed to fetch from origin: ${originResponse.statusText}`);
-        }
+        originResponse = await fetch(cacheUrl, { signal: AbortSignal.timeout(ORIGIN_TIMEOUT_MS) });
       } catch (error) {
-        console.error(`Fetch error for ${cacheUrl}: ${error.message}`);
-        
-        // Fallback: If network failed, try to return a stale cached response if one exists.
-        const staleResponse = await cache.match(cacheKey);
-        if (staleResponse) {
-          console.log(`Returning stale cache for ${cacheUrl} due to network error.`);
-          return staleResponse;
+        throw OriginError.from(error, cacheUrl);
+      }
+      if (!originResponse.ok) {
+        throw OriginError.fromResponse(originResponse, cacheUrl);
+      }
+
+      // We create a new response to cache, as the body can only be read once.
+      // The cache keeps it for the stale period as well; freshness is checked against X-Stored-At.
+      const headers = new Headers(originResponse.headers);
+      headers.set('Cache-Control', `public, max-age=${cacheDurationSeconds + staleSeconds}`);
+      headers.set('X-Stored-At', String(Date.now()));
+      headers.set('Cache-Tag', entryTags.join(','));
+      const response = new Response(originResponse.body, {
+        status: originResponse.status,
+        statusText: originResponse.statusText,
+        headers: headers
+      });
+
+      // Use waitUntil to ensure the cache is updated asynchronously
+      ctx.waitUntil(cache.put(cacheKey, response.clone()));
+      return response;
+    };
+
+    // Try to find a cached response first.
+    const cached = await cache.match(cacheKey);
+
+    if (cached) {
+      const storedAt = Number(cached.headers.get('X-Stored-At')) || 0;
+      const purged = env ? await isPurgedSince(env, cached.headers.get('Cache-Tag'), storedAt) : false;
+      const age = Date.now() - storedAt;
+
+      if (!purged && age < cacheDurationSeconds * 1000) {
+        return cached;
+      }
+
+      // Stale but within the stale period: serve it and refresh in the background.
+      // A one-second TTL (debug mode) always waits for the origin.
+      if (!purged && cacheDurationSeconds > 1 && age < (cacheDurationSeconds + staleSeconds) * 1000) {
+        if (!refreshing.has(cacheUrl)) {
+          refreshing.add(cacheUrl);
+          ctx.waitUntil(refresh()
+            .catch(error => console.error(`Background refresh failed for ${cacheUrl}: ${error.message}`))
+            .finally(() => refreshing.delete(cacheUrl)));
         }
-        
-        // If all else fails, return a generic error response.
-        return new Response('An error occurred while fetching the resource.', { status: 503 });
+        return cached;
       }
     }
-  
-    return response;
+
+    try {
+      return await refresh();
+    } catch (error) {
+      console.error(`Fetch error for ${cacheUrl}: ${error.message}`);
+
+      // Fallback: If network failed, return the stale (or purged) cached response if one exists.
+      if (cached) {
+        console.warn(`Returning stale cache for ${cacheUrl} due to network error.`);
+        return cached;
+      }
+
+      // Nothing cached: answer with the status of the failure, so callers can tell a missing
+      // resource (404) from an origin that is down (502/503/504) and fall back accordingly
+      const status = error instanceof OriginError ? error.status : 502;
+      return new Response(`Origin unavailable: ${error.message}`, {
+        status,
+        headers: {
+          'Content-Type': 'text/plain; charset=utf-8',
+          'Cache-Control': 'no-store',
+          ...(status >= 500 ? { 'Retry-After': String(RETRY_AFTER_SECONDS) } : {})
+        }
+      });
+    }
+  }
+
+  /**
+   * Builds a cache tag, e.g. `cacheTag('label', 'Portraits')` gives "label:portraits".
+   *
+   * @param {string} kind The kind of tag: "site", "post", "label", "pages" (a site's page list)
+   *   or "template" (the shared GitHub template and theme styles).
+   * @param {string|number} value The hostname, post id, label name or template source.
+   * @returns {string} The cache tag.
+   */
+  export function cacheTag(kind, value) {
+    return `${kind}:${String(value).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Cleans up a list of cache tags: trimmed, lowercase, without empties or duplicates.
+   * Commas are not allowed in a tag, as tags are stored comma-separated.
+   *
+   * @param {string[]} tags The cache tags.
+   * @returns {string[]} The normalized tags.
+   */
+  export function normalizeCacheTags(tags) {
+    return [...new Set((tags || [])
+      .flatMap(tag => String(tag).split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean))];
+  }
+
+  /**
+   * Checks whether any of the tags of a cached entry was purged after the entry was stored.
+   *
+   * @param {any} env The environment object containing KV namespaces.
+   * @param {string|null} tagHeader The comma-separated Cache-Tag header of the entry.
+   * @param {number} storedAt When the entry was stored, in milliseconds.
+   * @returns {Promise<boolean>} True when the entry must not be used.
+   */
+  export async function isPurgedSince(env, tagHeader, storedAt) {
+    const tags = normalizeCacheTags([tagHeader || '']);
+    const purgedAt = await Promise.all(tags.map(tag =>
+      getCachedKV(env, `cachetag:${tag}`, TAG_CHECK_SECONDS).catch(() => null)));
+    return purgedAt.some(value => Number(value) > storedAt);
+  }
+
+  /**
+   * Invalidates every cached entry carrying one of the given tags, in all data centers.
+   * The purge time is stored in KV (`cachetag:<tag>`); entries stored before it are refetched.
+   *
+   * @param {any} env The environment object containing KV namespaces.
+   * @param {string[]} tags The cache tags to purge.
+   * @returns {Promise<string[]>} The purged tags.
+   */
+  export async function purgeCacheTags(env, tags) {
+    const purged = normalizeCacheTags(tags);
+    const now = String(Date.now());
+    await Promise.all(purged.map(async tag => {
+      const key = `cachetag:${tag}`;
+      await env.GALLERY.put(key, now);
+      inMemoryCache[key] = { value: now, ts: Date.now() }; // Take effect in this isolate right away
+    }));
+    return purged;
+  }
+
+  /**
+   * Checks the `Authorization: Bearer <token>` header of an admin request against the ADMIN_TOKEN secret.
+   * Admin routes are disabled when the secret is not set.
+   *
+   * @param {Request} request The incoming request.
+   * @param {any} env The environment object containing secrets.
+   * @returns {boolean} True when the request may use admin routes.
+   */
+  export function isAdminRequest(request, env) {
+    const expected = env.ADMIN_TOKEN;
+    if (!expected) return false;
+
+    const given = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    // Compare in constant time, so the token cannot be guessed from response times
+    let diff = given.length ^ expected.length;
+    for (let i = 0; i < expected.length; i++) {
+      diff |= expected.charCodeAt(i) ^ (given.charCodeAt(i) || 0);
+    }
+    return diff === 0;
   }
   
   /**
@@ -107,15 +282,46 @@ export async function cacheHelper(request, cacheUrl, cacheDurationSeconds, ctx)
   export async function getCachedKV(env, key, cacheSeconds = 3600) {
     const now = Date.now();
     if (inMemoryCache[key] && (now - inMemoryCache[key].ts < cacheSeconds * 1000)) {
-      console.log(`[CACHE HIT] ${key}`);
       return inMemoryCache[key].value;
     }
-    console.log(`[CACHE MISS] ${key}`);
     const value = await env.GALLERY.get(key);
     inMemoryCache[key] = { value, ts: now };
     return value;
   }
 
+  /**
+   * Returns a JSON value computed by `compute`, cached in the Cloudflare cache under a synthetic URL.
+   * Use this for derived data (e.g. scores) that is expensive to compute on every request.
+   *
+   * @param {string} cacheUrl A unique URL identifying the value (include a version to invalidate).
+   * @param {number} cacheSeconds The time-to-live in seconds.
+   * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+   * @param {() => Promise<any>} compute Produces the value on a cache miss.
+   * @returns {Promise<any>} The cached or freshly computed value.
+   */
+  export async function getCachedJson(cacheUrl, cacheSeconds, ctx, compute) {
+    const cache = caches.default;
+    const cacheKey = new Request(cacheUrl);
+    const cached = await cache.match(cacheKey);
+
+    if (cached) {
+      try {
+        return await cached.json();
+      } catch (error) {
+        console.error(`Invalid cached JSON for ${cacheUrl}: ${error.message}`);
+      }
+    }
+
+    const value = await compute();
+    ctx.waitUntil(cache.put(cacheKey, new Response(JSON.stringify(value), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${cacheSeconds}`
+      }
+    })));
+    return value;
+  }
+
 
 /**
  * Escapes HTML special characters to prevent injection in titles and other content.
@@ -127,6 +333,34 @@ export function escapeHtml(str) {
   return str.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
+/**
+ * Decodes the HTML entities found in text taken from Blogger markup, for plain text output such as JSON-LD.
+ *
+ * @param {string} str The text to decode.
+ * @returns {string} The decoded text.
+ */
+export function decodeHtmlEntities(str) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+  return String(str ?? '').replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));/gi, (entity, dec, hex, name) => {
+    if (name) return named[name.toLowerCase()] ?? entity;
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+  });
+}
+
+/**
+ * Escapes text for use in XML content and attribute values (feeds, sitemaps).
+ *
+ * @param {string} str The text to escape.
+ * @returns {string} The escaped text.
+ */
+export function escapeXml(str) {
+  return String(str ?? '')
+    // Characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
 
 /**
  * Resizes a Blogger image URL to the specified size.
@@ -157,43 +391,25 @@ export function extractBlogId(htmlString) {
 
   return null;
 }
-  
+
 /**
- * Cleans Blogger-specific artifacts from raw HTML.
- * Removes noscript blocks, widget CSS/JS, authorization CSS, inline scripts with _WidgetManager,
- * and various Blogger-specific divs.
+ * Extracts the page language from the `lang` attribute of the <html> tag.
  *
- * @param {string} html The raw HTML string to clean.
- * @returns {string} The cleaned HTML string.
+ * @param {string} htmlString The HTML string to search.
+ * @returns {string} The language code (e.g. "nl", "ja"), or "en" if not found.
  */
-export function cleanBloggerArtifacts(html) {
-  return html
-    // Remove <noscript> blocks
-    .replace(/<noscript\b[^>]*>[\s\S]*?<\/noscript>/gi, '')
-
-    // Remove <link> to widget_css_bundle.css (any attribute order)
-    .replace(/<link\b[^>]*href=['"]https:\/\/www\.blogger\.com\/static\/v1\/widgets\/\d+-widget_css_bundle\.css['"][^>]*>/gi, '')
-
-    // Remove <link> to authorization.css with any attributes, matching both 'www' and 'draft' subdomains
-    .replace(/<link\b[^>]*href=['"]https:\/\/(?:www|draft)\.blogger\.com\/dyn-css\/authorization\.css\?[^'"]+['"][^>]*>/gi, '')
-
-    // Remove <script> to NNNNNNN-widgets.js
-    .replace(/<script\b[^>]*src=['"]https:\/\/www\.blogger\.com\/static\/v1\/widgets\/\d+-widgets\.js['"][^>]*>\s*<\/script>/gi, '')
-
-    // Remove inline <script> blocks containing _WidgetManager
-    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, match => {
-      return /_WidgetManager\./.test(match) ? '' : match;
-    })
-
-    // Remove <div class="clear"></div> and <div style="clear: both;"></div>
-    .replace(/<div[^>]*\s(?:class="clear"|style="clear:\s*both;")[^>]*>[\s\S]*?<\/div>/gi, '')
-
-    // Remove <div id="searchSection">
-    .replace(/<div[^>]*id=["']searchSection["'][^>]*>[\s\S]*?<\/div>/gi, '')
-
-    // Remove <div class="blogger"> and <div class="blog-feeds">
-    .replace(/<div[^>]*class=["']blogger["'][^>]*>[\s\S]*?<\/div>/gi, '')
-    .replace(/<div[^>]*class=["']blog-feeds["'][^>]*>[\s\S]*?<\/div>/gi, '');
+export function extractPageLanguage(htmlString) {
+  const langMatch = htmlString.match(/<html[^>]*?\slang=["']([^"']+)["']/i);
+  return langMatch ? langMatch[1] : 'en';
 }
 
-
+/**
+ * Extracts the site name from the `data-sitename` attribute of the <html> tag.
+ *
+ * @param {string} htmlString The HTML string to search.
+ * @returns {string} The site name, or "Gallery" if not found.
+ */
+export function extractSiteName(htmlString) {
+  const htmlTagMatch = htmlString.match(/<html[^>]*?\sdata-sitename=["']([^"']+)["']/i);
+  return htmlTagMatch ? htmlTagMatch[1] : 'Gallery';
+}
@@ -25,11 +25,10 @@ Example use:
  insert at end of head: const newHtml = await insertHtml(html, 'head', 'beforeend', '<style>body { color: blue; }</style>');
 */
 
-const debug = true;
+// Traces every rewriter pass; only for working on this module
+const debug = false;
 
-if (!debug) {
-  console.log = () => {};
-}
+const log = debug ? console.log.bind(console) : () => {};
 
 /**
  * A simple test function to verify imports.
@@ -80,7 +79,7 @@ class Collector {
     this.captureBuffer = '';
     this.currentTagName = ''; // Store the tag name of the element currently being captured
 
-    console.log("Collector: Constructor called with options:", this.options);
+    log("Collector: Constructor called with options:", this.options);
   }
 
   /**
@@ -91,7 +90,7 @@ class Collector {
     // Fast path for attribute extraction, which doesn't need complex buffering.
     if (this.options.attributeName) {
       const attributeValue = el.getAttribute(this.options.attributeName);
-      console.log(`Collector: Found attribute '${this.options.attributeName}' with value: ${attributeValue}`);
+      log(`Collector: Found attribute '${this.options.attributeName}' with value: ${attributeValue}`);
       // Push the attribute value directly, or an empty string if null
       this.results.push(attributeValue !== null ? attributeValue : "");
       return;
@@ -99,7 +98,7 @@ class Collector {
 
     // If we are already capturing, it means we have a nested match.
     // We reset the buffer for a new capture.
-    console.log("Collector: Main selector matched:", el.tagName);
+    log("Collector: Main selector matched:", el.tagName);
     this.isCapturing = true;
     this.captureBuffer = ''; // Reset buffer for each new match.
     this.currentTagName = el.tagName; // Store the tag name for later use
@@ -109,7 +108,7 @@ class Collector {
 
     // The wildcard handler will build the content. We just need to know when the element ends.
     el.onEndTag(() => {
-      console.log("Collector: Main selector ended:", this.currentTagName);
+      log("Collector: Main selector ended:", this.currentTagName);
       // Append the closing tag for non-void elements
       if (!VOID_ELEMENTS.has(this.currentTagName.toLowerCase())) {
         this.captureBuffer += `</${this.currentTagName}>`;
@@ -117,7 +116,7 @@ class Collector {
       
       // The captureBuffer should now contain the full outerHTML of the element.
       this.results.push(this.captureBuffer);
-      console.log("Collector: Finalized content (raw outerHTML):", JSON.stringify(this.captureBuffer));
+      log("Collector: Finalized content (raw outerHTML):", JSON.stringify(this.captureBuffer));
       
       this.isCapturing = false; // Turn off capture
       this.captureBuffer = ''; // Clean up
@@ -232,7 +231,7 @@ class InsertHandler {
  * @returns {Promise<Collector>} A promise that resolves with the Collector instance.
  */
 async function _runRewriter(html, selector, options = {}) {
-  console.log("_runRewriter: Starting for selector:", selector, "with options:", options);
+  log("_runRewriter: Starting for selector:", selector, "with options:", options);
   const collector = new Collector(options);
 
   // Create a ReadableStream from the HTML string
@@ -268,13 +267,13 @@ async function _runRewriter(html, selector, options = {}) {
     },
     text(chunk) {
       if (collector.isCapturing) {
-        console.log("ContentHandler: capturing text", JSON.stringify(chunk.text));
+        log("ContentHandler: capturing text", JSON.stringify(chunk.text));
         collector.captureBuffer += chunk.text;
       }
     },
     comments(comment) {
       if (collector.isCapturing) {
-        console.log("ContentHandler: capturing comment");
+        log("ContentHandler: capturing comment");
         collector.captureBuffer += ``;
       }
     }
@@ -295,10 +294,10 @@ async function _runRewriter(html, selector, options = {}) {
     .on(selector, collector) // The specific handler to toggle state and mark the start/end of the main element
     .transform(responseStream);
 
-  console.log("_runRewriter: Awaiting rewriterResponse.text() to drain the stream.");
+  log("_runRewriter: Awaiting rewriterResponse.text() to drain the stream.");
   // Drain the transformed stream to ensure all handlers are invoked
   await rewriterResponse.text();
-  console.log("_runRewriter: rewriterResponse.text() completed. Collector results count:", collector.results.length);
+  log("_runRewriter: rewriterResponse.text() completed. Collector results count:", collector.results.length);
   return collector;
 }
 
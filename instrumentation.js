@@ -0,0 +1,197 @@
+// instrumentation.js
+
+/* Request timings and structured logging.
+
+ Every request gets a RequestMetrics object. Phases of the pipeline are timed with `time()` (or
+ `start()` for code that is not a single promise) and sent to the browser in a Server-Timing header:
+   Server-Timing: config;dur=1, origin;dur=212, menu;dur=3, kv;dur=1, meta;dur=14, parse;dur=8, total;dur=240
+ A phase timed more than once reports its total.
+
+ When the response body has been streamed, one JSON line is written for the request:
+   {"type":"request","id":"3f2a9c1e","method":"GET","host":"example.com","path":"/2024/05/work.html","status":200,
+    "route":"/:year(\\d{4})/:month(\\d{2})/:slug.html","pageClass":"post-page","debug":false,
+    "cache":{"page":"MISS","menu":"HIT"},"timings":{"origin":212,...},"ttfb":231,"rewrite":35,"total":266,
+    "errors":[]}
+ `ttfb` is the time to the first byte of the body, `rewrite` the time spent streaming it through the rewriter.
+
+ Verbose output goes through `metrics.log()`, which prints only for a debug request (?debug, or `debug`
+ in the site configuration) and prefixes each line with the request id, so lines of concurrent requests
+ can be told apart. console.log itself is left alone. console.error and the request lines are always written.
+*/
+
+export class RequestMetrics {
+  /**
+   * @param {Request} request The incoming request.
+   */
+  constructor(request) {
+    const url = new URL(request.url);
+    this.id = crypto.randomUUID().slice(0, 8);
+    this.startedAt = Date.now();
+    this.method = request.method;
+    this.host = url.hostname;
+    this.path = url.pathname;
+    this.fields = { route: null, pageClass: null };
+    this.timings = new Map();
+    this.caches = {};
+    this.errors = [];
+    this.verbose = false;
+    this.debug = false;
+    this.logged = false;
+  }
+
+  /**
+   * Turns verbose logging on or off for this request.
+   *
+   * @param {boolean} verbose True for a debug request.
+   */
+  setVerbose(verbose) {
+    this.verbose = verbose;
+    if (verbose) this.debug = true;
+  }
+
+  /**
+   * Writes a verbose log line for this request, only when it is a debug request.
+   *
+   * @param {...any} args The values to log, as for console.log.
+   */
+  log(...args) {
+    if (this.verbose) console.log(`[${this.id}]`, ...args);
+  }
+
+  /**
+   * Adds fields to the request log line, e.g. `{ route, pageClass }`.
+   *
+   * @param {object} fields The fields to add.
+   */
+  annotate(fields) {
+    Object.assign(this.fields, fields);
+  }
+
+  /**
+   * Starts timing a phase.
+   *
+   * @param {string} name The phase, e.g. "origin". Must be a valid Server-Timing token.
+   * @returns {() => void} Call to stop timing.
+   */
+  start(name) {
+    const startedAt = Date.now();
+    return () => {
+      this.timings.set(name, (this.timings.get(name) || 0) + Date.now() - startedAt);
+    };
+  }
+
+  /**
+   * Times an async phase.
+   *
+   * @param {string} name The phase, e.g. "kv".
+   * @param {() => Promise<any>} fn The work to time.
+   * @returns {Promise<any>} The result of `fn`.
+   */
+  async time(name, fn) {
+    const stop = this.start(name);
+    try {
+      return await fn();
+    } finally {
+      stop();
+    }
+  }
+
+  /**
+   * Records the outcome of a cache lookup.
+   *
+   * @param {string} name The cache, e.g. "page" or "menu".
+   * @param {'HIT'|'MISS'|'BYPASS'} status The outcome.
+   */
+  cache(name, status) {
+    this.caches[name] = status;
+    this.log(`${name} cache ${status}`);
+  }
+
+  /**
+   * Records an error for the request log line and writes it to the error log.
+   *
+   * @param {string} where Where the error occurred, e.g. "label feed".
+   * @param {Error|string} error The error.
+   */
+  error(where, error) {
+    const message = `${where}: ${error instanceof Error ? error.message : error}`;
+    this.errors.push(message);
+    console.error(message);
+  }
+
+  /**
+   * @returns {string} The Server-Timing header value.
+   */
+  serverTiming() {
+    const entries = [...this.timings].map(([name, ms]) => `${name};dur=${ms}`);
+    entries.push(`total;dur=${Date.now() - this.startedAt}`);
+    return entries.join(', ');
+  }
+
+  /**
+   * Writes the request log line, once.
+   *
+   * @param {number} status The response status.
+   * @param {object} [extra={}] Additional fields, e.g. `ttfb`.
+   */
+  writeLog(status, extra = {}) {
+    if (this.logged) return;
+    this.logged = true;
+
+    console.log(JSON.stringify({
+      type: 'request',
+      id: this.id,
+      method: this.method,
+      host: this.host,
+      path: this.path,
+      status,
+      ...this.fields,
+      debug: this.debug,
+      cache: this.caches,
+      timings: Object.fromEntries(this.timings),
+      ...extra,
+      total: Date.now() - this.startedAt,
+      errors: this.errors
+    }));
+  }
+
+  /**
+   * Adds the Server-Timing header to the response and writes the log line once its body
+   * has been streamed.
+   *
+   * @param {Response} response The response.
+   * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+   * @returns {Response} The response to return to the client.
+   */
+  finish(response, ctx) {
+    const headers = new Headers(response.headers);
+    headers.set('Server-Timing', this.serverTiming());
+    const init = { status: response.status, statusText: response.statusText, headers };
+
+    if (!response.body) {
+      this.writeLog(response.status);
+      return new Response(null, init);
+    }
+
+    const readyAt = Date.now();
+    let firstByteAt = null;
+    const { readable, writable } = new TransformStream({
+      transform(chunk, controller) {
+        if (firstByteAt === null) firstByteAt = Date.now();
+        controller.enqueue(chunk);
+      },
+      flush: () => {
+        this.writeLog(response.status, {
+          ttfb: (firstByteAt ?? Date.now()) - this.startedAt,
+          rewrite: Date.now() - readyAt
+        });
+      }
+    });
+
+    ctx.waitUntil(response.body.pipeTo(writable).catch(error => {
+      this.error('stream', error);
+      this.writeLog(response.status);
+    }));
+    return new Response(readable, init);
+  }
+}
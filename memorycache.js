@@ -0,0 +1,7 @@
+// memorycache.js
+
+/* Values kept in the memory of the running isolate, keyed by name: `{ value, ts }`.
+ It lives in its own module so helpers.js and the worker share one object without importing each other.
+*/
+
+export const inMemoryCache = {};
@@ -0,0 +1,217 @@
+// menu.js
+
+/* The header navigation menu, built from tags in Blogger page titles and an optional KV menu document.
+
+ Page title tags:
+   {{menu}}               top-level entry, after the numbered ones
+   {{menu:3}}             top-level entry at position 3
+   {{menu:3/2}}           second entry of the submenu under top-level entry 3
+   {{menu:parent=About}}  submenu entry under the top-level entry titled "About" ({{menu:parent=About/2}} sets its position)
+
+ The KV menu document (`json:menu:<hostname>`, or the shared `json:menu`) adds entries that are not pages:
+ {
+   "moreLabel": "More",            title of the overflow dropdown
+   "usePages": true,               set to false to ignore page title tags
+   "items": [
+     { "title": "Works", "order": 2, "children": [ { "title": "Portraits", "label": "Portraits" } ] },
+     { "title": "Shop", "url": "https://shop.example.com", "order": 5 },
+     { "title": "Prints", "label": "Prints", "parent": "Works" }
+   ]
+ }
+ `label` links to the label page, an entry without `url` or `label` only opens its submenu.
+
+ Top-level entries beyond the maximum go into a "More" dropdown instead of being dropped.
+*/
+
+import { getCachedKV, escapeHtml } from './helpers.js';
+
+const MENU_TAG = /\{\{menu(?::([^}]*))?\}\}/i;
+
+const FALLBACK_MENU = [
+  { title: 'About', url: '/p/about.html' },
+  { title: 'News', url: '/p/news.html' },
+  { title: 'Contact', url: '/p/contact.html' }
+];
+
+/**
+ * Parses the argument of a {{menu:...}} tag.
+ *
+ * @param {string} [arg] The text after "menu:", e.g. "3", "3/2" or "parent=About".
+ * @returns {{order: number, parentOrder: (number|null), parent: (string|null)}} The menu position.
+ */
+export function parseMenuTag(arg) {
+  const value = (arg || '').trim();
+
+  const numbered = value.match(/^(\d+)\s*(?:\/\s*(\d+))?$/);
+  if (numbered) {
+    return numbered[2]
+      ? { order: parseInt(numbered[2], 10), parentOrder: parseInt(numbered[1], 10), parent: null }
+      : { order: parseInt(numbered[1], 10), parentOrder: null, parent: null };
+  }
+
+  const byParent = value.match(/^parent\s*=\s*([^/]+?)\s*(?:\/\s*(\d+))?$/i);
+  if (byParent) {
+    return { order: byParent[2] ? parseInt(byParent[2], 10) : Infinity, parentOrder: null, parent: byParent[1] };
+  }
+
+  return { order: Infinity, parentOrder: null, parent: null };
+}
+
+/**
+ * Loads the site's menu document from KV.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} [hostname] The hostname of the site being served.
+ * @returns {Promise<object|null>} The menu document, or null when none is stored.
+ */
+export async function loadMenuDocument(env, hostname = '') {
+  try {
+    const raw = (hostname && await getCachedKV(env, `json:menu:${hostname}`)) ||
+      await getCachedKV(env, 'json:menu');
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error(`Invalid menu document in KV: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Converts the items of a menu document into flat menu entries.
+ *
+ * @param {object[]} items The document items, possibly with nested `children`.
+ * @param {string} [parent] The title of the parent entry.
+ * @returns {object[]} The menu entries.
+ */
+function entriesFromDocument(items, parent = null) {
+  return (Array.isArray(items) ? items : []).flatMap(item => {
+    if (!item?.title) return [];
+    const url = item.url || (item.label ? `/search/label/${encodeURIComponent(item.label)}` : null);
+    const entry = {
+      title: String(item.title),
+      url,
+      order: Number.isFinite(item.order) ? item.order : Infinity,
+      parentOrder: null,
+      parent: parent || item.parent || null,
+      external: /^https?:\/\//i.test(url || '')
+    };
+    return [entry, ...entriesFromDocument(item.children, entry.title)];
+  });
+}
+
+/**
+ * Builds the menu tree from the Blogger pages list and the menu document.
+ *
+ * @param {object} json The Blogger pages API response.
+ * @param {object|null} [menuDoc=null] The KV menu document.
+ * @param {number} [maxEntries] Maximum number of top-level entries, including the "More" dropdown.
+ * @returns {Array<{title: string, url: (string|null), external: boolean, children: object[]}>} The menu tree.
+ */
+export function getMenuEntries(json, menuDoc = null, maxEntries = undefined) {
+  const entries = [];
+
+  if (menuDoc?.usePages !== false) {
+    for (const item of json?.items || []) {
+      const match = item.title.match(MENU_TAG);
+      if (match) {
+        entries.push({
+          title: item.title.replace(MENU_TAG, '').trim(),
+          url: item.url.replace(/^https?:\/\/[^/]+/, ''),
+          external: false,
+          ...parseMenuTag(match[1])
+        });
+      }
+    }
+  }
+
+  entries.push(...entriesFromDocument(menuDoc?.items));
+
+  // Stable sort, so entries without a position keep their original order
+  const byOrder = (a, b) => a.order - b.order;
+  const isChild = entry => entry.parentOrder !== null || entry.parent !== null;
+  const topLevel = entries.filter(entry => !isChild(entry)).sort(byOrder)
+    .map(entry => ({ ...entry, children: [] }));
+
+  for (const child of entries.filter(isChild).sort(byOrder)) {
+    const parent = child.parentOrder !== null
+      ? topLevel.find(entry => entry.order === child.parentOrder)
+      : topLevel.find(entry => entry.title.toLowerCase() === child.parent.trim().toLowerCase());
+
+    if (parent) {
+      parent.children.push({ ...child, children: [] });
+    } else {
+      // Without a parent the entry is shown at the top level rather than lost
+      topLevel.push({ ...child, children: [] });
+    }
+  }
+
+  const tree = topLevel
+    .filter(entry => entry.url || entry.children.some(c => c.url))
+    .map(({ title, url, external, children }) => ({
+      title,
+      url,
+      external,
+      children: children.filter(c => c.url).map(c => ({ title: c.title, url: c.url, external: c.external, children: [] }))
+    }));
+
+  if (tree.length === 0) {
+    const fallback = FALLBACK_MENU.map(entry => ({ ...entry, external: false, children: [] }));
+    return typeof maxEntries === 'number' ? fallback.slice(0, maxEntries) : fallback;
+  }
+
+  if (typeof maxEntries === 'number' && maxEntries > 0 && tree.length > maxEntries) {
+    const overflow = tree.splice(maxEntries - 1);
+    tree.push({
+      title: menuDoc?.moreLabel || 'More',
+      url: null,
+      external: false,
+      // The dropdown is one level deep, so overflowing submenus are listed after their parent
+      children: overflow.flatMap(entry => [
+        ...(entry.url ? [{ ...entry, children: [] }] : []),
+        ...entry.children
+      ])
+    });
+  }
+
+  return tree;
+}
+
+/**
+ * Renders a single menu link.
+ *
+ * @param {object} entry The menu entry.
+ * @param {string} className The CSS class of the link.
+ * @returns {string} The link HTML.
+ */
+function renderMenuLink(entry, className) {
+  const target = entry.external ? ' target="_blank" rel="noopener"' : '';
+  return `<a href="${escapeHtml(entry.url)}" class="${className}"${target}>${escapeHtml(entry.title)}</a>`;
+}
+
+/**
+ * Renders the menu tree for `MenuInjector`: top-level links, and a disclosure button
+ * with a list for entries that have a submenu.
+ *
+ * @param {object[]} menuArray The menu tree from `getMenuEntries`.
+ * @returns {string} The menu HTML.
+ */
+export function renderMenuLinks(menuArray) {
+  return menuArray
+    .map((entry, index) => {
+      if (!entry.children || entry.children.length === 0) {
+        return renderMenuLink(entry, 'top-menu-item');
+      }
+
+      const id = `submenu-${index + 1}`;
+      const toggleLabel = escapeHtml(entry.title);
+      const toggle = entry.url
+        ? `${renderMenuLink(entry, 'top-menu-item')}<button type="button" class="submenu-toggle" aria-expanded="false" aria-controls="${id}" aria-label="${toggleLabel}"><span class="material-symbols-outlined" aria-hidden="true">expand_more</span></button>`
+        : `<button type="button" class="top-menu-item submenu-toggle" aria-expanded="false" aria-controls="${id}">${toggleLabel}<span class="material-symbols-outlined" aria-hidden="true">expand_more</span></button>`;
+
+      const items = entry.children
+        .map(child => `<li>${renderMenuLink(child, 'submenu-item')}</li>`)
+        .join('');
+
+      return `<div class="menu-group">${toggle}<ul class="submenu" id="${id}" hidden>${items}</ul></div>`;
+    })
+    .join('');
+}
@@ -0,0 +1,161 @@
+// news.js
+
+/* The news list served at /getnews: posts with the `news` label, rendered as an HTML fragment
+ (embedded by the news page) or as JSON.
+
+ Each site can style its list with an item template stored in KV under `html:news-item`
+ (resources/news-item.html). The template uses {{variable}} placeholders:
+   {{title}} {{link}} {{date}} {{datetime}} {{content}} {{summary}} {{image}}
+ Everything except {{content}} is HTML-escaped.
+*/
+
+import { escapeHtml, decodeHtmlEntities } from './helpers.js';
+import { stripTemplateTags } from './templatehelper.js';
+
+export const DEFAULT_NEWS_ITEM_TEMPLATE = `<article class="news-item">
+  <a href="{{link}}"><h2 class="news-title">{{title}}</h2></a>
+  <time class="news-date" datetime="{{datetime}}">{{date}}</time>
+  <div class="news-content">{{content}}</div>
+</article>`;
+
+/** Tags kept by `sanitizeHtml`, with their allowed attributes. */
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'width', 'height'],
+  p: [], br: [], hr: [], span: [], div: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], small: [], sub: [], sup: [],
+  h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [], blockquote: [], figure: [], figcaption: []
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+/**
+ * Reduces post content to a small set of tags and attributes.
+ * Scripts, styles, embeds, event handlers and `javascript:` URLs are removed. A "<" that does not start
+ * a tag (comments, "<!DOCTYPE", "<<x>script>") is escaped, so removing a tag can never join text into a new one.
+ *
+ * @param {string} html The post content.
+ * @returns {string} The sanitized HTML.
+ */
+export function sanitizeHtml(html) {
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|iframe|object|embed|form|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/?([a-z][a-z0-9]*)\b([^>]*)>|</gi, (tag, rawName, rawAttrs) => {
+      if (!rawName) return '&lt;';
+      const name = rawName.toLowerCase();
+      const allowed = ALLOWED_TAGS[name];
+      if (!allowed) return '';
+      if (tag.startsWith('</')) return `</${name}>`;
+
+      const attrs = [];
+      for (const [, attrName, dq, sq, bare] of rawAttrs.matchAll(/([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+        const key = attrName.toLowerCase();
+        const value = dq ?? sq ?? bare ?? '';
+        if (!allowed.includes(key)) continue;
+        if (URL_ATTRIBUTES.has(key) && !/^(?:https?:|mailto:|\/|#)/i.test(value.trim())) continue;
+        attrs.push(` ${key}="${value.replace(/"/g, '&quot;')}"`);
+      }
+
+      if (name === 'a' && attrs.some(attr => attr.startsWith(' href="http'))) {
+        attrs.push(' rel="noopener"');
+      }
+      return `<${name}${attrs.join('')}>`;
+    });
+}
+
+/**
+ * Formats a date for the page language, falling back to the ISO date.
+ *
+ * @param {Date} date The date.
+ * @param {string} lang The page language, e.g. "nl" or "ja".
+ * @returns {string} The localized date.
+ */
+export function formatNewsDate(date, lang) {
+  try {
+    return new Intl.DateTimeFormat(lang, { dateStyle: 'long' }).format(date);
+  } catch (error) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Converts Blogger feed entries into news items, newest first.
+ * Links are made relative so they stay on the site's own domain.
+ *
+ * @param {object[]} entries The feed entries.
+ * @param {object} [options={}]
+ * @param {Date} [options.since] Leave out items published before this date.
+ * @param {number} [options.limit=10] Maximum number of items.
+ * @returns {Array<{title: string, link: string, published: Date, content: string, summary: string, image: (string|null)}>}
+ */
+export function newsItemsFromFeed(entries, options = {}) {
+  const { since = null, limit = 10 } = options;
+
+  return (entries || [])
+    .map(entry => {
+      const content = sanitizeHtml(entry.content?.$t || entry.summary?.$t || '');
+      const href = entry.link?.find(l => l.rel === 'alternate')?.href || '#';
+      return {
+        title: stripTemplateTags(entry.title?.$t || '') || 'Untitled',
+        link: href.replace(/^https?:\/\/[^/]+/, ''),
+        published: new Date(entry.published?.$t || 0),
+        content,
+        // Plain text: escaped again by the template (and JSON has no entities)
+        summary: decodeHtmlEntities(stripTemplateTags(content.replace(/<[^>]+>/g, ' '))).slice(0, 200),
+        image: entry.media$thumbnail?.url || content.match(/<img[^>]+src="([^"]+)"/i)?.[1] || null
+      };
+    })
+    .filter(item => !since || item.published >= since)
+    .sort((a, b) => b.published - a.published)
+    .slice(0, limit);
+}
+
+/**
+ * Renders news items with an item template.
+ *
+ * @param {object[]} items Items from `newsItemsFromFeed`.
+ * @param {object} [options={}]
+ * @param {string} [options.template] The item template, `DEFAULT_NEWS_ITEM_TEMPLATE` when empty.
+ * @param {string} [options.lang='en'] The page language used for dates.
+ * @returns {string} The news list HTML.
+ */
+export function renderNewsItems(items, options = {}) {
+  const { template, lang = 'en' } = options;
+  const itemTemplate = template || DEFAULT_NEWS_ITEM_TEMPLATE;
+
+  const rendered = items.map(item => {
+    const values = {
+      title: escapeHtml(item.title),
+      link: escapeHtml(item.link),
+      date: escapeHtml(formatNewsDate(item.published, lang)),
+      datetime: item.published.toISOString(),
+      content: item.content,
+      summary: escapeHtml(item.summary),
+      image: escapeHtml(item.image || '')
+    };
+    return itemTemplate.replace(/{{\s*([a-z]+)\s*}}/g, (match, name) => (name in values ? values[name] : match));
+  });
+
+  return `<div class="news">\n${rendered.join('\n')}\n</div>`;
+}
+
+/**
+ * Converts news items to the JSON shape returned by `/getnews?format=json`.
+ *
+ * @param {object[]} items Items from `newsItemsFromFeed`.
+ * @param {string} lang The page language used for dates.
+ * @returns {object[]} The JSON items.
+ */
+export function newsItemsToJson(items, lang) {
+  return items.map(item => ({
+    title: item.title,
+    url: item.link,
+    published: item.published.toISOString(),
+    date: formatNewsDate(item.published, lang),
+    summary: item.summary,
+    image: item.image,
+    content_html: item.content
+  }));
+}
@@ -0,0 +1,194 @@
+// notfound.js
+
+/* The branded "page not found" page.
+
+ Blogger answers a missing post or page with its own error page (with a 404 status). The worker renders
+ that page through the normal pipeline, with the site's header, footer and menu, but with this content
+ in place of the post list, and sends it with a real 404 status. Old links, e.g. from printed catalogues,
+ then still lead somewhere useful.
+
+ Each site can write its own page as a template stored in KV under `html:/not-found`
+ (resources/html/not-found.html). The template uses {{variable}} placeholders:
+   {{path}}         the requested path
+   {{query}}        search words taken from the path, e.g. "blue horse" for /2019/05/blue-horse.html
+   {{suggestions}}  posts with the most similar slug, as a list of links (empty when none is close)
+   {{labels}}       the most used labels, as a list of links
+   {{search}}       a search form prefilled with {{query}}
+ {{path}} and {{query}} are HTML-escaped.
+*/
+
+import { escapeHtml } from './helpers.js';
+
+export const DEFAULT_NOT_FOUND_TEMPLATE = `<div class="not-found">
+  <h1>Page not found</h1>
+  <p>There is no page at <code>{{path}}</code>. It may have moved, or the link may be out of date.</p>
+  {{suggestions}}
+  {{search}}
+  {{labels}}
+</div>`;
+
+// How long the page waits for the catalog (see catalog.js). Most 404s are bot scans (/wp-login.php, ...),
+// which should not wait for a catalog build; without the catalog the page has no suggestions or labels.
+export const CATALOG_WAIT_MS = 300;
+
+const MIN_SIMILARITY = 0.35; // Dice coefficient below which a post is not suggested
+
+// Path segments that say nothing about what the visitor was looking for
+const PATH_NOISE = new Set(['p', 'search', 'label', 'html', 'htm', 'php', 'index', 'www']);
+
+/**
+ * Splits the last meaningful segment of a path into lowercase words.
+ * Dates, file extensions and Blogger's own path segments are left out.
+ *
+ * @param {string} path The URL path, e.g. "/2019/05/blue-horse.html".
+ * @returns {string[]} The words, e.g. ["blue", "horse"].
+ */
+export function slugWords(path) {
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (error) {
+    // Malformed escapes, use the path as it is
+  }
+
+  const segments = decoded.toLowerCase().split('/').reverse();
+  for (const segment of segments) {
+    const words = segment
+      .replace(/\.[a-z0-9]+$/, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word && !PATH_NOISE.has(word) && !/^\d+$/.test(word));
+    if (words.length > 0) return words;
+  }
+  return [];
+}
+
+/**
+ * Collects the character bigrams of a slug, ignoring word boundaries.
+ *
+ * @param {string} text The slug words joined by spaces.
+ * @returns {Map<string, number>} Each bigram with its count.
+ */
+function bigrams(text) {
+  const counts = new Map();
+  for (const word of text.split(' ')) {
+    for (let i = 0; i < word.length - 1; i++) {
+      const pair = word.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Compares two slugs by their character bigrams (Sørensen–Dice coefficient). Tolerates typos,
+ * truncated slugs and changed word order.
+ *
+ * @param {string} a Slug words joined by spaces.
+ * @param {string} b Slug words joined by spaces.
+ * @returns {number} The similarity, from 0 (nothing in common) to 1 (identical).
+ */
+export function slugSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let total = 0;
+  let shared = 0;
+  for (const count of first.values()) total += count;
+  for (const [pair, count] of second) {
+    total += count;
+    shared += Math.min(count, first.get(pair) || 0);
+  }
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * Finds the posts whose slug or title is closest to a path that was not found.
+ *
+ * @param {object[]} artworks Catalog artworks (see catalog.js), with `path` and `title`.
+ * @param {string} path The requested path.
+ * @param {number} [limit=5] Maximum number of suggestions.
+ * @returns {Array<{title: string, path: string, score: number}>} The suggestions, closest first.
+ */
+export function suggestPosts(artworks, path, limit = 5) {
+  const wanted = slugWords(path).join(' ');
+  if (!wanted) return [];
+
+  return (artworks || [])
+    .map(artwork => {
+      const bySlug = slugSimilarity(wanted, slugWords(artwork.path || '').join(' '));
+      const byTitle = slugSimilarity(wanted, slugWords(artwork.title || '').join(' '));
+      return { title: artwork.title, path: artwork.path, score: Math.max(bySlug, byTitle) };
+    })
+    .filter(suggestion => suggestion.path && suggestion.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Counts the labels of all posts.
+ *
+ * @param {object[]} artworks Catalog artworks, with `labels`.
+ * @param {number} [limit=10] Maximum number of labels.
+ * @returns {Array<{label: string, count: number}>} The most used labels, most used first.
+ */
+export function popularLabels(artworks, limit = 10) {
+  const counts = new Map();
+  for (const artwork of artworks || []) {
+    for (const label of artwork.labels || []) {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, limit);
+}
+
+/**
+ * Renders the not-found content with a page template.
+ *
+ * @param {object} options
+ * @param {string} [options.template] The page template, `DEFAULT_NOT_FOUND_TEMPLATE` when empty.
+ * @param {string} options.path The requested path.
+ * @param {object[]} [options.suggestions=[]] Posts from `suggestPosts`.
+ * @param {object[]} [options.labels=[]] Labels from `popularLabels`.
+ * @returns {string} The not-found HTML.
+ */
+export function renderNotFound({ template, path, suggestions = [], labels = [] }) {
+  const query = slugWords(path).join(' ');
+
+  const suggestionList = suggestions.length > 0
+    ? `<section class="not-found-suggestions">
+  <h2>Were you looking for</h2>
+  <ul>
+${suggestions.map(post => `    <li><a href="${escapeHtml(post.path)}">${escapeHtml(post.title || post.path)}</a></li>`).join('\n')}
+  </ul>
+</section>`
+    : '';
+
+  const labelList = labels.length > 0
+    ? `<section class="not-found-labels">
+  <h2>Browse by label</h2>
+  <ul>
+${labels.map(({ label }) => `    <li><a href="/search/label/${encodeURIComponent(label)}">${escapeHtml(label)}</a></li>`).join('\n')}
+  </ul>
+</section>`
+    : '';
+
+  const searchForm = `<form class="not-found-search" action="/search" method="get" role="search">
+  <input type="search" name="q" value="${escapeHtml(query)}" placeholder="Search the gallery" aria-label="Search">
+  <button type="submit">Search</button>
+</form>`;
+
+  const values = {
+    path: escapeHtml(path),
+    query: escapeHtml(query),
+    suggestions: suggestionList,
+    labels: labelList,
+    search: searchForm
+  };
+  return (template || DEFAULT_NOT_FOUND_TEMPLATE)
+    .replace(/{{\s*([a-z]+)\s*}}/g, (match, name) => (name in values ? values[name] : match));
+}
@@ -0,0 +1,167 @@
+// pagecache.js
+
+/* Full-page output cache.
+
+ The HTML produced by the page pipeline is stored in the Cloudflare cache, so a repeat view skips the
+ origin fetch, the menu and KV reads and every HTML transformation. Entries are keyed by
+   hostname + path + query
+ where the query keeps every parameter that changes the page (`view`, `page`, `q`, `units`, filters, ...)
+ and drops tracking and debug parameters. The theme comes from the site config, so it is the same for
+ every visitor of a hostname. Translated pages have their own path (/ja/...), so each language is cached
+ separately.
+
+ Each entry carries an ETag (a hash of its HTML) for `If-None-Match` requests, and the cache tags
+ collected while rendering (`site:`, `post:` and `label:`, see cacheHelper in helpers.js), so
+ `/admin/purge?tag=post:<id>` drops the rendered pages showing that post as well.
+ Debug requests neither read nor write the cache.
+
+ A page is fresh for its route's cacheSeconds, but stays in the cache for LAST_GOOD_SECONDS longer:
+ when the origin is down, that last good rendering is served instead of an error (see fallback.js).
+*/
+
+import { normalizeCacheTags, isPurgedSince } from './helpers.js';
+
+const CACHE_VERSION = 'v1'; // Bump to drop every cached page after a change to the pipeline
+const LAST_GOOD_SECONDS = 7 * 86400; // How long a page is kept for when the origin is down
+const LAST_GOOD_MAX_AGE = 60; // Browser cache lifetime of a last good page served during an outage
+
+const IGNORED_PARAMS = /^(?:utm_[a-z_]+|fbclid|gclid|msclkid|debug|refresh|nocache)$/i;
+
+/**
+ * Builds the cache key of a rendered page.
+ *
+ * @param {URL} url The request URL.
+ * @returns {Request} The cache key.
+ */
+export function pageCacheKey(url) {
+  const query = new URLSearchParams(
+    [...url.searchParams]
+      .filter(([name]) => !IGNORED_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  const search = query.toString();
+  return new Request(`https://${url.hostname}/__page/${CACHE_VERSION}${url.pathname}${search ? `?${search}` : ''}`);
+}
+
+/**
+ * Checks an If-None-Match header against an ETag (weak comparison, as for GET requests).
+ *
+ * @param {string|null} header The If-None-Match header.
+ * @param {string} etag The ETag of the cached page.
+ * @returns {boolean} True when the client already has this version.
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const bare = value => value.trim().replace(/^W\//, '');
+  return header.split(',').some(value => bare(value) === bare(etag));
+}
+
+/**
+ * Computes a strong ETag from the page HTML.
+ *
+ * @param {string} html The page HTML.
+ * @returns {Promise<string>} The quoted ETag.
+ */
+async function computeEtag(html) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(html));
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * Copies the headers of a cache entry for the client, without the bookkeeping headers.
+ *
+ * @param {Response} cached The cache entry.
+ * @param {number} maxAge Cache-Control max-age for the client.
+ * @returns {Headers} The client headers.
+ */
+function clientHeaders(cached, maxAge) {
+  const headers = new Headers(cached.headers);
+  headers.delete('X-Stored-At');
+  headers.delete('X-Fresh-Seconds');
+  headers.delete('Cache-Tag');
+  headers.set('Cache-Control', `public, max-age=${maxAge}`);
+  return headers;
+}
+
+/**
+ * Returns the cached render of a page, or a 304 when the client's copy is current.
+ *
+ * @param {Request} request The incoming request.
+ * @param {Request} cacheKey The key from `pageCacheKey`.
+ * @param {any} env The environment object, used to honour purged cache tags.
+ * @returns {Promise<Response|null>} The response, or null on a miss.
+ */
+export async function matchCachedPage(request, cacheKey, env) {
+  const cached = await caches.default.match(cacheKey);
+  if (!cached) return null;
+
+  const storedAt = Number(cached.headers.get('X-Stored-At')) || 0;
+  const freshSeconds = Number(cached.headers.get('X-Fresh-Seconds')) || 0;
+  if (Date.now() - storedAt >= freshSeconds * 1000) {
+    return null; // Only kept as the last good rendering
+  }
+  if (await isPurgedSince(env, cached.headers.get('Cache-Tag'), storedAt)) {
+    console.log(`Page cache entry purged: ${cacheKey.url}`);
+    return null;
+  }
+
+  const headers = clientHeaders(cached, freshSeconds);
+  headers.set('X-Page-Cache', 'HIT');
+
+  const etag = cached.headers.get('ETag');
+  if (etag && etagMatches(request.headers.get('If-None-Match'), etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(cached.body, { status: 200, headers });
+}
+
+/**
+ * Returns the last good rendering of a page, however old or purged, for when the origin is down.
+ *
+ * @param {Request} cacheKey The key from `pageCacheKey`.
+ * @returns {Promise<Response|null>} The page, or null when none is cached.
+ */
+export async function matchLastGoodPage(cacheKey) {
+  const cached = await caches.default.match(cacheKey);
+  if (!cached) return null;
+
+  const headers = clientHeaders(cached, LAST_GOOD_MAX_AGE);
+  headers.delete('ETag'); // Not the current version of the page
+  headers.set('X-Page-Cache', 'STALE');
+  return new Response(cached.body, { status: 200, headers });
+}
+
+/**
+ * Stores a rendered page in the background while it streams to the client.
+ * The ETag is computed from the stored copy, so it is sent from the first cache hit on.
+ *
+ * @param {Response} response The rendered page.
+ * @param {Request} cacheKey The key from `pageCacheKey`.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {object} [options={}]
+ * @param {string[]} [options.tags=[]] Cache tags of the page.
+ * @param {number} [options.freshSeconds=300] How long the page is served from the cache.
+ * @returns {Response} The response to send to the client.
+ */
+export function storeCachedPage(response, cacheKey, ctx, options = {}) {
+  if (!response.body) return response;
+  const { tags = [], freshSeconds = 300 } = options;
+  const [clientBody, cacheBody] = response.body.tee();
+
+  ctx.waitUntil((async () => {
+    const html = await new Response(cacheBody).text();
+    const headers = new Headers(response.headers);
+    headers.set('ETag', await computeEtag(html));
+    headers.set('Cache-Control', `public, max-age=${freshSeconds + LAST_GOOD_SECONDS}`);
+    headers.set('X-Stored-At', String(Date.now()));
+    headers.set('X-Fresh-Seconds', String(freshSeconds));
+    headers.set('Cache-Tag', normalizeCacheTags(tags).join(','));
+    await caches.default.put(cacheKey, new Response(html, { status: 200, headers }));
+  })().catch(error => console.error(`Page cache write failed for ${cacheKey.url}: ${error.message}`)));
+
+  const headers = new Headers(response.headers);
+  headers.set('X-Page-Cache', 'MISS');
+  return new Response(clientBody, { status: response.status, statusText: response.statusText, headers });
+}
@@ -9,7 +9,7 @@ const API_TOKEN = process.env.API_TOKEN;;
 const ACCOUNT_ID = process.env.ACCOUNT_ID;
 const KV_NAMESPACE_ID = process.env.KV_NAMESPACE_ID; // Your KV namespace ID
 const BASE_DIR = path.join(__dirname, 'resources');
-const TYPES = ['js', 'css', 'html'];
+const TYPES = ['js', 'css', 'html', 'json'];
 const isDryRun = process.argv.includes('--dry-run');
 
 // Check if credentials are set
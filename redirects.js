@@ -0,0 +1,319 @@
+// redirects.js
+
+/* Redirect rules for renamed posts and moved pages, checked before the origin is requested.
+
+ Each site keeps its rules in KV under `json:redirects:<hostname>`:
+ {
+   "rules": [
+     { "type": "exact",  "from": "/2019/05/old-title.html", "to": "/2019/05/new-title.html" },
+     { "type": "prefix", "from": "/p/old-section/", "to": "/p/new-section/", "status": 308 },
+     { "type": "regex",  "from": "^/(\\d{4})/(\\d{2})/draft-(.+)\\.html$", "to": "/$1/$2/$3.html", "status": 302 },
+     { "type": "exact",  "from": "/catalogue", "to": "https://example.com/catalogue.pdf", "query": false }
+   ]
+ }
+   type    exact (the whole path), prefix (the rest of the path is appended to `to`) or regex
+           (`to` may use the captures as $1 or $<name>); default exact
+   status  301 (default), 302 or 308
+   query   keep the request's query string, merged into any query of `to` (default true)
+ Exact rules are checked first, then prefix rules (the longest prefix wins), then regex rules in order.
+ Invalid rules are left out and reported in the request log (see instrumentation.js); while KV is
+ unavailable, no redirects apply.
+
+ Every redirect is counted per rule. Counts are kept in the isolate and added to the KV entry
+ `json:redirecthits:<hostname>` at most once per HIT_FLUSH_SECONDS. The counts are approximate:
+   - KV has no atomic increment, so when isolates write at the same time the last write wins and the
+     increments of the others are lost
+   - counts of an isolate that is evicted before its next write are lost
+ A failed write keeps the counts for the next one. GET /admin/redirects lists the rules with their
+ counts, which shows the rules nobody uses any more.
+*/
+
+import { getCachedKV } from './helpers.js';
+
+const RULES_CHECK_SECONDS = 60;   // How long a change to the rules may take to apply
+const HIT_FLUSH_SECONDS = 60;     // How often the hit counts of an isolate are written to KV
+const STATUSES = new Set([301, 302, 308]);
+
+// Compiled rules per hostname, recompiled only when the KV value changes
+const compiledRules = new Map();
+
+// Hit counts per hostname not yet written to KV: Map<ruleId, {count, lastHit}>
+const pendingHits = new Map();
+const lastFlush = new Map();
+
+/**
+ * Identifies a rule in the hit counts, e.g. "prefix:/p/old-section/".
+ *
+ * @param {object} rule The rule.
+ * @returns {string} The rule id.
+ */
+function ruleId(rule) {
+  return `${rule.type}:${rule.from}`;
+}
+
+/**
+ * Validates and compiles the rules of a redirect document. Invalid rules are left out.
+ *
+ * @param {object} doc The redirect document.
+ * @param {RequestMetrics} metrics The request's metrics, which record the rules left out.
+ * @returns {{exact: Map<string, object>, prefix: object[], regex: object[], all: object[]}} The rules.
+ */
+export function compileRules(doc, metrics) {
+  const rules = { exact: new Map(), prefix: [], regex: [], all: [] };
+
+  for (const entry of Array.isArray(doc?.rules) ? doc.rules : []) {
+    const type = entry?.type || 'exact';
+    if (typeof entry?.from !== 'string' || typeof entry?.to !== 'string' || !entry.from || !entry.to) {
+      metrics.error('redirects', `Rule without from or to: ${JSON.stringify(entry)}`);
+      continue;
+    }
+
+    const status = Number(entry.status) || 301;
+    if (!STATUSES.has(status)) {
+      metrics.error('redirects', `Rule ${entry.from} has unsupported status ${entry.status}`);
+      continue;
+    }
+
+    const rule = { type, from: entry.from, to: entry.to, status, query: entry.query !== false };
+    if (type === 'exact') {
+      if (rules.exact.has(rule.from)) {
+        metrics.error('redirects', `Duplicate rule for ${rule.from}, the first one applies`);
+        continue;
+      }
+      rules.exact.set(rule.from, rule);
+    } else if (type === 'prefix') {
+      rules.prefix.push(rule);
+    } else if (type === 'regex') {
+      try {
+        rule.regex = new RegExp(rule.from);
+      } catch (error) {
+        metrics.error('redirects', `Invalid pattern ${rule.from}: ${error.message}`);
+        continue;
+      }
+      rules.regex.push(rule);
+    } else {
+      metrics.error('redirects', `Rule ${entry.from} has unknown type ${type}`);
+      continue;
+    }
+    rule.id = ruleId(rule);
+    rules.all.push(rule);
+  }
+
+  rules.prefix.sort((a, b) => b.from.length - a.from.length);
+  return rules;
+}
+
+/**
+ * Loads the compiled redirect rules of a site. When KV is unavailable the site is served without
+ * redirects rather than with an error.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The hostname of the site being served.
+ * @param {RequestMetrics} metrics The request's metrics.
+ * @returns {Promise<object|null>} The rules from `compileRules`, or null when the site has none.
+ */
+export async function loadRedirectRules(env, hostname, metrics) {
+  let raw;
+  try {
+    raw = await getCachedKV(env, `json:redirects:${hostname}`, RULES_CHECK_SECONDS);
+  } catch (error) {
+    metrics.error('redirects', `Rules for ${hostname} unavailable: ${error.message}`);
+    return null;
+  }
+  if (!raw) return null;
+
+  const compiled = compiledRules.get(hostname);
+  if (compiled?.raw === raw) return compiled.rules;
+
+  let rules;
+  try {
+    rules = compileRules(JSON.parse(raw), metrics);
+  } catch (error) {
+    metrics.error('redirects', `Invalid rules in KV for ${hostname}: ${error.message}`);
+    rules = compileRules(null, metrics);
+  }
+  compiledRules.set(hostname, { raw, rules });
+  return rules;
+}
+
+/**
+ * Fills the captures of a regex match into a target, as $1 or $<name>.
+ *
+ * @param {string} target The rule target.
+ * @param {RegExpMatchArray} match The match.
+ * @returns {string} The target with the captures filled in.
+ */
+function fillCaptures(target, match) {
+  return target.replace(/\$(\d+|<([^>]+)>)/g, (token, index, name) =>
+    (name ? match.groups?.[name] : match[Number(index)]) ?? '');
+}
+
+/**
+ * Finds the rule matching a path and the target it redirects to.
+ *
+ * @param {object} rules The rules from `compileRules`.
+ * @param {string} path The request path.
+ * @returns {{rule: object, target: string}|null} The rule and its target, or null when none matches.
+ */
+export function matchRedirect(rules, path) {
+  const exact = rules.exact.get(path);
+  if (exact) return { rule: exact, target: exact.to };
+
+  const prefix = rules.prefix.find(rule => path.startsWith(rule.from));
+  if (prefix) return { rule: prefix, target: prefix.to + path.slice(prefix.from.length) };
+
+  for (const rule of rules.regex) {
+    const match = path.match(rule.regex);
+    if (match) return { rule, target: fillCaptures(rule.to, match) };
+  }
+  return null;
+}
+
+/**
+ * Builds the Location of a redirect, keeping the request's query string when the rule does.
+ * Parameters already in the target are kept as they are.
+ *
+ * @param {URL} url The request URL.
+ * @param {object} rule The matched rule.
+ * @param {string} target The target from `matchRedirect`, a path or an absolute URL.
+ * @returns {URL} The redirect location.
+ */
+export function redirectLocation(url, rule, target) {
+  const location = new URL(target, url);
+  if (rule.query) {
+    for (const [name, value] of url.searchParams) {
+      if (!location.searchParams.has(name)) location.searchParams.append(name, value);
+    }
+  }
+  return location;
+}
+
+/**
+ * Counts a redirect, and writes the counts of this isolate to KV when they are due.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {string} hostname The hostname of the site being served.
+ * @param {object} rule The matched rule.
+ * @param {RequestMetrics} metrics The request's metrics.
+ */
+function countHit(env, ctx, hostname, rule, metrics) {
+  const hits = pendingHits.get(hostname) || new Map();
+  pendingHits.set(hostname, hits);
+  const entry = hits.get(rule.id) || { count: 0, lastHit: null };
+  entry.count++;
+  entry.lastHit = new Date().toISOString();
+  hits.set(rule.id, entry);
+
+  if (Date.now() - (lastFlush.get(hostname) || 0) >= HIT_FLUSH_SECONDS * 1000) {
+    ctx.waitUntil(flushRedirectHits(env, hostname).catch(error =>
+      metrics.error('redirects', `Hit count write failed for ${hostname}: ${error.message}`)));
+  }
+}
+
+/**
+ * Adds hit counts to a set of counts, keeping the latest hit.
+ *
+ * @param {Map<string, {count: number, lastHit: string}>} target The counts to add to.
+ * @param {Map<string, {count: number, lastHit: string}>} hits The counts to add.
+ */
+function mergeHits(target, hits) {
+  for (const [id, { count, lastHit }] of hits) {
+    const entry = target.get(id) || { count: 0, lastHit: null };
+    target.set(id, { count: entry.count + count, lastHit: entry.lastHit > lastHit ? entry.lastHit : lastHit });
+  }
+}
+
+/**
+ * Adds the hit counts of this isolate to the stored counts of a site. When the KV read or write
+ * fails, the counts are kept for the next write.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The hostname of the site.
+ * @returns {Promise<object>} The stored counts, keyed by rule id.
+ */
+export async function flushRedirectHits(env, hostname) {
+  const key = `json:redirecthits:${hostname}`;
+  const hits = pendingHits.get(hostname);
+  lastFlush.set(hostname, Date.now());
+  // Hits counted while this write is in progress go into a new set
+  pendingHits.delete(hostname);
+
+  try {
+    const stored = (await env.GALLERY.get(key, 'json')) || {};
+    if (!hits || hits.size === 0) return stored;
+
+    const totals = new Map(Object.entries(stored));
+    mergeHits(totals, hits);
+    const updated = Object.fromEntries(totals);
+    await env.GALLERY.put(key, JSON.stringify(updated));
+    return updated;
+  } catch (error) {
+    if (hits) {
+      const pending = pendingHits.get(hostname) || new Map();
+      mergeHits(pending, hits);
+      pendingHits.set(hostname, pending);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Answers a request with a redirect when one of the site's rules matches its path.
+ *
+ * @param {Request} request The incoming request.
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {RequestMetrics} metrics The request's metrics.
+ * @returns {Promise<Response|null>} The redirect, or null when no rule matches.
+ */
+export async function applyRedirects(request, env, ctx, metrics) {
+  const url = new URL(request.url);
+  const rules = await loadRedirectRules(env, url.hostname, metrics);
+  if (!rules) return null;
+
+  const found = matchRedirect(rules, url.pathname);
+  if (!found) return null;
+
+  const location = redirectLocation(url, found.rule, found.target);
+  if (location.href === url.href) {
+    metrics.error('redirects', `Rule ${found.rule.id} redirects ${url.pathname} to itself`);
+    return null;
+  }
+
+  countHit(env, ctx, url.hostname, found.rule, metrics);
+  return new Response(null, {
+    status: found.rule.status,
+    headers: {
+      Location: location.origin === url.origin ? `${location.pathname}${location.search}${location.hash}` : location.href,
+      // Permanent redirects are cached by browsers indefinitely without a max-age
+      'Cache-Control': found.rule.status === 302 ? 'no-store' : 'public, max-age=3600'
+    }
+  });
+}
+
+/**
+ * Lists the rules of a site with their hit counts, least used first.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The hostname of the site.
+ * @param {RequestMetrics} metrics The request's metrics.
+ * @returns {Promise<object[]>} The rules with `hits` and `lastHit`.
+ */
+export async function listRedirectHits(env, hostname, metrics) {
+  const rules = await loadRedirectRules(env, hostname, metrics);
+  const stored = await flushRedirectHits(env, hostname);
+
+  return (rules?.all || [])
+    .map(rule => ({
+      id: rule.id,
+      type: rule.type,
+      from: rule.from,
+      to: rule.to,
+      status: rule.status,
+      query: rule.query,
+      hits: stored[rule.id]?.count || 0,
+      lastHit: stored[rule.id]?.lastHit || null
+    }))
+    .sort((a, b) => a.hits - b.hits || String(a.lastHit).localeCompare(String(b.lastHit)));
+}
@@ -0,0 +1,190 @@
+// relatedworks.js
+
+/* Navigation between related artworks on post pages, computed from the search index documents
+ (see search.js): previous/next within a series, with a shared label as fallback.
+*/
+
+import { escapeHtml } from './helpers.js';
+import { normalizeText } from './search.js';
+import { renderArtworkGrid } from './artworkgrid.js';
+
+/**
+ * Orders documents by year (when known) and then by publication date.
+ *
+ * @param {object} a A search index document.
+ * @param {object} b A search index document.
+ * @returns {number} The sort order.
+ */
+export function compareByDate(a, b) {
+  const yearA = a.yearStart ?? Infinity;
+  const yearB = b.yearStart ?? Infinity;
+  if (yearA !== yearB) return yearA - yearB;
+  return String(a.published).localeCompare(String(b.published));
+}
+
+/**
+ * Finds the siblings of a post within its series, or within its first shared label as a fallback.
+ *
+ * @param {object[]} docs The search index documents.
+ * @param {object} current
+ * @param {string} current.path The path of the current post.
+ * @param {string} [current.series] The series field of the current post.
+ * @param {string[]} [current.labels] The labels of the current post.
+ * @returns {{kind: 'series'|'label', name: string, url: string, items: object[], position: number, previous: (object|null), next: (object|null)}|null}
+ */
+export function findSeriesSiblings(docs, { path, series, labels = [] }) {
+  let kind = null;
+  let name = null;
+  let items = [];
+
+  if (series) {
+    const key = normalizeText(series).trim();
+    items = docs.filter(doc => doc.series && normalizeText(doc.series).trim() === key);
+    if (items.some(doc => doc.path !== path)) {
+      kind = 'series';
+      name = series;
+    }
+  }
+
+  if (!kind) {
+    for (const label of labels) {
+      items = docs.filter(doc => doc.labels.includes(label));
+      if (items.some(doc => doc.path !== path)) {
+        kind = 'label';
+        name = label;
+        break;
+      }
+    }
+  }
+
+  if (!kind) return null;
+
+  items = [...items].sort(compareByDate);
+  const position = items.findIndex(doc => doc.path === path);
+
+  return {
+    kind,
+    name,
+    url: kind === 'series'
+      ? `/browse?series=${encodeURIComponent(name)}`
+      : `/search/label/${encodeURIComponent(name)}`,
+    items: items.filter(doc => doc.path !== path),
+    position,
+    previous: position > 0 ? items[position - 1] : null,
+    next: position !== -1 && position < items.length - 1 ? items[position + 1] : null
+  };
+}
+
+/**
+ * Renders previous/next links and a "more from this series" thumbnail strip.
+ *
+ * @param {object|null} nav The result of `findSeriesSiblings`.
+ * @param {object} [options={}]
+ * @param {number} [options.limit=8] Maximum number of thumbnails.
+ * @returns {string} The navigation HTML, or an empty string.
+ */
+export function renderSeriesNavigation(nav, options = {}) {
+  if (!nav) return '';
+  const { limit = 8 } = options;
+
+  const link = (doc, rel, text) => doc
+    ? `<a class="series-${rel}" rel="${rel}" href="${escapeHtml(doc.path)}"><span class="series-direction">${text}</span> <span class="series-item-title">${escapeHtml(doc.title)}</span></a>`
+    : `<span class="series-${rel} disabled"></span>`;
+
+  // Keep the strip centred on the current work where possible
+  const start = Math.max(0, Math.min(nav.position - Math.floor(limit / 2), nav.items.length - limit));
+  const strip = nav.items.slice(start, start + limit).map(doc => ({
+    title: doc.title,
+    path: doc.path,
+    imageUrl: doc.image,
+    fields: { year: doc.year }
+  }));
+
+  const heading = nav.kind === 'series' ? 'More from this series' : 'More from';
+
+  return `<nav class="series-navigation series-by-${nav.kind}" aria-label="${escapeHtml(nav.name)}">
+  <div class="series-links">
+    ${link(nav.previous, 'prev', 'Previous')}
+    ${link(nav.next, 'next', 'Next')}
+  </div>
+  <h4 class="series-heading">${heading} <a href="${escapeHtml(nav.url)}">${escapeHtml(nav.name)}</a></h4>
+  ${renderArtworkGrid(strip, { className: 'series-strip', imageSize: 's200' })}
+</nav>
+`;
+}
+
+/** Points per shared property, used by `scoreRelatedWorks`. */
+const RELATED_WEIGHTS = { artist: 3, medium: 2, label: 2, period: 1.5, series: 1 };
+
+/** Fewest related works worth a block; `renderRelatedWorks` renders nothing below this. */
+export const MIN_RELATED_WORKS = 4;
+
+/**
+ * Scores all documents against the current post by shared labels, artist, medium, series and period.
+ * When fewer than `minimum` share anything, the list is filled up with works from the nearest years,
+ * or the most recent works when the year of the post is unknown.
+ *
+ * @param {object[]} docs The search index documents.
+ * @param {object} current
+ * @param {string} current.path The path of the current post.
+ * @param {Object<string, string>} [current.fields] The parsed fields of the current post.
+ * @param {string[]} [current.labels] The labels of the current post.
+ * @param {number} [current.yearStart] The (start) year of the current post.
+ * @param {object} [options={}]
+ * @param {number} [options.limit=8] Maximum number of related works.
+ * @param {number} [options.minimum=MIN_RELATED_WORKS] Number of works to fill up to.
+ * @param {string[]} [options.exclude=[]] Paths to leave out (e.g. already shown in the series strip).
+ * @returns {Array<{doc: object, score: number}>} The related works, best first (filled up works score 0).
+ */
+export function scoreRelatedWorks(docs, { path, fields = {}, labels = [], yearStart = null }, options = {}) {
+  const { limit = 8, minimum = MIN_RELATED_WORKS, exclude = [] } = options;
+  const same = (a, b) => a && b && normalizeText(a).trim() === normalizeText(b).trim();
+  const byPublishedDesc = (a, b) => String(b.doc.published).localeCompare(String(a.doc.published));
+
+  const candidates = docs.filter(doc => doc.path !== path && !exclude.includes(doc.path));
+  const scored = candidates
+    .map(doc => {
+      let score = 0;
+      if (same(doc.artist, fields.artist)) score += RELATED_WEIGHTS.artist;
+      if (same(doc.medium, fields.medium)) score += RELATED_WEIGHTS.medium;
+      if (same(doc.series, fields.series)) score += RELATED_WEIGHTS.series;
+      score += doc.labels.filter(label => labels.includes(label)).length * RELATED_WEIGHTS.label;
+      if (yearStart && doc.yearStart && Math.abs(doc.yearStart - yearStart) <= 5) score += RELATED_WEIGHTS.period;
+      return { doc, score };
+    });
+
+  const related = scored
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || byPublishedDesc(a, b))
+    .slice(0, limit);
+  if (related.length >= minimum) return related;
+
+  const distance = ({ doc }) => (yearStart && doc.yearStart ? Math.abs(doc.yearStart - yearStart) : Infinity);
+  const fill = scored
+    .filter(({ score }) => score === 0)
+    .sort((a, b) => distance(a) - distance(b) || byPublishedDesc(a, b))
+    .slice(0, minimum - related.length);
+  return [...related, ...fill];
+}
+
+/**
+ * Renders the related works block.
+ *
+ * @param {object[]} docs The related documents.
+ * @returns {string} The block HTML, or an empty string when there are fewer than MIN_RELATED_WORKS.
+ */
+export function renderRelatedWorks(docs) {
+  if (!docs || docs.length < MIN_RELATED_WORKS) return '';
+  const artworks = docs.map(doc => ({
+    title: doc.title,
+    path: doc.path,
+    imageUrl: doc.image,
+    fields: { year: doc.year }
+  }));
+
+  return `<section class="related-works">
+  <h4 class="related-heading">Related works</h4>
+  ${renderArtworkGrid(artworks, { className: 'related-grid', imageSize: 's200' })}
+</section>
+`;
+}
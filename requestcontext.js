@@ -0,0 +1,85 @@
+// requestcontext.js
+
+/* Per-request state of the page pipeline.
+
+ Everything a request collects on its way through the route handlers and the HTMLRewriter handlers
+ (page HTML, bundled styles and scripts, preload images, structured data, ...) lives on one context
+ object created at the start of `fetch`. Nothing is kept in module-level variables, which are shared
+ by all requests served by the same isolate.
+*/
+
+/**
+ * @typedef {object} RequestContext
+ * @property {Request} request The incoming request.
+ * @property {any} env The environment object containing KV namespaces and secrets.
+ * @property {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @property {URL} url The request URL.
+ * @property {object} siteConfig The site configuration (see siteconfig.js).
+ * @property {boolean} debug True when logging is enabled and caching is disabled.
+ * @property {RequestMetrics} metrics Timings, cache outcomes and errors of the request (see instrumentation.js).
+ * @property {string|null} bloggerAPIkey The Blogger API key.
+ * @property {string} head The start of the origin page, up to the end of its <head> (see streamhandlers.js).
+ * @property {string|null} html The whole page, for routes that read it (`readsPage`, see router.js); null
+ *   while the page streams from the origin.
+ * @property {string|null} content HTML in place of Blogger's post list, e.g. label results.
+ * @property {string|null} blogId The Blogger blog id.
+ * @property {string|null} menuHtml The rendered navigation menu.
+ * @property {string|null} lowResImage Main page background image, preloaded first.
+ * @property {string|null} highResImage Main page background image, full size.
+ * @property {string|null} sitename The site name.
+ * @property {string} pageClass The class of the matched route, e.g. "post-page".
+ * @property {object|null} route The matched route (see router.js), null when no route matched.
+ * @property {Object<string, string>} params The named parameters of the matched route pattern.
+ * @property {number} status The status of the rendered page, 404 for the not-found page (see notfound.js).
+ * @property {boolean} noindex Asks search engines not to index the page, e.g. the not-found page.
+ * @property {number} cacheSeconds Cache-Control max-age of the response.
+ * @property {string[]} cacheTags Cache tags of the rendered page, e.g. "post:123" (see pagecache.js).
+ * @property {object[]} jsonLd schema.org blocks for the <head> (see structureddata.js).
+ * @property {object|null} social Open Graph / Twitter card data (see socialmeta.js).
+ * @property {string[]} styles Style blocks bundled into one <style> in the <head>.
+ * @property {string[]} scripts Script blocks bundled into one <script> at the end of the <body>.
+ */
+
+/**
+ * Creates the context of a single request.
+ *
+ * @param {object} options
+ * @param {Request} options.request The incoming request.
+ * @param {any} options.env The environment object.
+ * @param {ExecutionContext} options.ctx The Cloudflare Worker's context object.
+ * @param {URL} options.url The request URL.
+ * @param {object} options.siteConfig The site configuration, including the request's `debug` flag.
+ * @param {RequestMetrics} options.metrics The request's metrics.
+ * @returns {RequestContext} A new, empty request context.
+ */
+export function createRequestContext({ request, env, ctx, url, siteConfig, metrics }) {
+  return {
+    request,
+    env,
+    ctx,
+    url,
+    siteConfig,
+    debug: siteConfig.debug,
+    metrics,
+    bloggerAPIkey: env.BLOGGER_API_KEY || null,
+    head: '',
+    html: null,
+    content: null,
+    blogId: null,
+    menuHtml: null,
+    lowResImage: null,
+    highResImage: null,
+    sitename: null,
+    pageClass: 'unknown-page',
+    route: null,
+    params: {},
+    status: 200,
+    noindex: false,
+    cacheSeconds: 300,
+    cacheTags: [],
+    jsonLd: [],
+    social: null,
+    styles: [],
+    scripts: []
+  };
+}
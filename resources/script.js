@@ -56,6 +56,42 @@
       }
     });
 
+    // submenus: disclosure buttons open one submenu at a time
+    const submenuToggles = document.querySelectorAll('.nav-section .submenu-toggle');
+
+    function closeSubmenus(except) {
+      submenuToggles.forEach(toggle => {
+        if (toggle === except) return;
+        toggle.setAttribute('aria-expanded', 'false');
+        const submenu = document.getElementById(toggle.getAttribute('aria-controls'));
+        if (submenu) submenu.hidden = true;
+      });
+    }
+
+    submenuToggles.forEach(toggle => {
+      toggle.addEventListener('click', function (e) {
+        e.stopPropagation();
+        const submenu = document.getElementById(toggle.getAttribute('aria-controls'));
+        const expanded = toggle.getAttribute('aria-expanded') === 'true';
+        closeSubmenus(toggle);
+        toggle.setAttribute('aria-expanded', String(!expanded));
+        if (submenu) submenu.hidden = expanded;
+      });
+    });
+
+    document.addEventListener('click', function (e) {
+      if (!e.target.closest('.menu-group')) closeSubmenus();
+    });
+
+    document.addEventListener('keydown', function (e) {
+      if (e.key !== 'Escape') return;
+      const openToggle = document.querySelector('.nav-section .submenu-toggle[aria-expanded="true"]');
+      if (openToggle) {
+        closeSubmenus();
+        openToggle.focus();
+      }
+    });
+
     const activeLink = document.querySelector(".nav-section .active-link");
 
     if (activeLink) {
@@ -68,6 +104,133 @@
 
 
 
+    // search-as-you-type suggestions under the header search box
+    const searchField = document.getElementById('search-field');
+    const searchWrapper = searchField?.closest('.search-wrapper');
+
+    if (searchField && searchWrapper) {
+      const suggestionList = document.createElement('ul');
+      suggestionList.className = 'search-suggestions';
+      suggestionList.id = 'search-suggestions';
+      suggestionList.setAttribute('role', 'listbox');
+      suggestionList.hidden = true;
+      searchWrapper.appendChild(suggestionList);
+
+      searchField.setAttribute('autocomplete', 'off');
+      searchField.setAttribute('role', 'combobox');
+      searchField.setAttribute('aria-autocomplete', 'list');
+      searchField.setAttribute('aria-controls', 'search-suggestions');
+      searchField.setAttribute('aria-expanded', 'false');
+
+      let activeIndex = -1;
+      let debounceTimer = null;
+      let lastQuery = '';
+      let controller = null;
+
+      const escapeText = text => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+      function closeSuggestions() {
+        suggestionList.hidden = true;
+        suggestionList.innerHTML = '';
+        searchField.setAttribute('aria-expanded', 'false');
+        searchField.removeAttribute('aria-activedescendant');
+        activeIndex = -1;
+      }
+
+      function setActive(index) {
+        const options = suggestionList.querySelectorAll('[role="option"]');
+        if (options.length === 0) return;
+        activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.classList.toggle('active', i === activeIndex));
+        searchField.setAttribute('aria-activedescendant', options[activeIndex].id);
+        options[activeIndex].scrollIntoView({ block: 'nearest' });
+      }
+
+      function renderSuggestions(data) {
+        const items = [
+          ...data.artworks.map(a => ({ type: 'artwork', url: a.url, title: a.title, detail: [a.artist, a.year].filter(Boolean).join(', '), image: a.image })),
+          ...data.labels.map(l => ({ type: 'label', url: l.url, title: l.name, detail: String(l.count) })),
+          ...data.pages.map(p => ({ type: 'page', url: p.url, title: p.title, detail: '' }))
+        ];
+
+        if (items.length === 0) {
+          closeSuggestions();
+          return;
+        }
+
+        suggestionList.innerHTML = items.map((item, i) => `
+          <li role="option" id="suggestion-${i}" class="suggestion suggestion-${item.type}">
+            <a href="${escapeText(item.url)}" tabindex="-1">
+              ${item.image ? `<img src="${escapeText(item.image)}" alt="" loading="lazy">` : `<span class="material-symbols-outlined">${item.type === 'label' ? 'label' : 'description'}</span>`}
+              <span class="suggestion-title">${escapeText(item.title)}</span>
+              ${item.detail ? `<span class="suggestion-detail">${escapeText(item.detail)}</span>` : ''}
+            </a>
+          </li>`).join('');
+
+        suggestionList.hidden = false;
+        searchField.setAttribute('aria-expanded', 'true');
+        activeIndex = -1;
+      }
+
+      async function fetchSuggestions(q) {
+        if (controller) controller.abort();
+        controller = new AbortController();
+        try {
+          const res = await fetch(`/api/suggest?q=${encodeURIComponent(q)}`, { signal: controller.signal });
+          if (!res.ok) return;
+          const data = await res.json();
+          if (q === searchField.value.trim()) renderSuggestions(data);
+        } catch (err) {
+          if (err.name !== 'AbortError') console.error('Suggestions failed:', err);
+        }
+      }
+
+      searchField.addEventListener('input', () => {
+        const q = searchField.value.trim();
+        clearTimeout(debounceTimer);
+        if (q.length < 2) {
+          lastQuery = q;
+          closeSuggestions();
+          return;
+        }
+        if (q === lastQuery) return;
+        debounceTimer = setTimeout(() => {
+          lastQuery = q;
+          fetchSuggestions(q);
+        }, 200);
+      });
+
+      searchField.addEventListener('keydown', e => {
+        if (suggestionList.hidden) return;
+        const options = suggestionList.querySelectorAll('[role="option"]');
+
+        if (e.key === 'ArrowDown') {
+          e.preventDefault();
+          setActive(activeIndex + 1);
+        } else if (e.key === 'ArrowUp') {
+          e.preventDefault();
+          setActive(activeIndex - 1);
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+          // Open the highlighted suggestion instead of submitting the search form
+          e.preventDefault();
+          window.location.href = options[activeIndex].querySelector('a').href;
+        } else if (e.key === 'Escape') {
+          closeSuggestions();
+        }
+      });
+
+      suggestionList.addEventListener('mousemove', e => {
+        const option = e.target.closest('[role="option"]');
+        if (option) setActive([...suggestionList.children].indexOf(option));
+      });
+
+      document.addEventListener('click', e => {
+        if (!searchWrapper.contains(e.target)) closeSuggestions();
+      });
+    }
+
+
+
     const magic = document.querySelector('.made-with-magic');
     const blogger = document.querySelector('.powered-by-blogger');
     let showingMagic = true;
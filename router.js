@@ -0,0 +1,139 @@
+// router.js
+
+/* A small route registry for the worker.
+
+ Routes are registered with URLPattern-style path patterns:
+   '/browse'                                     literal path
+   '/search/label/:label'                        named parameter (one path segment)
+   '/:year(\\d{4})/:month(\\d{2})/:slug.html'   named parameter with its own regex (use non-capturing groups inside)
+   '/sitemap{-:n(\\d+)}?.xml'                    optional group
+   '/files/*'                                    wildcard, available as `params.wildcard`
+ A route may list several patterns, e.g. `['/atom', '/rss', '/json']`.
+
+ Options per route:
+   pageClass     class added to <html>, used by the page pipeline (default 'unknown-page')
+   methods       accepted HTTP methods (default GET and HEAD)
+   query         query parameters that must be present, e.g. ['q']
+   cacheSeconds  Cache-Control max-age of the response (falls back to the site's cacheDurationSeconds)
+   assets        suffix of the KV assets injected into the page (`html:/<assets>`, `css:/<assets>`,
+                 `js:/<assets>`), defaults to the pageClass; false for none
+   simplify      reduce the page to its main content blocks before rendering
+   pageCache     keep the rendered page in the full-page cache (see pagecache.js)
+   notFound      the route shows a Blogger page, so a 404 from the origin renders the not-found page
+                 (see notfound.js); paths no route matches always do
+   readsPage     the handler reads the origin page (`context.html`), so it is read whole first; other
+                 pages stream from the origin, with only their <head> read (`context.head`)
+
+ A handler receives the request context (see requestcontext.js) with `params` and `route` added,
+ and either returns a Response, which ends the request, or updates the context for the page pipeline:
+ `context.html` (with `readsPage`) or `context.content`, shown in place of Blogger's post list.
+*/
+
+const DEFAULT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Compiles a URLPattern-style path pattern into a regular expression.
+ *
+ * @param {string} pattern The path pattern.
+ * @returns {{regex: RegExp, names: string[]}} The anchored regex and its parameter names, in order.
+ */
+export function compilePattern(pattern) {
+  const names = [];
+  let source = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const ch = pattern[i];
+
+    if (ch === ':') {
+      const param = pattern.slice(i).match(/^:([A-Za-z_][A-Za-z0-9_]*)(?:\(((?:[^()\\]|\\.|\((?:[^()\\]|\\.)*\))+)\))?/);
+      if (!param) throw new Error(`Invalid parameter in route pattern "${pattern}"`);
+      names.push(param[1]);
+      source += `(${param[2] || '[^/]+'})`;
+      i += param[0].length;
+    } else if (ch === '*') {
+      names.push('wildcard');
+      source += '(.*)';
+      i += 1;
+    } else if (ch === '{') {
+      source += '(?:';
+      i += 1;
+    } else if (ch === '}') {
+      const optional = pattern[i + 1] === '?';
+      source += optional ? ')?' : ')';
+      i += optional ? 2 : 1;
+    } else {
+      source += ch.replace(/[.+?^$|[\]\\()]/g, '\\$&');
+      i += 1;
+    }
+  }
+
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+const decodeParam = value => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+export class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Registers a route.
+   *
+   * @param {string|string[]} patterns One or more path patterns.
+   * @param {(context: object) => Promise<Response|void>} handler The route handler.
+   * @param {object} [options={}] Route options, see the top of this file.
+   * @returns {Router} The router, for chaining.
+   */
+  add(patterns, handler, options = {}) {
+    const pageClass = options.pageClass || 'unknown-page';
+    this.routes.push({
+      name: [].concat(patterns)[0], // Identifies the route in logs
+      patterns: [].concat(patterns).map(compilePattern),
+      handler,
+      pageClass,
+      methods: (options.methods || DEFAULT_METHODS).map(m => m.toUpperCase()),
+      query: options.query || [],
+      cacheSeconds: options.cacheSeconds ?? null,
+      assets: options.assets === false ? null : (options.assets || pageClass),
+      simplify: options.simplify === true,
+      pageCache: options.pageCache === true,
+      notFound: options.notFound === true,
+      readsPage: options.readsPage === true
+    });
+    return this;
+  }
+
+  /**
+   * Finds the first route matching the request method and URL.
+   *
+   * @param {string} method The HTTP method.
+   * @param {URL} url The request URL.
+   * @returns {{route: object, params: Object<string, string>}|null} The route and its decoded parameters.
+   */
+  match(method, url) {
+    for (const route of this.routes) {
+      if (!route.methods.includes(method.toUpperCase())) continue;
+      if (!route.query.every(name => url.searchParams.has(name))) continue;
+
+      for (const { regex, names } of route.patterns) {
+        const found = url.pathname.match(regex);
+        if (!found) continue;
+
+        const params = {};
+        names.forEach((name, index) => {
+          if (found[index + 1] !== undefined) params[name] = decodeParam(found[index + 1]);
+        });
+        return { route, params };
+      }
+    }
+    return null;
+  }
+}
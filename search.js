@@ -0,0 +1,286 @@
+// search.js
+
+/* Full-text search over artwork metadata.
+
+ The index is a compact document derived from the artwork catalog (catalog.js), which is
+ stored in KV, so queries don't refetch the whole feed.
+
+ Query syntax:
+   appel                     free text, matches any field
+   "karel appel"             phrase
+   artist:appel medium:oil   field-scoped terms (title, artist, medium, series, label, notes)
+   year:1960..1970           year range (also year:1960, year:..1970, year:1960..)
+*/
+
+import { escapeHtml } from './helpers.js';
+import { getCatalog } from './catalog.js';
+import { stripTemplateTags } from './templatehelper.js';
+
+export const SEARCH_INDEX_VERSION = 1;
+
+/** Weight of a match per field, used for ranking. */
+const FIELD_WEIGHTS = { title: 5, artist: 4, series: 3, medium: 3, label: 3, notes: 1 };
+
+/** Aliases accepted in field-scoped queries. */
+const FIELD_ALIASES = { labels: 'label', tag: 'label', tags: 'label', creator: 'artist', note: 'notes', date: 'year' };
+
+/**
+ * Lowercases and strips diacritics so that "Appél" matches "appel".
+ *
+ * @param {string} str The text to normalize.
+ * @returns {string} The normalized text.
+ */
+export function normalizeText(str) {
+  return String(str || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Builds the compact search index document.
+ *
+ * @param {object[]} artworks Normalized artworks (see `artworkFromFeedEntry`).
+ * @returns {{version: number, builtAt: number, docs: object[]}} The index.
+ */
+export function buildSearchIndex(artworks) {
+  const docs = artworks.map(artwork => {
+    const dateValue = artwork.typed?.year || artwork.typed?.date || artwork.typed?.period;
+    return {
+      id: artwork.id,
+      title: stripTemplateTags(artwork.title),
+      path: artwork.path,
+      image: artwork.imageUrl,
+      published: artwork.published,
+      artist: artwork.fields?.artist || '',
+      medium: artwork.fields?.medium || '',
+      series: artwork.fields?.series || '',
+      year: artwork.fields?.year || artwork.fields?.date || '',
+      yearStart: dateValue ? parseInt(dateValue.start, 10) : null,
+      yearEnd: dateValue ? parseInt(dateValue.end, 10) : null,
+      labels: artwork.labels || [],
+      notes: (artwork.notes || []).join(' ').slice(0, 500)
+    };
+  });
+
+  return { version: SEARCH_INDEX_VERSION, builtAt: Date.now(), docs };
+}
+
+/**
+ * Parses a query string into free terms, field-scoped terms and a year range.
+ *
+ * @param {string} q The raw query.
+ * @returns {{terms: string[], fields: Object<string, string[]>, year: ({from: number, to: number}|null)}}
+ */
+export function parseQuery(q) {
+  const result = { terms: [], fields: {}, year: null };
+  const tokenRegex = /(?:([a-z]+):)?(?:"([^"]+)"|(\S+))/gi;
+
+  for (const [, rawField, phrase, word] of String(q || '').matchAll(tokenRegex)) {
+    const value = normalizeText(phrase ?? word).trim();
+    if (!value) continue;
+    const field = rawField ? (FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase()) : null;
+
+    if (field === 'year') {
+      const range = value.match(/^(\d{4})?(?:\.\.(\d{4})?)?$/);
+      if (range && (range[1] || range[2])) {
+        const isRange = value.includes('..');
+        const from = range[1] ? parseInt(range[1], 10) : -Infinity;
+        const to = range[2] ? parseInt(range[2], 10) : (isRange ? Infinity : from);
+        result.year = { from, to };
+        continue;
+      }
+    }
+
+    if (field && field in FIELD_WEIGHTS) {
+      (result.fields[field] ||= []).push(value);
+    } else {
+      // Unknown "field:" prefixes are treated as plain text.
+      result.terms.push(rawField ? normalizeText(`${rawField}:${phrase ?? word}`) : value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Scores how well a term matches a text: whole word > word prefix > substring.
+ *
+ * @param {string} text The normalized text.
+ * @param {string} term The normalized term.
+ * @returns {number} 1, 0.6, 0.3 or 0.
+ */
+function termScore(text, term) {
+  if (!text || !term) return 0;
+  const index = text.indexOf(term);
+  if (index === -1) return 0;
+  const escaped = term.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+  if (new RegExp(`(?:^|[^\\p{L}\\p{N}])${escaped}(?:$|[^\\p{L}\\p{N}])`, 'u').test(text)) return 1;
+  if (new RegExp(`(?:^|[^\\p{L}\\p{N}])${escaped}`, 'u').test(text)) return 0.6;
+  return 0.3;
+}
+
+/**
+ * Runs a parsed query against the index. All terms must match (AND).
+ *
+ * @param {{docs: object[]}} index The search index.
+ * @param {object} query The parsed query (see `parseQuery`).
+ * @returns {Array<{doc: object, score: number}>} The matches, best first.
+ */
+export function searchIndex(index, query) {
+  const results = [];
+  const hasCriteria = query.terms.length > 0 || Object.keys(query.fields).length > 0 || query.year;
+  if (!hasCriteria) return results;
+
+  for (const doc of index.docs) {
+    const texts = {
+      title: normalizeText(doc.title),
+      artist: normalizeText(doc.artist),
+      series: normalizeText(doc.series),
+      medium: normalizeText(doc.medium),
+      label: normalizeText(doc.labels.join(' | ')),
+      notes: normalizeText(doc.notes)
+    };
+
+    if (query.year) {
+      if (doc.yearStart === null) continue;
+      if (doc.yearEnd < query.year.from || doc.yearStart > query.year.to) continue;
+    }
+
+    let score = query.year ? 1 : 0;
+    let matchesAll = true;
+
+    for (const [field, terms] of Object.entries(query.fields)) {
+      for (const term of terms) {
+        const s = termScore(texts[field], term);
+        if (!s) { matchesAll = false; break; }
+        score += s * FIELD_WEIGHTS[field] * 2;
+      }
+      if (!matchesAll) break;
+    }
+    if (!matchesAll) continue;
+
+    for (const term of query.terms) {
+      let best = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        best = Math.max(best, termScore(texts[field], term) * weight);
+      }
+      if (!best) { matchesAll = false; break; }
+      score += best;
+    }
+    if (!matchesAll) continue;
+
+    results.push({ doc, score });
+  }
+
+  // Best score first, newest first on ties
+  return results.sort((a, b) => b.score - a.score || String(b.doc.published).localeCompare(String(a.doc.published)));
+}
+
+/**
+ * Escapes a text and wraps the matched terms in <mark> elements.
+ * Matching ignores case and diacritics; the original characters are kept.
+ *
+ * @param {string} text The text to highlight.
+ * @param {string[]} terms The normalized query terms.
+ * @returns {string} The highlighted HTML.
+ */
+export function highlight(text, terms) {
+  const source = String(text || '');
+  if (!terms || terms.length === 0) return escapeHtml(source);
+
+  // Map each normalized character back to its position in the source text.
+  let normalized = '';
+  const positions = [];
+  for (let i = 0; i < source.length; i++) {
+    const n = normalizeText(source[i]);
+    for (let j = 0; j < n.length; j++) positions.push(i);
+    normalized += n;
+  }
+
+  const marks = new Array(source.length).fill(false);
+  for (const term of terms) {
+    if (!term) continue;
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      for (let k = index; k < index + term.length; k++) marks[positions[k]] = true;
+      index = normalized.indexOf(term, index + term.length);
+    }
+  }
+
+  let out = '';
+  let open = false;
+  for (let i = 0; i < source.length; i++) {
+    if (marks[i] && !open) { out += '<mark>'; open = true; }
+    if (!marks[i] && open) { out += '</mark>'; open = false; }
+    out += escapeHtml(source[i]);
+  }
+  return open ? `${out}</mark>` : out;
+}
+
+// Search indexes per hostname, rebuilt when the catalog stamp changes.
+const indexMemo = new Map();
+
+/**
+ * Returns the site's search index, derived from the artwork catalog (see catalog.js).
+ * The index is rebuilt in memory only when the catalog changes.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {URL} url The request URL (its hostname selects the site).
+ * @param {ExecutionContext} ctx The Cloudflare Worker's context object.
+ * @param {object} [options={}]
+ * @param {number} [options.ttlSeconds=3600] Maximum age of the catalog before it is refreshed.
+ * @param {boolean} [options.debug=false] If true, always rebuild.
+ * @returns {Promise<{version: number, builtAt: string, docs: object[]}|null>} The index, or null when it cannot be built.
+ */
+export async function getSearchIndex(env, url, ctx, options = {}) {
+  const { ttlSeconds = 3600, debug = false } = options;
+  const catalog = await getCatalog(env, url, ctx, { ttlSeconds, debug });
+  if (!catalog) return null;
+
+  const memo = indexMemo.get(url.hostname);
+  if (memo && memo.builtAt === catalog.stamp) return memo;
+
+  // builtAt carries the catalog stamp so derived caches (e.g. related works) can key on it
+  const index = { ...buildSearchIndex(catalog.artworks), builtAt: catalog.stamp };
+  indexMemo.set(url.hostname, index);
+  return index;
+}
+
+/**
+ * Builds search-as-you-type suggestions: the best matching artworks, labels and static pages.
+ *
+ * @param {{docs: object[]}} index The search index.
+ * @param {string} q The raw query.
+ * @param {object} [options={}]
+ * @param {Array<{title: string, url: string}>} [options.pages=[]] The static pages of the site.
+ * @param {number} [options.limit=6] Maximum number of artworks (labels and pages get fewer).
+ * @returns {{query: string, artworks: object[], labels: object[], pages: object[]}}
+ */
+export function suggest(index, q, options = {}) {
+  const { pages = [], limit = 6 } = options;
+  const query = parseQuery(q);
+  const terms = [...query.terms, ...Object.values(query.fields).flat()];
+
+  const artworks = searchIndex(index, query).slice(0, limit).map(({ doc }) => ({
+    title: doc.title,
+    url: doc.path,
+    image: doc.image,
+    artist: doc.artist,
+    year: doc.year
+  }));
+
+  // Labels match when every term is found in the label name
+  const labelCounts = new Map();
+  for (const doc of index.docs) {
+    for (const label of doc.labels) labelCounts.set(label, (labelCounts.get(label) || 0) + 1);
+  }
+  const labels = terms.length === 0 ? [] : [...labelCounts.entries()]
+    .filter(([label]) => terms.every(term => normalizeText(label).includes(term)))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, Math.ceil(limit / 2))
+    .map(([name, count]) => ({ name, count, url: `/search/label/${encodeURIComponent(name)}` }));
+
+  const matchedPages = terms.length === 0 ? [] : pages
+    .filter(page => terms.every(term => normalizeText(page.title).includes(term)))
+    .slice(0, Math.ceil(limit / 2));
+
+  return { query: q, artworks, labels, pages: matchedPages };
+}
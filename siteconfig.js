@@ -0,0 +1,139 @@
+// siteconfig.js
+
+/* Per-site configuration.
+
+ The worker serves several sites, so settings are stored per hostname in KV under `config:<hostname>`
+ as a JSON document with any of the keys below, e.g.
+   { "maxMenuEntries": 6, "labelPageSize": 36, "translatedLanguages": ["ja"] }
+
+ The document is merged over `DEFAULT_CONFIG` and validated against `CONFIG_SCHEMA`: unknown keys and
+ invalid values are logged and ignored. The result is a frozen object that is passed through the
+ request pipeline; nothing is shared or mutated between requests.
+*/
+
+import { getCachedKV } from './helpers.js';
+
+export const DEFAULT_CONFIG = Object.freeze({
+  debug: false, // Set to 'true' to enable detailed logging and disable caching (by setting cache duration to 1 second).
+  useGitHub: false, // Use GitHub for templates (slower but easier to edit)
+  useHardCodedMenu: false, // Use hardcoded menu links instead of scraping page titles.
+  cacheDurationSeconds: 3600, // Duration to cache resources in seconds
+  maxMenuEntries: 5,         // Maximum number of menu links to display
+  labelPageSize: 24,         // Number of artworks per label page
+  searchPageSize: 20,        // Number of results per search page
+  sitemapPageSize: 1000,     // Maximum number of URLs per sitemap before /sitemap.xml becomes an index
+  language: 'en',            // Language of the feeds, sitemap and news list, which are served without Blogger's page (pages use its lang)
+  translatedLanguages: Object.freeze([]), // Translated language prefixes (e.g. ['ja', 'nl'] for /ja/..., /nl/...), listed as hreflang alternates
+  bundleScripts: true, // Consolidate all addded script blocks into one script tag at the end of the body element
+  bundleStyles: true, // Consolidate all addded style blocks into one style tag in the head element
+  // Add other configurable values here as needed
+});
+
+/** Type and range of every configuration key. */
+export const CONFIG_SCHEMA = {
+  debug: { type: 'boolean' },
+  useGitHub: { type: 'boolean' },
+  useHardCodedMenu: { type: 'boolean' },
+  cacheDurationSeconds: { type: 'integer', min: 1, max: 604800 },
+  maxMenuEntries: { type: 'integer', min: 1, max: 20 },
+  labelPageSize: { type: 'integer', min: 1, max: 150 },
+  searchPageSize: { type: 'integer', min: 1, max: 100 },
+  sitemapPageSize: { type: 'integer', min: 1, max: 50000 },
+  language: { type: 'language' },
+  translatedLanguages: { type: 'languages' },
+  bundleScripts: { type: 'boolean' },
+  bundleStyles: { type: 'boolean' }
+};
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(?:-[a-z0-9]+)*$/i;
+
+/**
+ * Checks a single value against its schema entry.
+ *
+ * @param {object} rule The schema entry.
+ * @param {any} value The value to check.
+ * @returns {string|null} An error message, or null when the value is valid.
+ */
+function checkValue(rule, value) {
+  switch (rule.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'integer':
+      if (!Number.isInteger(value)) return 'expected a whole number';
+      if (value < rule.min || value > rule.max) return `expected a number from ${rule.min} to ${rule.max}`;
+      return null;
+    case 'language':
+      return typeof value === 'string' && LANGUAGE_CODE.test(value) ? null : 'expected a language code';
+    case 'languages':
+      return Array.isArray(value) && value.every(code => typeof code === 'string' && LANGUAGE_CODE.test(code))
+        ? null
+        : 'expected a list of language codes';
+    default:
+      return 'unknown type';
+  }
+}
+
+/**
+ * Validates a configuration document and merges it over the defaults.
+ *
+ * @param {object} raw The parsed configuration document.
+ * @returns {{config: object, errors: string[]}} The frozen configuration and the problems found.
+ */
+export function validateConfig(raw) {
+  const errors = [];
+  const overrides = {};
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: DEFAULT_CONFIG, errors: raw == null ? [] : ['expected a JSON object'] };
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) {
+      errors.push(`${key}: unknown setting`);
+      continue;
+    }
+    const problem = checkValue(rule, value);
+    if (problem) {
+      errors.push(`${key}: ${problem}`);
+      continue;
+    }
+    overrides[key] = Array.isArray(value) ? Object.freeze([...value]) : value;
+  }
+
+  return { config: Object.freeze({ ...DEFAULT_CONFIG, ...overrides }), errors };
+}
+
+// Validated configurations per hostname, keyed on the raw KV value so a change is picked up.
+const configMemo = new Map();
+
+/**
+ * Loads the configuration of a site from KV (`config:<hostname>`), merged over the defaults.
+ *
+ * @param {any} env The environment object containing KV namespaces.
+ * @param {string} hostname The hostname of the site being served.
+ * @returns {Promise<object>} The frozen site configuration.
+ */
+export async function loadSiteConfig(env, hostname) {
+  let raw = null;
+  try {
+    raw = await getCachedKV(env, `config:${hostname}`, 300);
+  } catch (error) {
+    console.error(`Config read failed for ${hostname}: ${error.message}`);
+  }
+  if (!raw) return DEFAULT_CONFIG;
+
+  const memo = configMemo.get(hostname);
+  if (memo && memo.raw === raw) return memo.config;
+
+  let result;
+  try {
+    result = validateConfig(JSON.parse(raw));
+  } catch (error) {
+    result = { config: DEFAULT_CONFIG, errors: [`invalid JSON: ${error.message}`] };
+  }
+  result.errors.forEach(problem => console.error(`config:${hostname} ${problem}`));
+
+  configMemo.set(hostname, { raw, config: result.config });
+  return result.config;
+}
@@ -0,0 +1,167 @@
+// sitemap.js
+
+/* Sitemaps and robots.txt generated from live content: the artwork catalog (see catalog.js)
+ and the Blogger pages API.
+
+ A small site gets a single <urlset> at /sitemap.xml. When there are more URLs than fit in one
+ sitemap, /sitemap.xml becomes a sitemap index pointing at /sitemap-1.xml, /sitemap-2.xml, ...
+
+ Each URL carries its artwork image (image sitemap extension) and, when translated language
+ prefixes are configured, `hreflang` alternates for /<lang>/<path>.
+*/
+
+import { escapeXml } from './helpers.js';
+import { stripTemplateTags } from './templatehelper.js';
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_NS = 'http://www.google.com/schemas/sitemap-image/1.1';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+const newest = values => values.filter(Boolean).reduce((latest, value) => (value > latest ? value : latest), '');
+
+/**
+ * Collects the sitemap entries: the home page, the live static pages and every post.
+ *
+ * @param {object} catalog The artwork catalog.
+ * @param {object[]} [pages=[]] Items from the Blogger pages API (`url`, `updated`, `title`).
+ * @returns {Array<{path: string, lastmod: string, images: Array<{loc: string, title: string}>}>}
+ */
+export function buildSitemapEntries(catalog, pages = []) {
+  const artworks = catalog?.artworks || [];
+
+  const pageEntries = pages
+    .filter(page => page.url)
+    .map(page => ({
+      path: page.url.replace(/^https?:\/\/[^/]+/, ''),
+      lastmod: page.updated || page.published || '',
+      images: []
+    }));
+
+  const postEntries = artworks.map(artwork => ({
+    path: artwork.path,
+    lastmod: artwork.updated || artwork.published || '',
+    images: artwork.imageUrl
+      ? [{ loc: artwork.imageUrl, title: stripTemplateTags(artwork.title || '') }]
+      : []
+  }));
+
+  const home = {
+    path: '/',
+    lastmod: newest([...postEntries, ...pageEntries].map(entry => entry.lastmod)),
+    images: []
+  };
+
+  return [home, ...pageEntries, ...postEntries];
+}
+
+/**
+ * Renders one <urlset> sitemap.
+ *
+ * @param {string} origin The site origin, e.g. "https://gallery.example.com".
+ * @param {object[]} entries Entries from `buildSitemapEntries`.
+ * @param {object} [options={}]
+ * @param {string} [options.lang] The language of the unprefixed site.
+ * @param {string[]} [options.languages=[]] Translated language prefixes, e.g. `['ja', 'nl']`.
+ * @returns {string} The sitemap XML.
+ */
+export function renderUrlset(origin, entries, options = {}) {
+  const { lang, languages = [] } = options;
+  const hasAlternates = languages.length > 0;
+
+  const urls = entries.map(entry => {
+    const loc = `${origin}${entry.path}`;
+    const lines = [`    <loc>${escapeXml(loc)}</loc>`];
+    if (entry.lastmod) lines.push(`    <lastmod>${escapeXml(entry.lastmod)}</lastmod>`);
+
+    if (hasAlternates) {
+      if (lang) lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(lang)}" href="${escapeXml(loc)}"/>`);
+      languages.forEach(code => {
+        lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(code)}" href="${escapeXml(`${origin}/${code}${entry.path}`)}"/>`);
+      });
+      lines.push(`    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(loc)}"/>`);
+    }
+
+    entry.images.forEach(image => {
+      lines.push(`    <image:image>
+      <image:loc>${escapeXml(image.loc)}</image:loc>${image.title ? `
+      <image:title>${escapeXml(image.title)}</image:title>` : ''}
+    </image:image>`);
+    });
+
+    return `  <url>\n${lines.join('\n')}\n  </url>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="${SITEMAP_NS}" xmlns:image="${IMAGE_NS}"${hasAlternates ? ` xmlns:xhtml="${XHTML_NS}"` : ''}>
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Renders a sitemap index pointing at /sitemap-1.xml ... /sitemap-n.xml.
+ *
+ * @param {string} origin The site origin.
+ * @param {string[]} lastmods The newest `lastmod` of each sitemap, in order.
+ * @returns {string} The sitemap index XML.
+ */
+export function renderSitemapIndex(origin, lastmods) {
+  const sitemaps = lastmods.map((lastmod, i) => `  <sitemap>
+    <loc>${escapeXml(`${origin}/sitemap-${i + 1}.xml`)}</loc>${lastmod ? `
+    <lastmod>${escapeXml(lastmod)}</lastmod>` : ''}
+  </sitemap>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="${SITEMAP_NS}">
+${sitemaps.join('\n')}
+</sitemapindex>
+`;
+}
+
+/**
+ * Renders the sitemap for a request path: /sitemap.xml (urlset or index) or /sitemap-<n>.xml.
+ *
+ * @param {string} path The request path.
+ * @param {string} origin The site origin.
+ * @param {object[]} entries Entries from `buildSitemapEntries`.
+ * @param {object} [options={}]
+ * @param {number} [options.pageSize=1000] Maximum number of URLs per sitemap.
+ * @param {string} [options.lang] The language of the unprefixed site.
+ * @param {string[]} [options.languages=[]] Translated language prefixes.
+ * @returns {string|null} The XML, or null when the requested sitemap does not exist.
+ */
+export function renderSitemap(path, origin, entries, options = {}) {
+  const { pageSize = 1000, ...urlsetOptions } = options;
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += pageSize) {
+    chunks.push(entries.slice(i, i + pageSize));
+  }
+
+  if (path === '/sitemap.xml') {
+    return chunks.length <= 1
+      ? renderUrlset(origin, entries, urlsetOptions)
+      : renderSitemapIndex(origin, chunks.map(chunk => newest(chunk.map(entry => entry.lastmod))));
+  }
+
+  const n = parseInt(path.match(/^\/sitemap-(\d+)\.xml$/)?.[1] || '0', 10);
+  if (chunks.length <= 1 || n < 1 || n > chunks.length) return null;
+  return renderUrlset(origin, chunks[n - 1], urlsetOptions);
+}
+
+/**
+ * Renders robots.txt, pointing crawlers at the generated sitemap.
+ * Full-text search results and the JSON API are kept out of the index; label pages stay crawlable.
+ *
+ * @param {string} origin The site origin.
+ * @returns {string} The robots.txt content.
+ */
+export function renderRobotsTxt(origin) {
+  return `User-agent: *
+Disallow: /search?
+Disallow: /api/
+Disallow: /admin/
+Allow: /
+
+Sitemap: ${origin}/sitemap.xml
+`;
+}
@@ -0,0 +1,102 @@
+// socialmeta.js
+
+/* Open Graph / Twitter card tags and the canonical link.
+
+ Blogger's own tags are generic (and often point at a thumbnail), so the worker removes them
+ with SOCIAL_META_SELECTORS and appends the tags rendered by `renderSocialMeta` to the <head>.
+*/
+
+import { escapeHtml, resizeImage } from './helpers.js';
+import { stripTemplateTags } from './templatehelper.js';
+
+/** Selectors for the Blogger tags that are replaced by ours. */
+export const SOCIAL_META_SELECTORS = [
+  'meta[property^="og:"]',
+  'meta[name^="twitter:"]',
+  'link[rel="canonical"]'
+];
+
+/** Longest side (in px) of the shared image, Blogger's `s1200` size. */
+export const SOCIAL_IMAGE_SIZE = 1200;
+
+/**
+ * Computes the size of the `s1200` variant from the original aspect ratio.
+ *
+ * @param {number} [width] The original (or displayed) width.
+ * @param {number} [height] The original (or displayed) height.
+ * @returns {{width: number, height: number}|null} The scaled size, or null when unknown.
+ */
+export function socialImageSize(width, height) {
+  const w = Number(width);
+  const h = Number(height);
+  if (!(w > 0 && h > 0)) return null;
+  const scale = SOCIAL_IMAGE_SIZE / Math.max(w, h);
+  return { width: Math.round(w * scale), height: Math.round(h * scale) };
+}
+
+/**
+ * Shortens a text to a sentence-friendly description.
+ *
+ * @param {string} text The text to shorten.
+ * @param {number} [max=200] The maximum length.
+ * @returns {string} The shortened text.
+ */
+export function summarize(text, max = 200) {
+  const clean = stripTemplateTags(String(text || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ');
+  if (clean.length <= max) return clean;
+  return clean.slice(0, max - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+/**
+ * Renders the Open Graph, Twitter card and canonical tags.
+ *
+ * @param {object} meta
+ * @param {string} meta.url The canonical URL.
+ * @param {string} meta.title The page title.
+ * @param {string} [meta.description] The page description.
+ * @param {string} [meta.image] A Blogger image URL (any size, it is resized to s1200).
+ * @param {{width: number, height: number}} [meta.imageSize] The aspect ratio source of the image.
+ * @param {string} [meta.type='website'] The og:type ("article" for posts).
+ * @param {string} [meta.siteName] The site name.
+ * @param {string} [meta.lang] The page language, e.g. "nl" or "ja-JP".
+ * @returns {string} The tags as an HTML string.
+ */
+export function renderSocialMeta({ url, title, description, image, imageSize, type = 'website', siteName, lang }) {
+  const tags = [];
+  const property = (name, content) => {
+    if (content !== undefined && content !== null && content !== '') {
+      tags.push(`<meta property="${name}" content="${escapeHtml(String(content))}">`);
+    }
+  };
+  const named = (name, content) => {
+    if (content !== undefined && content !== null && content !== '') {
+      tags.push(`<meta name="${name}" content="${escapeHtml(String(content))}">`);
+    }
+  };
+
+  const cleanTitle = stripTemplateTags(title);
+  const cleanDescription = summarize(description);
+  const largeImage = image ? resizeImage(image, `s${SOCIAL_IMAGE_SIZE}`) : null;
+  const size = imageSize ? socialImageSize(imageSize.width, imageSize.height) : null;
+
+  tags.push(`<link rel="canonical" href="${escapeHtml(url)}">`);
+  property('og:type', type);
+  property('og:url', url);
+  property('og:title', cleanTitle);
+  property('og:description', cleanDescription);
+  property('og:site_name', siteName);
+  property('og:locale', lang ? lang.replace('-', '_') : null);
+  property('og:image', largeImage);
+  if (largeImage && size) {
+    property('og:image:width', size.width);
+    property('og:image:height', size.height);
+  }
+  property('og:image:alt', largeImage ? cleanTitle : null);
+
+  named('twitter:card', largeImage ? 'summary_large_image' : 'summary');
+  named('twitter:title', cleanTitle);
+  named('twitter:description', cleanDescription);
+  named('twitter:image', largeImage);
+
+  return tags.join('\n');
+}
@@ -0,0 +1,356 @@
+// streamhandlers.js
+
+/* Streaming HTMLRewriter handlers for the page pipeline.
+
+ The origin page is not read into a string: only its <head> is read up front (`readHead`), for the site
+ name, language and blog id, and the page streams from the origin through two rewriters to the client:
+   layout rewriter  builds the page around Blogger's body, with a route's own content in place of the
+                    post list (PageLayout), and writes &nbsp; as the character (replaceNbsp)
+   page rewriter    everything else, including the handlers below
+ The layout runs as a rewriter of its own because content inserted by a handler is not seen by the other
+ handlers of the same rewriter, while the site's header and footer need the page handlers (menu, site
+ name, template tags, bundling). Routes that read the page itself (the post and main page, see the
+ `readsPage` route option) still read it whole before rendering.
+
+ These handlers replace transforms that used to run as separate passes over the page string, each of
+ which parsed the whole document again (`simplifyHtml` alone ran four HTMLRewriter passes):
+   MainContentSimplifier  reduces div.main to its post list and pager
+   removeBloggerArtifacts drops Blogger widget scripts, styles and empty layout helpers
+   AssetBundler           moves inline <style> blocks of the <head> and inline scripts into one block each
+
+ Things a streaming pass cannot do: a style block in the <body> can no longer be moved into the <head>
+ bundle (the <head> has already been sent), so it stays where it is. Scripts after </body> stay as well.
+ For the same reason a {%layout%} token only adds its class to the <body> when it is in the <head> (the
+ page title), the site's layout blocks or a page read whole; elsewhere it is only removed.
+
+ Handlers that change text skip chunks an earlier handler removed (`chunk.removed`), so register
+ MainContentSimplifier before the template tag handlers.
+*/
+
+const HEAD_END = /<\/head\s*>/i;
+const MAX_HEAD_BYTES = 512 * 1024; // A page without a </head> is not read further than this
+
+/**
+ * Reads the start of a page, up to and including its </head>. The returned body streams the whole
+ * page again, from the first byte, as the rest arrives.
+ *
+ * @param {ReadableStream|null} stream The page body.
+ * @returns {Promise<{head: string, body: ReadableStream|null}>} The text read (up to at least the end of
+ *   the <head>, or the whole page when shorter) and the page body.
+ */
+export async function readHead(stream) {
+  if (!stream) return { head: '', body: null };
+
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const chunks = [];
+  let head = '';
+  let size = 0;
+  let done = false;
+
+  while (size < MAX_HEAD_BYTES) {
+    const result = await reader.read();
+    if (result.done) {
+      head += decoder.decode();
+      done = true;
+      break;
+    }
+    chunks.push(result.value);
+    size += result.value.byteLength;
+    // Look back a little, the end tag may be split between two chunks
+    const from = Math.max(0, head.length - 8);
+    head += decoder.decode(result.value, { stream: true });
+    if (HEAD_END.test(head.slice(from))) break;
+  }
+
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      if (done) controller.close();
+    },
+    async pull(controller) {
+      const { done: finished, value } = await reader.read();
+      if (finished) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return { head, body };
+}
+
+/**
+ * Builds the site's layout around Blogger's body while the page streams: the site's head content at the
+ * end of the <head>, and the header, Blogger's body wrapped in <main>, and the footer in the <body>.
+ * With `content`, a route's own content (e.g. label results) takes the place of Blogger's post list (the
+ * first div.blog-posts), and the pager and status message that belong to that list are removed; a page
+ * without a post list gets the content at the end of <main>.
+ *
+ * Register on the layout rewriter `head` for 'head' and `body` for 'body', and with `content`, `postList`
+ * for 'div.blog-posts' and `remove` for 'div.blog-pager' and for 'div.status-msg-wrapper'.
+ */
+export class PageLayout {
+  /**
+   * @param {object} layout
+   * @param {string} layout.headContent HTML added to the end of the <head>.
+   * @param {string} layout.header HTML before <main>.
+   * @param {string} layout.footer HTML after <main>.
+   * @param {string[]} [layout.bodyClasses=[]] Classes added to the <body>.
+   * @param {string|null} [layout.content=null] HTML in place of Blogger's post list.
+   */
+  constructor({ headContent, header, footer, bodyClasses = [], content = null }) {
+    this.bodyFound = false;
+    let contentPlaced = content === null;
+
+    this.head = {
+      element: el => {
+        el.onEndTag(end => {
+          end.before(`${headContent}\n`, { html: true });
+        });
+      }
+    };
+
+    // An element has one end tag handler, so the end of <main> and the fallback content share this one
+    this.body = {
+      element: el => {
+        this.bodyFound = true;
+        if (bodyClasses.length > 0) {
+          const existing = el.getAttribute('class');
+          el.setAttribute('class', existing ? `${existing} ${bodyClasses.join(' ')}` : bodyClasses.join(' '));
+        }
+        el.prepend(`\n\n${header}\n<main>\n`, { html: true });
+        el.onEndTag(end => {
+          const fallback = contentPlaced ? '' : `${content}\n`;
+          end.before(`\n${fallback}</main>\n${footer}\n\n`, { html: true });
+        });
+      }
+    };
+
+    this.postList = {
+      element: el => {
+        if (contentPlaced) return;
+        contentPlaced = true;
+        el.replace(content, { html: true });
+      }
+    };
+
+    this.remove = {
+      element: el => el.remove()
+    };
+  }
+}
+
+/**
+ * Writes `&nbsp;` as the no-break space character itself, as the pipeline always has. Text arrives in
+ * network-sized chunks, so each text node is held back until it is complete, and an entity split between
+ * two chunks is replaced as well. Register with `onDocument` on the layout rewriter.
+ *
+ * @returns {object} The document handler.
+ */
+export function replaceNbsp() {
+  let buffer = '';
+  return {
+    text(chunk) {
+      buffer += chunk.text;
+      if (!chunk.lastInTextNode) {
+        chunk.remove();
+        return;
+      }
+      chunk.replace(buffer.replace(/&nbsp;/g, '\u00A0'), { html: true });
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Reduces a container to the blocks worth keeping, e.g. div.main to div.blog-posts and div.blog-pager.
+ * The container and every element around the kept blocks are unwrapped, and text outside them removed.
+ * Register `container` for the container selector and `descendants` for '<container selector> *'.
+ */
+export class MainContentSimplifier {
+  /**
+   * @param {string[]} keepSelectors Simple `tag.class` selectors of the blocks to keep.
+   */
+  constructor(keepSelectors) {
+    this.keep = keepSelectors.map(selector => {
+      const [tag, className] = selector.split('.');
+      return { tag: tag || null, className };
+    });
+    this.keepDepth = 0; // > 0 while inside a kept block
+
+    const removeOutside = token => {
+      if (this.keepDepth === 0) token.remove();
+    };
+
+    this.container = {
+      element: el => el.removeAndKeepContent(),
+      text: removeOutside,
+      comments: removeOutside
+    };
+
+    this.descendants = {
+      element: el => {
+        if (this.keepDepth > 0) return; // Inside a kept block, left as it is
+
+        const classes = (el.getAttribute('class') || '').split(/\s+/);
+        const kept = this.keep.some(({ tag, className }) =>
+          (!tag || tag === el.tagName) && classes.includes(className));
+
+        if (kept && !el.selfClosing) {
+          this.keepDepth++;
+          el.onEndTag(() => { this.keepDepth--; });
+        } else if (!kept) {
+          // A wrapper (or a widget): drop its tags and keep looking inside for blocks to keep
+          el.removeAndKeepContent();
+        }
+      }
+    };
+  }
+}
+
+/** Blogger elements removed from every page, with an optional attribute check. */
+const BLOGGER_ARTIFACTS = [
+  { selector: 'noscript' },
+  { selector: 'link[href*="widget_css_bundle.css"]', attribute: 'href', test: /^https:\/\/www\.blogger\.com\/static\/v1\/widgets\/\d+-widget_css_bundle\.css/ },
+  { selector: 'link[href*="authorization.css"]', attribute: 'href', test: /^https:\/\/(?:www|draft)\.blogger\.com\/dyn-css\/authorization\.css\?/ },
+  { selector: 'script[src*="-widgets.js"]', attribute: 'src', test: /^https:\/\/www\.blogger\.com\/static\/v1\/widgets\/\d+-widgets\.js/ },
+  { selector: 'div.clear' },
+  { selector: 'div[style]', attribute: 'style', test: /^\s*clear:\s*both;?\s*$/ },
+  { selector: 'div#searchSection' },
+  { selector: 'div.blogger' },
+  { selector: 'div.blog-feeds' }
+];
+
+/**
+ * Registers handlers removing Blogger widget artifacts: the widget CSS bundle and scripts, <noscript>
+ * blocks, clearing divs, the search section and the feed links.
+ * Inline scripts calling _WidgetManager are dropped by `AssetBundler`.
+ *
+ * @param {HTMLRewriter} rewriter The rewriter to register the handlers on.
+ * @returns {HTMLRewriter} The rewriter, for chaining.
+ */
+export function removeBloggerArtifacts(rewriter) {
+  for (const { selector, attribute, test } of BLOGGER_ARTIFACTS) {
+    rewriter.on(selector, {
+      element(el) {
+        if (!test || test.test(el.getAttribute(attribute) || '')) el.remove();
+      }
+    });
+  }
+  return rewriter;
+}
+
+const WIDGET_MANAGER = /_WidgetManager\./;
+
+/**
+ * Rebuilds the opening tag of an element from its attributes.
+ *
+ * @param {Element} el The element.
+ * @returns {string} The opening tag.
+ */
+function openTag(el) {
+  let tag = `<${el.tagName}`;
+  for (const [name, value] of el.attributes) {
+    tag += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+  }
+  return `${tag}>`;
+}
+
+/**
+ * Collects inline styles of the <head> and inline scripts while the page streams, and writes each
+ * as one bundle: styles at the end of the <head>, scripts at the end of the <body>. Blocks added by
+ * the pipeline (`context.styles` and `context.scripts`) follow the page's own blocks.
+ *
+ * Register `head` for 'head', `body` for 'body', `styles` for 'head style' and `scripts` for
+ * 'script:not([src])'.
+ */
+export class AssetBundler {
+  /**
+   * @param {RequestContext} context The request context with the site configuration and added blocks.
+   */
+  constructor(context) {
+    const { siteConfig } = context;
+    this.pageStyles = [];
+    this.pageScripts = [];
+    this.bodyClosed = false;
+
+    let styleBuffer = '';
+    let scriptBuffer = '';
+    let scriptTag = '';
+    let bundleScript = false;
+
+    this.head = {
+      element: el => {
+        el.onEndTag(end => {
+          const styles = [...this.pageStyles, ...context.styles];
+          if (siteConfig.bundleStyles && styles.length > 0) {
+            end.before(`<style>\n/* Bundled styles */\n${styles.join('\n')}\n</style>\n`, { html: true });
+          }
+        });
+      }
+    };
+
+    this.body = {
+      element: el => {
+        el.onEndTag(end => {
+          this.bodyClosed = true;
+          const scripts = [...this.pageScripts, ...context.scripts];
+          if (siteConfig.bundleScripts && scripts.length > 0) {
+            end.before(`<script>\n/* Bundled scripts */\n${scripts.join('\n')}\n</script>\n`, { html: true });
+          }
+        });
+      }
+    };
+
+    this.styles = {
+      element: el => {
+        if (siteConfig.bundleStyles) el.removeAndKeepContent();
+      },
+      text: chunk => {
+        if (!siteConfig.bundleStyles || chunk.removed) return;
+        styleBuffer += chunk.text;
+        chunk.remove();
+        if (chunk.lastInTextNode) {
+          this.pageStyles.push(styleBuffer);
+          styleBuffer = '';
+        }
+      }
+    };
+
+    // Script text is held back until the whole block is read, so _WidgetManager calls can be dropped
+    this.scripts = {
+      element: el => {
+        scriptBuffer = '';
+        scriptTag = openTag(el);
+        // Modules and data blocks such as JSON-LD keep their own <script> element
+        const type = (el.getAttribute('type') || '').toLowerCase();
+        const isClassicScript = !type || /^(?:text|application)\/(?:java|ecma)script$/.test(type);
+        bundleScript = siteConfig.bundleScripts && !this.bodyClosed && isClassicScript;
+        el.removeAndKeepContent();
+      },
+      text: chunk => {
+        if (chunk.removed) return;
+        scriptBuffer += chunk.text;
+        if (!chunk.lastInTextNode) {
+          chunk.remove();
+          return;
+        }
+
+        const code = scriptBuffer;
+        scriptBuffer = '';
+        if (WIDGET_MANAGER.test(code)) {
+          chunk.remove();
+        } else if (bundleScript) {
+          this.pageScripts.push(code);
+          chunk.remove();
+        } else {
+          chunk.replace(`${scriptTag}${code}</script>`, { html: true });
+        }
+      }
+    };
+  }
+}
@@ -0,0 +1,135 @@
+// structureddata.js
+
+/* Builders for schema.org JSON-LD blocks.
+
+ Route handlers push the objects returned here onto `data.jsonLd`; the main pipeline
+ renders them into the <head> with `renderJsonLd`.
+*/
+
+// UN/CEFACT unit codes used by schema.org QuantitativeValue
+const UNIT_CODES = { cm: 'CMT', in: 'INH' };
+
+const quantity = (value, unit) => (value === null || value === undefined)
+  ? undefined
+  : { '@type': 'QuantitativeValue', value, unitCode: UNIT_CODES[unit] || unit };
+
+/**
+ * Removes undefined, null, empty string and empty array values so the output stays compact.
+ *
+ * @param {object} obj The object to compact.
+ * @returns {object} The compacted object.
+ */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  ));
+}
+
+/**
+ * Builds a schema.org VisualArtwork for a post page.
+ *
+ * @param {object} artwork
+ * @param {string} artwork.url The absolute URL of the post.
+ * @param {string} artwork.title The artwork title.
+ * @param {Object<string, string>} artwork.fields The parsed field values.
+ * @param {Object<string, object>} [artwork.typed] The typed field values (see fieldtypes.js).
+ * @param {string} [artwork.imageUrl] The image URL.
+ * @param {string[]} [artwork.labels] The post labels.
+ * @param {string} [artwork.description] A plain text description.
+ * @returns {object} The JSON-LD object.
+ */
+export function buildVisualArtwork({ url, title, fields = {}, typed = {}, imageUrl, labels = [], description }) {
+  const dateField = typed.date || typed.year || typed.period;
+  const dimensions = typed.dimensions;
+
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'VisualArtwork',
+    '@id': url,
+    url,
+    name: title || fields.title,
+    creator: fields.artist ? { '@type': 'Person', name: fields.artist } : undefined,
+    artMedium: fields.medium,
+    dateCreated: dateField ? dateField.start : (fields.date || fields.year),
+    image: imageUrl,
+    keywords: labels.join(', '),
+    description,
+    isPartOf: fields.series ? { '@type': 'CreativeWorkSeries', name: fields.series } : undefined,
+    width: dimensions ? quantity(dimensions.width, dimensions.unit) : undefined,
+    height: dimensions ? quantity(dimensions.height, dimensions.unit) : undefined,
+    depth: dimensions ? quantity(dimensions.depth, dimensions.unit) : undefined
+  });
+}
+
+/**
+ * Builds a schema.org CollectionPage with an ItemList for a label (collection) page.
+ *
+ * @param {object} page
+ * @param {string} page.url The absolute URL of the label page.
+ * @param {string} page.name The label name.
+ * @param {Array<{url: string, title: string, imageUrl?: string}>} page.items The artworks on the page.
+ * @param {number} [page.startPosition=1] The position of the first item (for paginated lists).
+ * @returns {object} The JSON-LD object.
+ */
+export function buildCollectionPage({ url, name, items = [], startPosition = 1 }) {
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    '@id': url,
+    url,
+    name,
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: items.length,
+      itemListElement: items.map((item, index) => ({
+        '@type': 'ListItem',
+        position: startPosition + index,
+        url: item.url,
+        name: item.title,
+        ...(item.imageUrl ? { image: item.imageUrl } : {})
+      }))
+    }
+  });
+}
+
+/**
+ * Builds a schema.org WebSite with a SearchAction pointing at the site search.
+ *
+ * @param {object} site
+ * @param {string} site.origin The site origin, e.g. "https://gallery.example.com".
+ * @param {string} site.name The site name.
+ * @param {string} [site.lang] The page language.
+ * @returns {object} The JSON-LD object.
+ */
+export function buildWebSite({ origin, name, lang }) {
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    '@id': `${origin}/`,
+    url: `${origin}/`,
+    name,
+    inLanguage: lang,
+    potentialAction: {
+      '@type': 'SearchAction',
+      target: {
+        '@type': 'EntryPoint',
+        urlTemplate: `${origin}/search?q={search_term_string}`
+      },
+      'query-input': 'required name=search_term_string'
+    }
+  });
+}
+
+/**
+ * Renders JSON-LD objects as <script type="application/ld+json"> tags.
+ * "<" is escaped so that values can never close the script element.
+ *
+ * @param {object[]} blocks The JSON-LD objects.
+ * @returns {string} The script tags, or an empty string.
+ */
+export function renderJsonLd(blocks) {
+  return blocks
+    .filter(Boolean)
+    .map(block => `<script type="application/ld+json">${JSON.stringify(block).replace(/</g, '\\u003c')}</script>`)
+    .join('\n');
+}
@@ -12,6 +12,7 @@ export class templateTagParser {
     // This single method now handles both layout tag parsing and
     // content variable/block replacements. It's a synchronous method.
     text(textChunk) {
+      if (textChunk.removed) return; // Removed by an earlier handler, e.g. MainContentSimplifier
       let content = textChunk.text;
       let replaced = false;
   
@@ -95,50 +96,20 @@ export class templateTagParser {
   
 
   /**
- * Injects CSS classes into the <body> tag based on {%tag%} tokens in the HTML string.
- * This function is designed to be called on the raw HTML content before
- * it is passed to a streaming parser like HTMLRewriter.
- * * @param {string} html The raw HTML content as a string.
- * @returns {string} The modified HTML string with classes injected and tokens removed.
+ * Collects the CSS classes for the <body> from the {%tag%} tokens in the given HTML, e.g.
+ * "custom-layout-wide" for {%wide%}. The tokens themselves are removed by templateTagParser.
+ * @param {...string} sources The HTML known before the <body> is sent: the page's <head>, the site's
+ *   layout blocks and, for pages read whole, the page.
+ * @returns {string[]} The classes, each once.
  */
-export function injectLayoutClasses(html) {
-    // Use a temporary variable for the modified content
-    let modifiedHtml = html;
-    
-    // 1. Find all {%tag%} tokens and collect the class names
-    const layoutTags = [
-    ...new Set(
-        [...modifiedHtml.matchAll(/{%([a-z]+)%}/g)].map(([, tag]) => `custom-layout-${tag}`)
-      )
-    ];
-    
-    // Remove the tokens from the HTML stream
-    modifiedHtml = modifiedHtml.replace(/{%[a-z]+%}/g, '');
-    
-    // Update the <body> tag if unique tags are found
-    if (layoutTags.length > 0) {
-       
-      modifiedHtml = modifiedHtml.replace(
-        // The regex needs to handle cases with or without attributes
-        /<body([^>]*)>/i,
-        (match, attrs) => {
-          const hasClassAttr = /\bclass\s*=\s*["'][^"']*["']/.test(attrs);
-          const newClasses = layoutTags.join(' ');
-          if (hasClassAttr) {
-            // If a class attribute already exists, append the new classes
-            return match.replace(
-              /\bclass\s*=\s*["']([^"']*)["']/,
-              (_, existing) => `class="${existing} ${newClasses}"`
-            );
-          } else {
-            // If no class attribute exists, add a new one
-            return `<body${attrs} class="${newClasses}">`;
-          }
-        }
-      );
+export function findLayoutClasses(...sources) {
+    const layoutTags = new Set();
+    for (const source of sources) {
+      for (const [, tag] of (source || '').matchAll(/{%([a-z]+)%}/g)) {
+        layoutTags.add(`custom-layout-${tag}`);
+      }
     }
-  
-    return modifiedHtml;
+    return [...layoutTags];
   }
   
 
@@ -156,8 +127,23 @@ export function injectLayoutClasses(html) {
   }
 
   
+  /**
+   * Removes {{...}} template tags and {%layout%} tokens from a plain text value.
+   *
+   * @param {string} text The text to clean.
+   * @returns {string} The cleaned, trimmed text.
+   */
+  export function stripTemplateTags(text) {
+    return (text || '')
+      .replace(/{{.*?}}/g, '')
+      .replace(/{%[a-z]+%}/g, '')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
   export class FinalCleanupHandler {
     text(text) {
+      if (text.removed) return;
       const cleaned = text.text
         .replace(/{{.*?}}/g, '')
         .replace(/{%[a-z]+%}/g, '');
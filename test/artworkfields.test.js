@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFieldSchema, fieldLabel, splitBodyLines, parseArtworkFields, artworkFromFeedEntry } from '../artworkfields.js';
+
+const schema = normalizeFieldSchema({
+  fields: [
+    { key: 'title', synonyms: ['titel'], label: { en: 'Title', nl: 'Titel' } },
+    { key: 'medium', synonyms: ['技法'], label: 'Medium' },
+    { key: 'year', type: 'date' },
+    { synonyms: ['no key'] }
+  ]
+});
+
+test('normalizeFieldSchema drops entries without a key and accepts the key as a synonym', () => {
+  assert.deepEqual(schema.fields.map(f => f.key), ['title', 'medium', 'year']);
+  assert.deepEqual(schema.fields[0].synonyms, ['title', 'titel']);
+  assert.equal(schema.fields[2].type, 'date');
+  assert.equal(schema.fields[0].type, 'text');
+});
+
+test('fieldLabel picks the page language, then the base language, then English', () => {
+  assert.equal(fieldLabel(schema, 'title', 'nl-BE'), 'Titel');
+  assert.equal(fieldLabel(schema, 'title', 'ja'), 'Title');
+  assert.equal(fieldLabel(schema, 'medium', 'nl'), 'Medium');
+  assert.equal(fieldLabel(schema, 'year', 'nl'), 'Year');
+});
+
+test('splitBodyLines splits on div and br and strips other tags', () => {
+  const { lines } = splitBodyLines('<div>Titel:&nbsp;Zee</div><div><b>Year</b>: 1960<br>A note</div>');
+  assert.deepEqual(lines, ['Titel:Zee', 'Year: 1960', 'A note']);
+});
+
+test('parseArtworkFields matches synonyms, full-width separators and keeps leftover lines', () => {
+  const result = parseArtworkFields('Titel: Zee<br>技法：油彩<br>year = 1960<br>Painted at the coast', schema);
+  assert.deepEqual(result.parsed, { title: 'Zee', medium: '油彩', year: '1960' });
+  assert.deepEqual(result.parsedRawKeys, { title: 'titel', medium: '技法', year: 'year' });
+  assert.deepEqual(result.leftoverLines, ['Painted at the coast']);
+  assert.equal(result.typed.year.type, 'date');
+});
+
+test('artworkFromFeedEntry prefers the body image and falls back to the feed title', () => {
+  const artwork = artworkFromFeedEntry({
+    id: { $t: 'tag:blogger.com,1999:blog-1.post-42' },
+    title: { $t: 'Zee' },
+    content: { $t: '<img src="https://img/full.jpg"><br>Medium: oil' },
+    link: [{ rel: 'alternate', href: 'https://example.com/2024/01/zee.html' }],
+    category: [{ term: 'paintings' }],
+    media$thumbnail: { url: 'https://img/s72-c/thumb.jpg' }
+  });
+  assert.equal(artwork.id, '42');
+  assert.equal(artwork.path, '/2024/01/zee.html');
+  assert.equal(artwork.imageUrl, 'https://img/full.jpg');
+  assert.equal(artwork.fields.title, 'Zee');
+  assert.equal(artwork.fields.medium, 'oil');
+  assert.deepEqual(artwork.labels, ['paintings']);
+});
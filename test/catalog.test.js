@@ -0,0 +1,130 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { siteFromFeed, getCatalog } from '../catalog.js';
+
+let feedRequests = [];
+let entries = [];
+
+globalThis.caches = { default: { match: async () => undefined, put: async () => {} } };
+globalThis.fetch = async url => {
+  feedRequests.push(String(url));
+  const feed = {
+    id: { $t: 'tag:blogger.com,1999:blog-4242' },
+    title: { $t: 'Gallery' },
+    subtitle: { $t: 'Paintings' },
+    openSearch$totalResults: { $t: String(entries.length) },
+    entry: entries
+  };
+  return new Response(JSON.stringify({ feed }), { headers: { 'Content-Type': 'application/json' } });
+};
+
+const entry = (id, updated) => ({
+  id: { $t: `tag:blogger.com,1999:blog-4242.post-${id}` },
+  title: { $t: `Work ${id}` },
+  published: { $t: `2024-01-0${id}T00:00:00Z` },
+  updated: { $t: updated },
+  content: { $t: 'Artist: Appel' },
+  link: [{ rel: 'alternate', href: `https://example.com/2024/01/work-${id}.html` }]
+});
+
+function createEnv() {
+  const store = new Map();
+  const puts = [];
+  return {
+    store,
+    puts,
+    GALLERY: {
+      get: async (key, type) => {
+        const value = store.get(key) ?? null;
+        return type === 'json' && value ? JSON.parse(value) : value;
+      },
+      put: async (key, value) => { puts.push(key); store.set(key, value); }
+    }
+  };
+}
+
+function createCtx() {
+  const pending = [];
+  return { pending, waitUntil: promise => pending.push(promise) };
+}
+
+beforeEach(() => {
+  feedRequests = [];
+  entries = [entry(1, '2024-01-01T00:00:00Z')];
+});
+
+test('siteFromFeed reads the blog id, title and description', () => {
+  assert.deepEqual(siteFromFeed({ id: { $t: 'tag:blogger.com,1999:blog-4242' }, title: { $t: 'Gallery' } }),
+    { blogId: '4242', title: 'Gallery', description: '' });
+  assert.deepEqual(siteFromFeed(undefined), { blogId: null, title: '', description: '' });
+});
+
+test('getCatalog builds a missing catalog once per request and stores it', async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const url = new URL('https://build.example.com/');
+  const [first, second] = await Promise.all([getCatalog(env, url, ctx), getCatalog(env, url, ctx)]);
+
+  assert.equal(first, second);
+  assert.equal(feedRequests.length, 1);
+  assert.deepEqual(first.artworks.map(a => a.id), ['1']);
+  assert.deepEqual(first.site, { blogId: '4242', title: 'Gallery', description: 'Paintings' });
+  assert.equal(JSON.parse(env.store.get('json:catalog:build.example.com')).stamp, first.stamp);
+});
+
+test('a refresh without changes stores only its time', async () => {
+  const env = createEnv();
+  const url = new URL('https://refresh.example.com/');
+  const built = await getCatalog(env, url, createCtx());
+  env.store.delete('lock:catalog:refresh.example.com');
+  env.puts.length = 0;
+
+  const ctx = createCtx();
+  assert.equal(await getCatalog(env, url, ctx, { ttlSeconds: 0 }), built);
+  await Promise.all(ctx.pending);
+
+  assert.deepEqual(env.puts, ['lock:catalog:refresh.example.com', 'json:catalog-refreshed:refresh.example.com']);
+  const refreshed = JSON.parse(env.store.get('json:catalog-refreshed:refresh.example.com'));
+  assert.equal(refreshed.stamp, built.stamp);
+  assert.ok(refreshed.refreshedAt >= built.refreshedAt);
+});
+
+test('a refresh with changes stores the merged catalog', async () => {
+  const env = createEnv();
+  const url = new URL('https://changes.example.com/');
+  const built = await getCatalog(env, url, createCtx());
+  env.store.delete('lock:catalog:changes.example.com');
+  entries = [entry(2, '2024-01-02T00:00:00Z')];
+
+  const ctx = createCtx();
+  await getCatalog(env, url, ctx, { ttlSeconds: 0 });
+  await Promise.all(ctx.pending);
+
+  const stored = JSON.parse(env.store.get('json:catalog:changes.example.com'));
+  assert.notEqual(stored.stamp, built.stamp);
+  assert.deepEqual(stored.artworks.map(a => a.id), ['2', '1']);
+});
+
+test('an outdated catalog is not updated while another request holds the lock', async () => {
+  const env = createEnv();
+  const url = new URL('https://locked.example.com/');
+  const built = await getCatalog(env, url, createCtx());
+  feedRequests = [];
+
+  // The lock taken by the build above is still held
+  const ctx = createCtx();
+  assert.equal(await getCatalog(env, url, ctx, { ttlSeconds: 0 }), built);
+  await Promise.all(ctx.pending);
+  assert.equal(feedRequests.length, 0);
+});
+
+test('the stored refresh time keeps an unchanged catalog fresh for other isolates', async () => {
+  const env = createEnv();
+  const stored = { version: 1, stamp: '100', builtAt: 100, refreshedAt: 100, latestUpdate: '', site: null, artworks: [] };
+  env.store.set('json:catalog:stored.example.com', JSON.stringify(stored));
+  env.store.set('json:catalog-refreshed:stored.example.com', JSON.stringify({ stamp: '100', refreshedAt: Date.now() }));
+
+  const catalog = await getCatalog(env, new URL('https://stored.example.com/'), createCtx());
+  assert.equal(catalog.stamp, '100');
+  assert.equal(feedRequests.length, 0);
+});
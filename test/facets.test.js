@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilters, filterDocs, computeFacets, toggleFilterUrl, renderFacets } from '../facets.js';
+
+const docs = [
+  { id: '1', labels: ['Portraits'], artist: 'Appel', medium: 'Oil', series: '', yearStart: 1962 },
+  { id: '2', labels: ['Landscapes'], artist: 'Appel', medium: 'Gouache', series: '', yearStart: 1975 },
+  { id: '3', labels: ['Portraits', 'Landscapes'], artist: 'Corneille', medium: 'Oil', series: 'Sea', yearStart: null }
+];
+
+test('parseFilters reads known facets only and drops empty and duplicate values', () => {
+  const params = new URLSearchParams('label=Portraits&label=Portraits&label=&medium=Oil&page=2&foo=bar');
+  assert.deepEqual(parseFilters(params), { label: ['Portraits'], medium: ['Oil'] });
+});
+
+test('filterDocs combines values of one facet with OR and facets with AND', () => {
+  const ids = filters => filterDocs(docs, filters).map(doc => doc.id);
+  assert.deepEqual(ids({ label: ['Portraits', 'Landscapes'] }), ['1', '2', '3']);
+  assert.deepEqual(ids({ label: ['Portraits'], medium: ['Oil'], artist: ['Corneille'] }), ['3']);
+  assert.deepEqual(ids({ decade: ['1970'] }), ['2']);
+});
+
+test('computeFacets counts disjunctively and keeps selected values without matches', () => {
+  const facets = computeFacets(docs, { medium: ['Oil'], artist: ['Nobody'] });
+  const medium = facets.find(f => f.key === 'medium');
+  // The medium counts ignore the medium selection, but not the artist one
+  assert.deepEqual(medium.values, [{ value: 'Oil', count: 0, selected: true }]);
+  const artist = facets.find(f => f.key === 'artist');
+  assert.deepEqual(artist.values.map(v => [v.value, v.count, v.selected]), [['Appel', 1, false], ['Corneille', 1, false], ['Nobody', 0, true]]);
+});
+
+test('computeFacets sorts decades chronologically and other facets by count', () => {
+  const facets = computeFacets(docs, {});
+  assert.deepEqual(facets.find(f => f.key === 'decade').values.map(v => v.value), ['1960', '1970']);
+  assert.deepEqual(facets.find(f => f.key === 'label').values.map(v => [v.value, v.count]), [['Landscapes', 2], ['Portraits', 2]]);
+});
+
+test('toggleFilterUrl adds or removes a value and resets the page', () => {
+  const url = new URL('https://example.com/browse?label=Portraits&page=3');
+  assert.equal(toggleFilterUrl(url, 'label', 'Landscapes'), '/browse?label=Portraits&label=Landscapes');
+  assert.equal(toggleFilterUrl(url, 'label', 'Portraits'), '/browse');
+});
+
+test('renderFacets escapes values and links to the toggled URL', () => {
+  const url = new URL('https://example.com/browse?medium=Oil');
+  const filters = { medium: ['Oil'] };
+  const html = renderFacets(url, computeFacets([{ labels: ['<b>'], medium: 'Oil', yearStart: 1960 }], filters), filters);
+  assert.match(html, /&lt;b&gt;/);
+  assert.match(html, /<li class="facet-value selected"><a href="\/browse" rel="nofollow" aria-current="true">Oil/);
+  assert.match(html, />1960s </);
+  assert.match(html, /<a class="facet-clear" href="\/browse">/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toFeedItem, renderAtomFeed, renderRssFeed, renderJsonFeed } from '../feeds.js';
+import { normalizeFieldSchema } from '../artworkfields.js';
+
+const schema = normalizeFieldSchema({
+  fields: [
+    { key: 'title' },
+    { key: 'artist', label: { en: 'Artist', nl: 'Kunstenaar' } },
+    { key: 'price', hidden: true }
+  ]
+});
+
+const artwork = {
+  title: 'Zee {{wide}}',
+  path: '/2024/01/zee.html',
+  imageUrl: 'https://blogger.googleusercontent.com/img/a/s1600/zee.png',
+  published: '2024-01-01T00:00:00Z',
+  updated: '2024-01-02T00:00:00Z',
+  labels: ['Oil & acrylic'],
+  fields: { title: 'Zee', artist: 'Appel', price: '1000' },
+  notes: ['Painted at the coast {%wide%}']
+};
+
+const site = { origin: 'https://example.com', title: 'Gallery', description: 'Paintings', lang: 'nl', selfUrl: 'https://example.com/atom' };
+const item = toFeedItem(artwork, { origin: site.origin, schema, lang: 'nl' }, 's1200');
+
+test('toFeedItem links to the site, strips template tags and resizes the image', () => {
+  assert.equal(item.link, 'https://example.com/2024/01/zee.html');
+  assert.equal(item.title, 'Zee');
+  assert.equal(item.image, 'https://blogger.googleusercontent.com/img/a/s1200/zee.png');
+  assert.equal(item.summary, 'Appel');
+  assert.equal(item.artist, 'Appel');
+});
+
+test('toFeedItem renders visible fields with localized labels and the notes', () => {
+  assert.match(item.contentHtml, /<li>Kunstenaar: Appel<\/li>/);
+  assert.doesNotMatch(item.contentHtml, /1000/);
+  assert.match(item.contentHtml, /<p>Painted at the coast<\/p>/);
+});
+
+test('renderAtomFeed escapes values and includes the enclosure', () => {
+  const xml = renderAtomFeed(site, [item]);
+  assert.match(xml, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom" xmlns:media="http:\/\/search.yahoo.com\/mrss\/" xml:lang="nl">/);
+  assert.match(xml, /<updated>2024-01-02T00:00:00Z<\/updated>/);
+  assert.match(xml, /<category term="Oil &amp; acrylic"\/>/);
+  assert.match(xml, /<link rel="enclosure" type="image\/png" href="https:\/\/blogger.googleusercontent.com\/img\/a\/s1200\/zee.png"\/>/);
+});
+
+test('renderRssFeed uses RFC 822 dates and the site language', () => {
+  const xml = renderRssFeed(site, [item]);
+  assert.match(xml, /<pubDate>Mon, 01 Jan 2024 00:00:00 GMT<\/pubDate>/);
+  assert.match(xml, /<language>nl<\/language>/);
+  assert.match(xml, /<guid isPermaLink="true">https:\/\/example.com\/2024\/01\/zee.html<\/guid>/);
+});
+
+test('renderJsonFeed leaves out empty values', () => {
+  const feed = JSON.parse(renderJsonFeed({ ...site, description: '', lang: '' }, [item]));
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal('description' in feed, false);
+  assert.equal('language' in feed, false);
+  assert.deepEqual(feed.items[0].tags, ['Oil & acrylic']);
+  assert.deepEqual(feed.items[0].authors, [{ name: 'Appel' }]);
+});
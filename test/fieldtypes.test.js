@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateValue, parseDimensions, parsePrice, parseTypedValue, fieldDataAttributes } from '../fieldtypes.js';
+
+test('parseDateValue reads single dates in several notations', () => {
+  assert.equal(parseDateValue('1960').value, '1960');
+  assert.equal(parseDateValue('1960-3').value, '1960-03');
+  assert.equal(parseDateValue('12-03-1960').value, '1960-03-12');
+  assert.equal(parseDateValue('1960年3月12日').value, '1960-03-12');
+  assert.equal(parseDateValue('1970s').value, '1970/1979');
+  assert.equal(parseDateValue('jaren 70').value, '1970/1979');
+  assert.equal(parseDateValue('1960年代').value, '1960/1969');
+});
+
+test('parseDateValue reads ranges, abbreviated range ends and approximate dates', () => {
+  assert.equal(parseDateValue('1960–1965').value, '1960/1965');
+  assert.equal(parseDateValue('1960-65').value, '1960/1965');
+  assert.equal(parseDateValue('1960 tot 1962').value, '1960/1962');
+  const approximate = parseDateValue('ca. 1960');
+  assert.equal(approximate.value, '1960');
+  assert.equal(approximate.approximate, true);
+  assert.equal(parseDateValue('1960頃').approximate, true);
+});
+
+test('parseDateValue does not read "en" (and) as a range', () => {
+  assert.equal(parseDateValue('1960 en 1961'), null);
+});
+
+test('parseDateValue returns null for text it does not understand', () => {
+  assert.equal(parseDateValue(''), null);
+  assert.equal(parseDateValue('unknown'), null);
+});
+
+test('parseDimensions reads height, width and depth in the configured order', () => {
+  const dims = parseDimensions('30 x 40 x 5 cm');
+  assert.deepEqual([dims.height, dims.width, dims.depth, dims.unit], [30, 40, 5, 'cm']);
+  const whd = parseDimensions('30 x 40 cm', { order: 'whd' });
+  assert.deepEqual([whd.width, whd.height], [30, 40]);
+  assert.equal(parseDimensions('30 cm'), null);
+});
+
+test('parseDimensions converts units', () => {
+  assert.deepEqual([parseDimensions('300 x 400 mm').height, parseDimensions('300 x 400 mm').unit], [30, 'cm']);
+  assert.equal(parseDimensions('300x400mm').height, 30);
+  const inches = parseDimensions('12 x 16 in');
+  assert.deepEqual([inches.height, inches.unit, inches.sourceUnit], [12, 'in', 'in']);
+  assert.equal(parseDimensions('10 x 20 in', { unit: 'cm' }).height, 25.4);
+  assert.equal(parseDimensions('12" x 16"').sourceUnit, 'in');
+});
+
+test('parseDimensions does not read the word "in" as inches', () => {
+  const dims = parseDimensions('30 x 40, painted in oil');
+  assert.equal(dims.unit, 'cm');
+  assert.equal(dims.height, 30);
+});
+
+test('parseDimensions returns the frame size separately', () => {
+  const dims = parseDimensions('30 x 40 cm (framed 50 x 60 cm)');
+  assert.equal(dims.depth, null);
+  assert.deepEqual(dims.framed, { width: 60, height: 50, depth: null });
+  assert.equal(dims.display, '30 × 40 cm (framed 50 × 60 cm)');
+  assert.deepEqual(parseDimensions('30 x 40, ingelijst 50 x 60 cm').framed, { width: 60, height: 50, depth: null });
+});
+
+test('parsePrice reads amounts in European and English notation', () => {
+  assert.deepEqual(parsePrice('€ 1.250,-'), { type: 'price', amount: 1250, currency: 'EUR' });
+  assert.deepEqual(parsePrice('$1,200.50'), { type: 'price', amount: 1200.5, currency: 'USD' });
+  assert.deepEqual(parsePrice('¥150,000'), { type: 'price', amount: 150000, currency: 'JPY' });
+  assert.deepEqual(parsePrice('CHF 900'), { type: 'price', amount: 900, currency: 'CHF' });
+});
+
+test('parsePrice uses the default currency only when none is given', () => {
+  assert.deepEqual(parsePrice('1250', { currency: 'eur' }), { type: 'price', amount: 1250, currency: 'EUR' });
+  assert.deepEqual(parsePrice('on request', { currency: 'EUR' }), { type: 'price', amount: null, currency: 'EUR' });
+});
+
+test('parsePrice leaves unknown currency codes untyped', () => {
+  assert.equal(parsePrice('NOK 1000', { currency: 'EUR' }), null);
+  assert.equal(parsePrice('1000 SEK', { currency: 'EUR' }), null);
+});
+
+test('parseTypedValue dispatches on the field type and applies overrides', () => {
+  assert.equal(parseTypedValue({ type: 'text' }, '1960'), null);
+  assert.equal(parseTypedValue({ type: 'date' }, '1960').type, 'date');
+  assert.equal(parseTypedValue({ type: 'dimensions', unit: 'cm' }, '10 x 20 in', { unit: 'cm' }).height, 25.4);
+  assert.equal(parseTypedValue({ type: 'price', currency: 'USD' }, '100').currency, 'USD');
+});
+
+test('fieldDataAttributes renders data attributes and skips empty values', () => {
+  assert.equal(fieldDataAttributes(null), '');
+  assert.equal(fieldDataAttributes(parseDateValue('ca. 1960')),
+    ' data-type="date" data-value="1960" data-start="1960" data-end="1960" data-approximate="true"');
+  assert.equal(fieldDataAttributes(parsePrice('on request')), ' data-type="price"');
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, decodeHtmlEntities } from '../helpers.js';
+
+test('decodeHtmlEntities decodes named and numeric entities', () => {
+  assert.equal(decodeHtmlEntities('Sea &amp; sky &quot;I&quot; &#39;II&#x27;'), 'Sea & sky "I" \'II\'');
+  assert.equal(decodeHtmlEntities('a&nbsp;b'), 'a b');
+});
+
+test('decodeHtmlEntities keeps unknown entities and undoes escapeHtml', () => {
+  assert.equal(decodeHtmlEntities('&copy2; &unknown; &#0;'), '&copy2; &unknown; &#0;');
+  assert.equal(decodeHtmlEntities(escapeHtml('<b> & "q" \'s\'')), '<b> & "q" \'s\'');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMenuTag, getMenuEntries, renderMenuLinks } from '../menu.js';
+
+const page = (title, path) => ({ title, url: `https://example.com${path}` });
+const titles = tree => tree.map(entry => [entry.title, entry.children.map(child => child.title)]);
+
+test('parseMenuTag reads positions, submenu positions and parents', () => {
+  assert.deepEqual(parseMenuTag(undefined), { order: Infinity, parentOrder: null, parent: null });
+  assert.deepEqual(parseMenuTag('3'), { order: 3, parentOrder: null, parent: null });
+  assert.deepEqual(parseMenuTag('3 / 2'), { order: 2, parentOrder: 3, parent: null });
+  assert.deepEqual(parseMenuTag('parent=About'), { order: Infinity, parentOrder: null, parent: 'About' });
+  assert.deepEqual(parseMenuTag('parent = About us/2'), { order: 2, parentOrder: null, parent: 'About us' });
+});
+
+test('getMenuEntries orders tagged pages and nests submenus', () => {
+  const tree = getMenuEntries({
+    items: [
+      page('Contact {{menu}}', '/p/contact.html'),
+      page('Team {{menu:parent=about}}', '/p/team.html'),
+      page('About {{menu:1}}', '/p/about.html'),
+      page('History {{menu:1/1}}', '/p/history.html'),
+      page('Hidden page', '/p/hidden.html')
+    ]
+  });
+  assert.deepEqual(titles(tree), [['About', ['History', 'Team']], ['Contact', []]]);
+  assert.equal(tree[0].url, '/p/about.html');
+});
+
+test('getMenuEntries adds the menu document and can ignore the pages', () => {
+  const menuDoc = {
+    usePages: false,
+    items: [
+      { title: 'Works', order: 1, children: [{ title: 'Portraits', label: 'Portraits & faces' }] },
+      { title: 'Shop', url: 'https://shop.example.com', order: 2 },
+      { title: 'Empty', order: 3 }
+    ]
+  };
+  const tree = getMenuEntries({ items: [page('About {{menu}}', '/p/about.html')] }, menuDoc);
+  assert.deepEqual(titles(tree), [['Works', ['Portraits']], ['Shop', []]]);
+  assert.equal(tree[0].children[0].url, '/search/label/Portraits%20%26%20faces');
+  assert.equal(tree[1].external, true);
+});
+
+test('getMenuEntries keeps entries whose parent is missing at the top level', () => {
+  const tree = getMenuEntries({ items: [page('Orphan {{menu:parent=Nowhere}}', '/p/orphan.html')] });
+  assert.deepEqual(titles(tree), [['Orphan', []]]);
+});
+
+test('getMenuEntries moves the overflow into a "More" dropdown', () => {
+  const items = ['A', 'B', 'C', 'D'].map((t, i) => page(`${t} {{menu:${i + 1}}}`, `/p/${t}.html`));
+  items.push(page('D1 {{menu:4/1}}', '/p/d1.html'));
+  const tree = getMenuEntries({ items }, { moreLabel: 'Meer' }, 3);
+  assert.deepEqual(titles(tree), [['A', []], ['B', []], ['Meer', ['C', 'D', 'D1']]]);
+  assert.equal(tree[2].url, null);
+});
+
+test('getMenuEntries falls back to the default menu', () => {
+  assert.deepEqual(getMenuEntries(null).map(entry => entry.url), ['/p/about.html', '/p/news.html', '/p/contact.html']);
+  assert.equal(getMenuEntries(null, null, 2).length, 2);
+});
+
+test('renderMenuLinks renders links, submenu toggles and escapes titles', () => {
+  const html = renderMenuLinks([
+    { title: 'A & B', url: '/a', external: false, children: [] },
+    { title: 'Works', url: null, external: false, children: [{ title: 'Shop', url: 'https://shop', external: true, children: [] }] }
+  ]);
+  assert.match(html, /^<a href="\/a" class="top-menu-item">A &amp; B<\/a>/);
+  assert.match(html, /<button type="button" class="top-menu-item submenu-toggle" aria-expanded="false" aria-controls="submenu-2">Works/);
+  assert.match(html, /<ul class="submenu" id="submenu-2" hidden><li><a href="https:\/\/shop" class="submenu-item" target="_blank" rel="noopener">Shop<\/a><\/li><\/ul>/);
+});
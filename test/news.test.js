@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml, formatNewsDate, newsItemsFromFeed, renderNewsItems, newsItemsToJson } from '../news.js';
+
+test('sanitizeHtml keeps allowed tags and attributes only', () => {
+  assert.equal(sanitizeHtml('<p class="x" style="color:red">Hi <b onclick="x()">there</b></p>'), '<p>Hi <b>there</b></p>');
+  assert.equal(sanitizeHtml('<a href="https://example.com" target="_blank">a</a>'), '<a href="https://example.com" rel="noopener">a</a>');
+  assert.equal(sanitizeHtml('<a href="/p/about.html">a</a>'), '<a href="/p/about.html">a</a>');
+  assert.equal(sanitizeHtml('<img src="https://img/x.jpg" alt=\'a "b"\' onerror="x()">'), '<img src="https://img/x.jpg" alt="a &quot;b&quot;">');
+  assert.equal(sanitizeHtml('<table><tr><td>cell</td></tr></table>'), 'cell');
+});
+
+test('sanitizeHtml removes scripts, styles and embeds with their content', () => {
+  assert.equal(sanitizeHtml('a<script>alert(1)</script>b<style>p{}</style>c<iframe src="x"></iframe>d'), 'abcd');
+  assert.equal(sanitizeHtml('a<!-- comment -->b'), 'ab');
+  assert.equal(sanitizeHtml('<svg><script>alert(1)</script></svg>'), '');
+});
+
+test('sanitizeHtml drops javascript: and other unsafe URLs', () => {
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">a</a>'), '<a>a</a>');
+  assert.equal(sanitizeHtml('<a href=" JavaScript:alert(1)">a</a>'), '<a>a</a>');
+  assert.equal(sanitizeHtml('<a href="java&#115;cript:alert(1)">a</a>'), '<a>a</a>');
+  assert.equal(sanitizeHtml('<img src="data:image/svg+xml,x">'), '<img>');
+  assert.equal(sanitizeHtml('<a/href="javascript:alert(1)">a</a>'), '<a>a</a>');
+});
+
+test('sanitizeHtml escapes a "<" that does not start a tag', () => {
+  assert.equal(sanitizeHtml('<<x>script>alert(1)<<x>/script>'), '&lt;script>alert(1)&lt;/script>');
+  assert.equal(sanitizeHtml('<scr<x>ipt>alert(1)</scr<x>ipt>'), 'ipt>alert(1)ipt>');
+  assert.equal(sanitizeHtml('<!--<p>unclosed'), '&lt;!--<p>unclosed');
+  assert.equal(sanitizeHtml('1 < 2'), '1 &lt; 2');
+});
+
+test('formatNewsDate localizes and falls back to the ISO date', () => {
+  const date = new Date('2024-03-05T12:00:00Z');
+  assert.equal(formatNewsDate(date, 'en-US'), 'March 5, 2024');
+  assert.equal(formatNewsDate(date, 'not a language!'), '2024-03-05');
+});
+
+const entries = [
+  { title: { $t: 'Old' }, published: { $t: '2024-01-01T00:00:00Z' }, content: { $t: '<p>old</p>' }, link: [{ rel: 'alternate', href: 'https://example.com/old.html' }] },
+  { title: { $t: 'New {{wide}}' }, published: { $t: '2024-02-01T00:00:00Z' }, content: { $t: '<p>Sea &amp; sky</p><img src="https://img/new.jpg"><script>x</script>' }, link: [{ rel: 'alternate', href: 'https://example.com/new.html' }] },
+  { published: { $t: '2023-12-01T00:00:00Z' }, summary: { $t: 'summary only' } }
+];
+
+test('newsItemsFromFeed sorts, filters and limits the items', () => {
+  const items = newsItemsFromFeed(entries, { since: new Date('2023-12-15'), limit: 5 });
+  assert.deepEqual(items.map(item => item.title), ['New', 'Old']);
+  assert.equal(items[0].link, '/new.html');
+  assert.equal(items[0].image, 'https://img/new.jpg');
+  assert.equal(items[0].summary, 'Sea & sky');
+  assert.doesNotMatch(items[0].content, /script/);
+  assert.deepEqual(newsItemsFromFeed(entries, { limit: 1 }).map(item => item.title), ['New']);
+  assert.equal(newsItemsFromFeed(entries).at(-1).title, 'Untitled');
+});
+
+test('renderNewsItems fills the template and escapes everything but the content', () => {
+  const [item] = newsItemsFromFeed(entries);
+  const html = renderNewsItems([{ ...item, title: 'A <b>' }], { template: '<h2>{{title}}</h2>{{content}}<span>{{summary}}</span>{{unknown}}' });
+  assert.equal(html, '<div class="news">\n<h2>A &lt;b&gt;</h2><p>Sea &amp; sky</p><img src="https://img/new.jpg"><span>Sea &amp; sky</span>{{unknown}}\n</div>');
+});
+
+test('newsItemsToJson returns plain values', () => {
+  const [json] = newsItemsToJson(newsItemsFromFeed(entries, { limit: 1 }), 'en-US');
+  assert.deepEqual(json, {
+    title: 'New',
+    url: '/new.html',
+    published: '2024-02-01T00:00:00.000Z',
+    date: 'February 1, 2024',
+    summary: 'Sea & sky',
+    image: 'https://img/new.jpg',
+    content_html: '<p>Sea &amp; sky</p><img src="https://img/new.jpg">'
+  });
+});
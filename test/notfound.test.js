@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { slugWords, slugSimilarity, suggestPosts, popularLabels, renderNotFound } from '../notfound.js';
+
+const artworks = [
+  { title: 'Blue Horse', path: '/2019/05/blue-horse.html', labels: ['Oil', 'Animals'] },
+  { title: 'Red Barn', path: '/2020/02/red-barn.html', labels: ['Oil'] },
+  { title: 'Harbour at Night', path: '/2021/07/harbour-night.html', labels: ['Ink', 'Animals'] },
+  { title: 'No link', labels: ['Oil'] }
+];
+
+test('slugWords takes the words of the last meaningful path segment', () => {
+  assert.deepEqual(slugWords('/2019/05/blue-horse.html'), ['blue', 'horse']);
+  assert.deepEqual(slugWords('/p/about.html'), ['about']);
+  assert.deepEqual(slugWords('/search/label/Zee%C3%ABn'), ['zeeën']);
+  assert.deepEqual(slugWords('/2019/05/'), []);
+  assert.deepEqual(slugWords('/%E0%A4%A/old-work.html'), ['old', 'work']);
+});
+
+test('slugSimilarity tolerates typos and changed word order', () => {
+  assert.equal(slugSimilarity('blue horse', 'blue horse'), 1);
+  assert.equal(slugSimilarity('', 'blue horse'), 0);
+  assert.ok(slugSimilarity('blu hors', 'blue horse') > 0.7);
+  assert.ok(slugSimilarity('horse blue', 'blue horse') > 0.9);
+  assert.ok(slugSimilarity('red barn', 'blue horse') < 0.35);
+});
+
+test('suggestPosts returns the closest posts by slug or title', () => {
+  const suggestions = suggestPosts(artworks, '/2019/06/blue-hors.html');
+  assert.deepEqual(suggestions.map(s => s.path), ['/2019/05/blue-horse.html']);
+  assert.equal(suggestPosts(artworks, '/wp-login.php').length, 0);
+  assert.deepEqual(suggestPosts(artworks, '/2019/05/'), []);
+  assert.deepEqual(suggestPosts(null, '/blue-horse.html'), []);
+});
+
+test('suggestPosts leaves out posts without a path and honours the limit', () => {
+  const many = Array.from({ length: 8 }, (_, i) => ({ title: `No link ${i}`, path: `/2024/01/no-link-${i}.html` }));
+  assert.equal(suggestPosts([...artworks, ...many], '/no-link.html', 3).length, 3);
+  assert.ok(suggestPosts(artworks, '/no-link.html').every(s => s.path));
+});
+
+test('popularLabels counts labels, most used first and ties alphabetically', () => {
+  assert.deepEqual(popularLabels(artworks), [
+    { label: 'Oil', count: 3 },
+    { label: 'Animals', count: 2 },
+    { label: 'Ink', count: 1 }
+  ]);
+  assert.deepEqual(popularLabels(artworks, 1), [{ label: 'Oil', count: 3 }]);
+  assert.deepEqual(popularLabels(undefined), []);
+});
+
+test('renderNotFound fills the default template and escapes the path', () => {
+  const html = renderNotFound({
+    path: '/2019/05/<b>blue-horse.html',
+    suggestions: [{ title: 'Blue & Horse', path: '/2019/05/blue-horse.html' }],
+    labels: [{ label: 'Oil paint', count: 2 }]
+  });
+  assert.match(html, /<code>\/2019\/05\/&lt;b&gt;blue-horse\.html<\/code>/);
+  assert.match(html, /<a href="\/2019\/05\/blue-horse\.html">Blue &amp; Horse<\/a>/);
+  assert.match(html, /<a href="\/search\/label\/Oil%20paint">Oil paint<\/a>/);
+  assert.match(html, /name="q" value="b blue horse"/);
+  assert.doesNotMatch(html, /{{/);
+});
+
+test('renderNotFound leaves out empty sections and keeps unknown placeholders', () => {
+  const html = renderNotFound({ template: '<p>{{ path }}</p>{{suggestions}}{{labels}}{{other}}', path: '/x' });
+  assert.equal(html, '<p>/x</p>{{other}}');
+});
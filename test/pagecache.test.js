@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pageCacheKey, matchCachedPage, matchLastGoodPage, storeCachedPage } from '../pagecache.js';
+
+const store = new Map();
+globalThis.caches = {
+  default: {
+    match: async key => store.get(key.url)?.clone(),
+    put: async (key, response) => { store.set(key.url, response); }
+  }
+};
+
+function createEnv(values = {}) {
+  return { GALLERY: { get: async key => values[key] ?? null } };
+}
+
+function createCtx() {
+  const pending = [];
+  return { pending, waitUntil: promise => pending.push(promise) };
+}
+
+async function storePage(url, html, options) {
+  const ctx = createCtx();
+  const key = pageCacheKey(new URL(url));
+  const response = storeCachedPage(new Response(html, { headers: { 'Content-Type': 'text/html' } }), key, ctx, options);
+  await response.text();
+  await Promise.all(ctx.pending);
+  return { key, response };
+}
+
+beforeEach(() => store.clear());
+
+test('pageCacheKey sorts the query and drops tracking and debug parameters', () => {
+  const key = pageCacheKey(new URL('https://example.com/search?q=sea&utm_source=x&debug=1&page=2&fbclid=y'));
+  assert.equal(key.url, 'https://example.com/__page/v1/search?page=2&q=sea');
+  assert.equal(pageCacheKey(new URL('https://example.com/')).url, 'https://example.com/__page/v1/');
+});
+
+test('storeCachedPage streams the page and stores it with an ETag and tags', async () => {
+  const { key, response } = await storePage('https://example.com/a', '<p>a</p>', { tags: ['Post:1', 'site:example.com'], freshSeconds: 60 });
+  assert.equal(response.headers.get('X-Page-Cache'), 'MISS');
+
+  const cached = store.get(key.url);
+  assert.match(cached.headers.get('ETag'), /^"[0-9a-f]{32}"$/);
+  assert.equal(cached.headers.get('Cache-Tag'), 'post:1,site:example.com');
+  assert.equal(cached.headers.get('X-Fresh-Seconds'), '60');
+});
+
+test('matchCachedPage serves a fresh entry without the bookkeeping headers', async () => {
+  const { key } = await storePage('https://example.com/b', '<p>b</p>', { freshSeconds: 60 });
+  const hit = await matchCachedPage(new Request('https://example.com/b'), key, createEnv());
+
+  assert.equal(hit.status, 200);
+  assert.equal(await hit.text(), '<p>b</p>');
+  assert.equal(hit.headers.get('X-Page-Cache'), 'HIT');
+  assert.equal(hit.headers.get('Cache-Control'), 'public, max-age=60');
+  assert.equal(hit.headers.get('X-Stored-At'), null);
+  assert.equal(hit.headers.get('Cache-Tag'), null);
+});
+
+test('matchCachedPage answers a matching If-None-Match with a 304', async () => {
+  const { key } = await storePage('https://example.com/c', '<p>c</p>');
+  const etag = store.get(key.url).headers.get('ETag');
+
+  const weak = await matchCachedPage(new Request('https://example.com/c', { headers: { 'If-None-Match': `"other", W/${etag}` } }), key, createEnv());
+  assert.equal(weak.status, 304);
+  const other = await matchCachedPage(new Request('https://example.com/c', { headers: { 'If-None-Match': '"other"' } }), key, createEnv());
+  assert.equal(other.status, 200);
+});
+
+test('matchCachedPage skips stale and purged entries', async () => {
+  const { key: staleKey } = await storePage('https://example.com/d', '<p>d</p>', { freshSeconds: 0 });
+  assert.equal(await matchCachedPage(new Request('https://example.com/d'), staleKey, createEnv()), null);
+
+  const { key } = await storePage('https://example.com/e', '<p>e</p>', { tags: ['post:pagecache-e'] });
+  const env = createEnv({ 'cachetag:post:pagecache-e': String(Date.now() + 1000) });
+  assert.equal(await matchCachedPage(new Request('https://example.com/e'), key, env), null);
+});
+
+test('matchLastGoodPage serves a stale entry without its ETag', async () => {
+  const { key } = await storePage('https://example.com/f', '<p>f</p>', { freshSeconds: 0 });
+  const page = await matchLastGoodPage(key);
+
+  assert.equal(await page.text(), '<p>f</p>');
+  assert.equal(page.headers.get('X-Page-Cache'), 'STALE');
+  assert.equal(page.headers.get('ETag'), null);
+  assert.equal(await matchLastGoodPage(pageCacheKey(new URL('https://example.com/missing'))), null);
+});
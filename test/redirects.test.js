@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileRules, loadRedirectRules, matchRedirect, redirectLocation, applyRedirects } from '../redirects.js';
+
+function createMetrics() {
+  const errors = [];
+  return { errors, error: (where, error) => errors.push(`${where}: ${error}`) };
+}
+
+function createEnv(doc) {
+  return { GALLERY: { get: async () => (doc ? JSON.stringify(doc) : null), put: async () => {} } };
+}
+
+const ctx = { waitUntil: () => {} };
+
+const doc = {
+  rules: [
+    { from: '/2019/05/old-title.html', to: '/2019/05/new-title.html' },
+    { type: 'prefix', from: '/p/old/', to: '/p/new/', status: 308 },
+    { type: 'prefix', from: '/p/old/deep/', to: '/p/deeper/' },
+    { type: 'regex', from: '^/(\\d{4})/(\\d{2})/draft-(?<slug>.+)\\.html$', to: '/$1/$2/$<slug>.html', status: 302 },
+    { from: '/catalogue', to: 'https://files.example.net/catalogue.pdf', query: false }
+  ]
+};
+
+test('compileRules leaves out invalid rules and reports them', () => {
+  const metrics = createMetrics();
+  const rules = compileRules({
+    rules: [
+      { from: '/a', to: '/b' },
+      { from: '/a', to: '/c' },
+      { from: '/x' },
+      { from: '/y', to: '/z', status: 307 },
+      { type: 'regex', from: '(', to: '/z' },
+      { type: 'glob', from: '/g*', to: '/z' }
+    ]
+  }, metrics);
+
+  assert.deepEqual(rules.all.map(rule => rule.id), ['exact:/a']);
+  assert.equal(rules.exact.get('/a').to, '/b');
+  assert.equal(metrics.errors.length, 5);
+  assert.ok(metrics.errors.every(error => error.startsWith('redirects: ')));
+  assert.deepEqual(compileRules(null, metrics).all, []);
+});
+
+test('matchRedirect checks exact, then the longest prefix, then regex rules', () => {
+  const rules = compileRules(doc, createMetrics());
+  assert.equal(matchRedirect(rules, '/2019/05/old-title.html').target, '/2019/05/new-title.html');
+  assert.equal(matchRedirect(rules, '/p/old/deep/page.html').target, '/p/deeper/page.html');
+  assert.equal(matchRedirect(rules, '/p/old/page.html').target, '/p/new/page.html');
+  assert.equal(matchRedirect(rules, '/2020/01/draft-sea.html').target, '/2020/01/sea.html');
+  assert.equal(matchRedirect(rules, '/2020/01/sea.html'), null);
+});
+
+test('redirectLocation keeps the query unless the rule drops it', () => {
+  const rules = compileRules(doc, createMetrics());
+  const url = new URL('https://example.com/p/old/a.html?view=grid&page=2');
+  assert.equal(redirectLocation(url, rules.prefix[1], '/p/new/a.html?view=list').href,
+    'https://example.com/p/new/a.html?view=list&page=2');
+
+  const catalogue = rules.exact.get('/catalogue');
+  assert.equal(redirectLocation(new URL('https://example.com/catalogue?x=1'), catalogue, catalogue.to).href,
+    'https://files.example.net/catalogue.pdf');
+});
+
+test('applyRedirects answers with the rule status and a relative Location', async () => {
+  const metrics = createMetrics();
+  const env = createEnv(doc);
+  const moved = await applyRedirects(new Request('https://apply.example.com/p/old/a.html?q=1'), env, ctx, metrics);
+  assert.equal(moved.status, 308);
+  assert.equal(moved.headers.get('Location'), '/p/new/a.html?q=1');
+
+  const draft = await applyRedirects(new Request('https://apply.example.com/2020/01/draft-sea.html'), env, ctx, metrics);
+  assert.equal(draft.status, 302);
+  assert.equal(draft.headers.get('Cache-Control'), 'no-store');
+  assert.equal(await applyRedirects(new Request('https://apply.example.com/about'), env, ctx, metrics), null);
+  assert.deepEqual(metrics.errors, []);
+});
+
+test('applyRedirects skips a rule that redirects to itself', async () => {
+  const metrics = createMetrics();
+  const env = createEnv({ rules: [{ from: '/same', to: '/same' }] });
+  assert.equal(await applyRedirects(new Request('https://self.example.com/same'), env, ctx, metrics), null);
+  assert.equal(metrics.errors.length, 1);
+});
+
+test('loadRedirectRules reports a KV outage and invalid JSON instead of throwing', async () => {
+  const metrics = createMetrics();
+  const failing = { GALLERY: { get: async () => { throw new Error('KV unavailable'); } } };
+  assert.equal(await loadRedirectRules(failing, 'outage.example.com', metrics), null);
+  assert.match(metrics.errors[0], /KV unavailable/);
+
+  const invalid = { GALLERY: { get: async () => '{not json' } };
+  assert.deepEqual((await loadRedirectRules(invalid, 'invalid.example.com', metrics)).all, []);
+  assert.equal(metrics.errors.length, 2);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareByDate, findSeriesSiblings, renderSeriesNavigation, scoreRelatedWorks, renderRelatedWorks, MIN_RELATED_WORKS } from '../relatedworks.js';
+
+const doc = (path, props = {}) => ({
+  path, title: path, image: null, year: '', labels: [], artist: '', medium: '', series: '',
+  yearStart: null, published: '2024-01-01', ...props
+});
+
+const docs = [
+  doc('/c', { series: 'Zee', yearStart: 1963, labels: ['Oil'] }),
+  doc('/a', { series: 'zée ', yearStart: 1961, labels: ['Oil'] }),
+  doc('/b', { series: 'Zee', yearStart: 1962 }),
+  doc('/x', { labels: ['Oil'], published: '2023-01-01' }),
+  doc('/lonely', { series: 'Alone', labels: ['Ink'] })
+];
+
+test('compareByDate orders by year, unknown years last, then by publication date', () => {
+  const sorted = [doc('/n', { published: '2020' }), doc('/m', { yearStart: 1990 }), doc('/o', { published: '2019' })].sort(compareByDate);
+  assert.deepEqual(sorted.map(d => d.path), ['/m', '/o', '/n']);
+});
+
+test('findSeriesSiblings finds previous and next within the series, ignoring case and accents', () => {
+  const nav = findSeriesSiblings(docs, { path: '/b', series: 'Zee', labels: ['Oil'] });
+  assert.equal(nav.kind, 'series');
+  assert.equal(nav.url, '/browse?series=Zee');
+  assert.equal(nav.previous.path, '/a');
+  assert.equal(nav.next.path, '/c');
+  assert.deepEqual(nav.items.map(d => d.path), ['/a', '/c']);
+});
+
+test('findSeriesSiblings falls back to the first shared label', () => {
+  const nav = findSeriesSiblings(docs, { path: '/x', series: 'Unknown', labels: ['Watercolour', 'Oil'] });
+  assert.equal(nav.kind, 'label');
+  assert.equal(nav.name, 'Oil');
+  assert.equal(nav.url, '/search/label/Oil');
+  assert.deepEqual([nav.previous.path, nav.next], ['/c', null]);
+});
+
+test('findSeriesSiblings returns null when the post has no siblings', () => {
+  assert.equal(findSeriesSiblings(docs, { path: '/lonely', series: 'Alone', labels: ['Ink'] }), null);
+});
+
+test('renderSeriesNavigation renders links and escapes names', () => {
+  assert.equal(renderSeriesNavigation(null), '');
+  const nav = findSeriesSiblings([doc('/a', { series: '<Zee>' }), doc('/b', { series: '<Zee>' })], { path: '/a', series: '<Zee>' });
+  const html = renderSeriesNavigation(nav);
+  assert.match(html, /aria-label="&lt;Zee&gt;"/);
+  assert.match(html, /<span class="series-prev disabled"><\/span>/);
+  assert.match(html, /<a class="series-next" rel="next" href="\/b">/);
+});
+
+test('scoreRelatedWorks ranks shared artist, medium, labels and period, newest first on ties', () => {
+  const current = { path: '/p', fields: { artist: 'Appel', medium: 'Oil' }, labels: ['Portraits'], yearStart: 1960 };
+  const related = scoreRelatedWorks([
+    doc('/p', { artist: 'Appel' }),
+    doc('/medium', { medium: 'oil' }),
+    doc('/artist', { artist: 'Appél', yearStart: 1963 }),
+    doc('/label', { labels: ['Portraits'], published: '2024-06-01' }),
+    doc('/none', { yearStart: 1990 })
+  ], current, { minimum: 1 });
+  assert.deepEqual(related.map(r => [r.doc.path, r.score]), [['/artist', 4.5], ['/label', 2], ['/medium', 2]]);
+});
+
+test('scoreRelatedWorks fills up with the nearest years and honours exclude', () => {
+  const current = { path: '/p', fields: { artist: 'Appel' }, yearStart: 1960 };
+  const related = scoreRelatedWorks([
+    doc('/artist', { artist: 'Appel' }),
+    doc('/far', { yearStart: 1999 }),
+    doc('/near', { yearStart: 1970 }),
+    doc('/unknown'),
+    doc('/shown', { artist: 'Appel' })
+  ], current, { minimum: 3, exclude: ['/shown'] });
+  assert.deepEqual(related.map(r => r.doc.path), ['/artist', '/near', '/far']);
+});
+
+test('renderRelatedWorks needs at least MIN_RELATED_WORKS works', () => {
+  const works = Array.from({ length: MIN_RELATED_WORKS }, (_, i) => doc(`/w${i}`));
+  assert.equal(renderRelatedWorks(works.slice(1)), '');
+  assert.match(renderRelatedWorks(works), /<section class="related-works">/);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePattern, Router } from '../router.js';
+
+const matches = (pattern, path) => {
+  const { regex, names } = compilePattern(pattern);
+  const found = path.match(regex);
+  return found ? Object.fromEntries(names.map((name, i) => [name, found[i + 1]])) : null;
+};
+
+test('compilePattern matches literal paths exactly', () => {
+  assert.deepEqual(matches('/browse', '/browse'), {});
+  assert.equal(matches('/browse', '/browse/'), null);
+  assert.equal(matches('/p/home.html', '/p/homexhtml'), null);
+});
+
+test('compilePattern reads named parameters, with and without a regex', () => {
+  assert.deepEqual(matches('/search/label/:label', '/search/label/Oil%20paint'), { label: 'Oil%20paint' });
+  assert.equal(matches('/search/label/:label', '/search/label/a/b'), null);
+  assert.deepEqual(matches('/:year(\\d{4})/:month(\\d{2})/:slug.html', '/2024/01/my.work.html'), { year: '2024', month: '01', slug: 'my.work' });
+  assert.equal(matches('/:year(\\d{4})/:month(\\d{2})/:slug.html', '/24/01/work.html'), null);
+  assert.deepEqual(matches('/:kind((?:a|b)+)', '/abba'), { kind: 'abba' });
+});
+
+test('compilePattern supports optional groups and wildcards', () => {
+  const sitemap = '/sitemap{-:n(\\d+)}?.xml';
+  assert.deepEqual(matches(sitemap, '/sitemap.xml'), { n: undefined });
+  assert.deepEqual(matches(sitemap, '/sitemap-12.xml'), { n: '12' });
+  assert.equal(matches(sitemap, '/sitemap-x.xml'), null);
+  assert.deepEqual(matches('/files/*', '/files/a/b.jpg'), { wildcard: 'a/b.jpg' });
+  assert.deepEqual(matches('*', '/anything'), { wildcard: '/anything' });
+});
+
+test('compilePattern rejects invalid parameters', () => {
+  assert.throws(() => compilePattern('/:1'), /Invalid parameter in route pattern "\/:1"/);
+});
+
+test('Router.add fills in the route options', () => {
+  const [route] = new Router().add(['/atom', '/rss'], () => {}, { assets: false, methods: ['post'] }).routes;
+  assert.equal(route.name, '/atom');
+  assert.equal(route.patterns.length, 2);
+  assert.equal(route.pageClass, 'unknown-page');
+  assert.deepEqual(route.methods, ['POST']);
+  assert.equal(route.assets, null);
+  assert.equal(route.cacheSeconds, null);
+  assert.equal(new Router().add('/', () => {}, { pageClass: 'main-page' }).routes[0].assets, 'main-page');
+});
+
+test('Router.match returns the first route matching method, query and path', () => {
+  const router = new Router()
+    .add('/search', () => 'full', { query: ['q'] })
+    .add('/search/label/:label', () => 'label')
+    .add('/admin/purge', () => 'purge', { methods: ['POST'] })
+    .add('*', () => 'any');
+  const handle = (method, path) => router.match(method, new URL(`https://example.com${path}`)).route.handler();
+
+  assert.equal(handle('GET', '/search?q=oil'), 'full');
+  assert.equal(handle('GET', '/search'), 'any');
+  assert.equal(handle('head', '/search/label/Oil'), 'label');
+  assert.equal(handle('POST', '/admin/purge'), 'purge');
+  assert.equal(handle('GET', '/admin/purge'), 'any');
+  assert.equal(new Router().add('/x', () => {}).match('GET', new URL('https://example.com/y')), null);
+});
+
+test('Router.match decodes parameters and keeps malformed ones as they are', () => {
+  const router = new Router().add('/search/label/:label', () => {});
+  const params = path => router.match('GET', new URL(`https://example.com${path}`)).params;
+  assert.deepEqual(params('/search/label/Oil%20%26%20acrylic'), { label: 'Oil & acrylic' });
+  assert.deepEqual(params('/search/label/100%25%E0'), { label: '100%25%E0' });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText, buildSearchIndex, parseQuery, searchIndex, highlight, suggest } from '../search.js';
+
+const index = buildSearchIndex([
+  {
+    id: '1', title: 'Zee {{wide}}', path: '/zee.html', imageUrl: null, published: '2024-01-01',
+    fields: { artist: 'Karel Appél', medium: 'oil on canvas', year: '1960' },
+    typed: { year: { start: '1960', end: '1960' } }, labels: ['paintings'], notes: ['Painted at the coast']
+  },
+  {
+    id: '2', title: 'Vogel', path: '/vogel.html', imageUrl: null, published: '2024-02-01',
+    fields: { artist: 'Corneille', medium: 'gouache', year: '1970s' },
+    typed: { year: { start: '1970', end: '1979' } }, labels: ['works on paper'], notes: []
+  },
+  {
+    id: '3', title: 'Zeegezicht', path: '/zeegezicht.html', imageUrl: null, published: '2024-03-01',
+    fields: {}, typed: {}, labels: ['paintings'], notes: []
+  }
+]);
+
+test('normalizeText lowercases and strips diacritics', () => {
+  assert.equal(normalizeText('Appél ÇA'), 'appel ca');
+  assert.equal(normalizeText(null), '');
+});
+
+test('buildSearchIndex strips template tags and reads the year range', () => {
+  assert.equal(index.docs[0].title, 'Zee');
+  assert.deepEqual([index.docs[1].yearStart, index.docs[1].yearEnd], [1970, 1979]);
+  assert.equal(index.docs[2].yearStart, null);
+});
+
+test('parseQuery reads free terms, phrases and field-scoped terms', () => {
+  assert.deepEqual(parseQuery('zee "Karel Appel" artist:Appél tags:paintings'), {
+    terms: ['zee', 'karel appel'],
+    fields: { artist: ['appel'], label: ['paintings'] },
+    year: null
+  });
+});
+
+test('parseQuery reads years and open year ranges', () => {
+  assert.deepEqual(parseQuery('year:1960').year, { from: 1960, to: 1960 });
+  assert.deepEqual(parseQuery('year:1960..1970').year, { from: 1960, to: 1970 });
+  assert.deepEqual(parseQuery('date:..1970').year, { from: -Infinity, to: 1970 });
+  assert.deepEqual(parseQuery('year:1960..').year, { from: 1960, to: Infinity });
+});
+
+test('parseQuery treats unknown fields and invalid years as text', () => {
+  assert.deepEqual(parseQuery('http://x').terms, ['http://x']);
+  assert.deepEqual(parseQuery('year:sixties'), { terms: ['year:sixties'], fields: {}, year: null });
+  assert.deepEqual(parseQuery('  '), { terms: [], fields: {}, year: null });
+});
+
+test('searchIndex requires every term and ranks whole words first', () => {
+  const ids = query => searchIndex(index, parseQuery(query)).map(r => r.doc.id);
+  assert.deepEqual(ids('zee'), ['1', '3']);
+  assert.deepEqual(ids('zee coast'), ['1']);
+  assert.deepEqual(ids('artist:corneille'), ['2']);
+  assert.deepEqual(ids('year:1975'), ['2']);
+  assert.deepEqual(ids('year:..1965 label:paintings'), ['1']);
+  assert.deepEqual(ids(''), []);
+});
+
+test('highlight escapes the text and marks matches regardless of diacritics', () => {
+  assert.equal(highlight('Karel Appél <b>', ['appel']), 'Karel <mark>Appél</mark> &lt;b&gt;');
+  assert.equal(highlight('a & b', []), 'a &amp; b');
+});
+
+test('suggest returns artworks (newest first on ties), labels and pages matching every term', () => {
+  const result = suggest(index, 'paint', { pages: [{ title: 'Paintings for sale', url: '/p/sale.html' }] });
+  assert.deepEqual(result.artworks.map(a => a.url), ['/zeegezicht.html', '/zee.html']);
+  assert.deepEqual(result.labels, [{ name: 'paintings', count: 2, url: '/search/label/paintings' }]);
+  assert.deepEqual(result.pages.map(p => p.url), ['/p/sale.html']);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, validateConfig, loadSiteConfig } from '../siteconfig.js';
+
+const kvEnv = values => ({ GALLERY: { get: async key => values[key] ?? null } });
+
+test('validateConfig merges valid settings over the defaults', () => {
+  const { config, errors } = validateConfig({ maxMenuEntries: 6, language: 'nl', translatedLanguages: ['ja', 'en-GB'] });
+  assert.deepEqual(errors, []);
+  assert.equal(config.maxMenuEntries, 6);
+  assert.equal(config.language, 'nl');
+  assert.deepEqual(config.translatedLanguages, ['ja', 'en-GB']);
+  assert.equal(config.labelPageSize, DEFAULT_CONFIG.labelPageSize);
+  assert.ok(Object.isFrozen(config));
+  assert.ok(Object.isFrozen(config.translatedLanguages));
+});
+
+test('validateConfig ignores unknown keys and invalid values', () => {
+  const { config, errors } = validateConfig({
+    debug: 'yes',
+    maxMenuEntries: 50,
+    labelPageSize: 1.5,
+    language: 'Dutch!',
+    translatedLanguages: 'ja',
+    colour: 'red'
+  });
+  assert.deepEqual(errors, [
+    'debug: expected true or false',
+    'maxMenuEntries: expected a number from 1 to 20',
+    'labelPageSize: expected a whole number',
+    'language: expected a language code',
+    'translatedLanguages: expected a list of language codes',
+    'colour: unknown setting'
+  ]);
+  assert.deepEqual(config, DEFAULT_CONFIG);
+});
+
+test('validateConfig rejects documents that are not an object', () => {
+  assert.deepEqual(validateConfig(null), { config: DEFAULT_CONFIG, errors: [] });
+  assert.deepEqual(validateConfig([1]).errors, ['expected a JSON object']);
+});
+
+test('loadSiteConfig reads the site document and falls back to the defaults', async () => {
+  const env = kvEnv({
+    'config:a.example.com': '{"labelPageSize": 36}',
+    'config:broken.example.com': '{not json'
+  });
+  assert.equal((await loadSiteConfig(env, 'a.example.com')).labelPageSize, 36);
+  assert.equal(await loadSiteConfig(env, 'none.example.com'), DEFAULT_CONFIG);
+
+  const errors = [];
+  const consoleError = console.error;
+  console.error = message => errors.push(message);
+  try {
+    assert.equal(await loadSiteConfig(env, 'broken.example.com'), DEFAULT_CONFIG);
+  } finally {
+    console.error = consoleError;
+  }
+  assert.match(errors[0], /^config:broken.example.com invalid JSON/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSitemapEntries, renderUrlset, renderSitemap, renderRobotsTxt } from '../sitemap.js';
+
+const catalog = {
+  artworks: [
+    { path: '/2024/02/b.html', title: 'B {{wide}}', updated: '2024-02-02', imageUrl: 'https://img/b.jpg' },
+    { path: '/2024/01/a.html', title: 'A', published: '2024-01-01', imageUrl: null }
+  ]
+};
+const pages = [{ url: 'https://example.com/p/about.html', updated: '2024-03-01' }, { title: 'No url' }];
+const entries = buildSitemapEntries(catalog, pages);
+
+test('buildSitemapEntries lists the home page, the static pages and the posts', () => {
+  assert.deepEqual(entries.map(e => [e.path, e.lastmod]), [
+    ['/', '2024-03-01'],
+    ['/p/about.html', '2024-03-01'],
+    ['/2024/02/b.html', '2024-02-02'],
+    ['/2024/01/a.html', '2024-01-01']
+  ]);
+  assert.deepEqual(entries[2].images, [{ loc: 'https://img/b.jpg', title: 'B' }]);
+});
+
+test('renderUrlset adds hreflang alternates for translated languages', () => {
+  const xml = renderUrlset('https://example.com', entries.slice(0, 1), { lang: 'nl', languages: ['ja'] });
+  assert.match(xml, /xmlns:xhtml="http:\/\/www.w3.org\/1999\/xhtml"/);
+  assert.match(xml, /hreflang="nl" href="https:\/\/example.com\/"/);
+  assert.match(xml, /hreflang="ja" href="https:\/\/example.com\/ja\/"/);
+  assert.match(xml, /hreflang="x-default" href="https:\/\/example.com\/"/);
+  assert.doesNotMatch(renderUrlset('https://example.com', entries), /xhtml/);
+});
+
+test('renderSitemap returns one urlset for a small site', () => {
+  const xml = renderSitemap('/sitemap.xml', 'https://example.com', entries);
+  assert.match(xml, /^<\?xml[^>]*>\n<urlset /);
+  assert.equal(xml.match(/<url>/g).length, 4);
+  assert.equal(renderSitemap('/sitemap-1.xml', 'https://example.com', entries), null);
+});
+
+test('renderSitemap splits a large site behind a sitemap index', () => {
+  const index = renderSitemap('/sitemap.xml', 'https://example.com', entries, { pageSize: 3 });
+  assert.match(index, /<sitemapindex /);
+  assert.match(index, /<loc>https:\/\/example.com\/sitemap-2.xml<\/loc>\n    <lastmod>2024-01-01<\/lastmod>/);
+  assert.equal(renderSitemap('/sitemap-2.xml', 'https://example.com', entries, { pageSize: 3 }).match(/<url>/g).length, 1);
+  assert.equal(renderSitemap('/sitemap-3.xml', 'https://example.com', entries, { pageSize: 3 }), null);
+});
+
+test('renderRobotsTxt points at the sitemap', () => {
+  assert.match(renderRobotsTxt('https://example.com'), /\nSitemap: https:\/\/example.com\/sitemap.xml\n$/);
+});
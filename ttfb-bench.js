@@ -0,0 +1,200 @@
+// ttfb-bench.js
+
+/* Time-to-first-byte benchmark of the gallery site worker.
+
+ Runs the worker under Node with the real HTMLRewriter (lol-html, from @miniflare/html-rewriter) against
+ a simulated origin that sends a 130 KB page of 20 posts in 8 KB chunks: 120 ms to the headers and about
+ 375 ms to the last byte. The Blogger feed, pages API and GitHub template answer after 40 ms; KV reads and
+ the Cloudflare cache take a few milliseconds. The page cache is never written, so every run goes through
+ the whole pipeline; run #0 is cold (empty KV and memory caches), the later runs are warm.
+
+   npm run bench:ttfb                              # the default paths
+   npm run bench:ttfb -- /p/about.html /search/label/Oil
+   npm run bench:ttfb -- --runs 8 /
+
+ To compare with an earlier commit, check it out in a worktree (with this repo's node_modules linked in)
+ and point --worker at its worker:
+
+   git worktree add ../gallery-base <commit>
+   ln -s "$PWD/node_modules" ../gallery-base/node_modules
+   npm run bench:ttfb -- --worker ../gallery-base/gallery-site-worker.js
+   git worktree remove ../gallery-base
+
+ Before commit ae2cbcc, helpers.js imports the memory cache from the deployed bundle's './worker.js';
+ point it at the worker first (in the worktree): sed -i "s#'./worker.js'#'./gallery-site-worker.js'#" helpers.js
+*/
+
+import { HTMLRewriter } from '@miniflare/html-rewriter';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PATHS = ['/', '/p/about.html', '/search/label/Oil', '/search?q=oil', '/2024/01/work-1.html'];
+const ORIGIN_HEADERS_MS = 120; // Origin time to the response headers
+const API_MS = 40; // Feed, pages API and GitHub time to the response
+const CHUNK_BYTES = 8192;
+const CHUNK_GAP_MS = 15;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseArgs(argv) {
+  const options = { worker: './gallery-site-worker.js', runs: 4, paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--worker') options.worker = argv[++i];
+    else if (argv[i] === '--runs') options.runs = Math.max(1, Number(argv[++i]) || 1);
+    else options.paths.push(argv[i]);
+  }
+  if (!options.paths.length) options.paths = DEFAULT_PATHS;
+  return options;
+}
+
+// --- Simulated origin ---
+
+const css = Array.from({ length: 1500 }, (_, i) => `.w${i} { margin: ${i}px; }`).join('\n');
+
+const post = i => `<div class="date-outer"><div class="date-posts"><div class="post-outer"><div class="post hentry">` +
+  `<meta content='4242' itemprop='blogId'/><meta content='${900 + i}' itemprop='postId'/>` +
+  `<h3 class="post-title entry-title"><a href="/2024/01/work-${i}.html">Work ${i}</a></h3>` +
+  `<div class="post-body entry-content"><div class="separator"><a href="https://bp.blogspot.com/a/s1600/x${i}.jpg">` +
+  `<img src="https://bp.blogspot.com/a/s320/x${i}.jpg" width="320" height="240"></a></div>` +
+  `Artist: Jan&nbsp;Jansen<br>Medium: Oil on canvas<br>Dimensions: 30 x 40 cm<br>Year: 2019<br>` +
+  `${'A longer note about {{sitename}} the work. '.repeat(60)}</div>` +
+  `<div class="post-footer"><span class="post-labels"><a href="/search/label/Oil">Oil</a>, ` +
+  `<a href="/search/label/Portrait">Portrait</a></span></div></div></div></div></div>`;
+
+const page = postCount => `<!DOCTYPE html><html lang="en" data-sitename="Test Gallery"><head><meta charset="UTF-8">` +
+  `<link rel="service.post" type="application/atom+xml" href="https://www.blogger.com/feeds/4242/posts/default">` +
+  `<meta name="description" content="A gallery"><title>Test Gallery</title>` +
+  `<link href="https://www.blogger.com/static/v1/widgets/1-widget_css_bundle.css" rel="stylesheet">` +
+  `<style>${css}</style><script>var x = 1;</script></head><body><div class="content"><div class="main">` +
+  `<div class="widget Blog"><div class="blog-posts hfeed">${Array.from({ length: postCount }, (_, i) => post(i)).join('\n')}</div>` +
+  `<div class="blog-pager"><a href="?page=2">Older</a></div></div></div>` +
+  `<div class="sidebar">${'<div class="widget"><h2>Widget</h2><ul><li>item</li></ul></div>'.repeat(40)}</div></div>` +
+  `<script>_WidgetManager._Init();</script><noscript>no</noscript></body></html>`;
+
+function slowBody(text) {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      if (offset >= bytes.length) return controller.close();
+      await sleep(CHUNK_GAP_MS);
+      controller.enqueue(bytes.slice(offset, offset += CHUNK_BYTES));
+    }
+  });
+}
+
+const feed = {
+  feed: {
+    id: { $t: 'tag:blogger.com,1999:blog-4242' },
+    title: { $t: 'Test Gallery' },
+    subtitle: { $t: 'Works' },
+    openSearch$totalResults: { $t: '1' },
+    entry: [{
+      id: { $t: 'tag:blogger.com,1999:blog-4242.post-900' },
+      title: { $t: 'Work 1' },
+      published: { $t: '2024-01-01T00:00:00Z' },
+      updated: { $t: '2024-01-02T00:00:00Z' },
+      content: { $t: 'Artist: Jan<br>Medium: Oil<br><img src="https://bp.blogspot.com/a/s1600/x.jpg">' },
+      link: [{ rel: 'alternate', href: 'https://bench.example.com/2024/01/work-1.html' }],
+      category: [{ term: 'Oil' }]
+    }]
+  }
+};
+
+async function originFetch(request) {
+  const url = typeof request === 'string' ? request : request.url;
+  await sleep(API_MS);
+  if (url.includes('/feeds/')) {
+    return new Response(JSON.stringify(feed), { headers: { 'Content-Type': 'application/json' } });
+  }
+  if (url.includes('googleapis.com')) {
+    const items = [{ title: 'About', url: 'https://bench.example.com/p/about.html', updated: '2024-01-01' }];
+    return new Response(JSON.stringify({ items }), { headers: { 'Content-Type': 'application/json' } });
+  }
+  if (url.includes('githubusercontent.com')) {
+    return new Response('body { color: red; }');
+  }
+
+  await sleep(ORIGIN_HEADERS_MS - API_MS);
+  const missing = /missing|browse/.test(url);
+  return new Response(slowBody(page(missing ? 0 : 20)), {
+    status: missing ? 404 : 200,
+    headers: { 'Content-Type': 'text/html; charset=UTF-8' }
+  });
+}
+
+function createEnvironment() {
+  const cache = new Map();
+  const kv = new Map([
+    ['html:header', '<header><div class="logo-section"></div><div class="nav-section collapsible-menu"></div></header>'],
+    ['html:footer', '<footer>Footer {{sitename}}</footer>'],
+    ['css:style', 'main { display: block; }']
+  ]);
+
+  globalThis.HTMLRewriter = HTMLRewriter;
+  globalThis.fetch = originFetch;
+  globalThis.caches = {
+    default: {
+      match: async key => { await sleep(2); return cache.get(key.url)?.clone(); },
+      put: async (key, response) => { if (!key.url.includes('/__page/')) cache.set(key.url, response); }
+    }
+  };
+
+  const env = {
+    BLOGGER_API_KEY: 'bench',
+    GALLERY: {
+      get: async (key, type) => {
+        await sleep(3);
+        const value = kv.get(key) ?? null;
+        return type === 'json' && value ? JSON.parse(value) : value;
+      },
+      put: async (key, value) => { kv.set(key, value); }
+    }
+  };
+  const pending = [];
+  const ctx = { pending, waitUntil: promise => pending.push(promise) };
+  return { env, ctx };
+}
+
+// --- Benchmark ---
+
+async function measure(worker, path, env, ctx) {
+  const started = performance.now();
+  const response = await worker.fetch(new Request(`https://bench.example.com${path}`), env, ctx);
+  const reader = response.body.getReader();
+  let ttfb = null;
+  let bytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    ttfb ??= performance.now() - started;
+    bytes += value.length;
+  }
+  const total = performance.now() - started;
+  await Promise.allSettled(ctx.pending.splice(0));
+  return { status: response.status, ttfb, total, bytes };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { env, ctx } = createEnvironment();
+  const worker = (await import(pathToFileURL(resolve(options.worker)).href)).default;
+
+  const log = console.log;
+  console.log = () => {}; // The worker's per-request log lines
+  for (const path of options.paths) {
+    const runs = [];
+    for (let run = 0; run < options.runs; run++) {
+      runs.push(await measure(worker, path, env, ctx));
+    }
+    const warm = runs.slice(1).map(r => r.ttfb);
+    log(path);
+    runs.forEach((r, i) => log(`  #${i} ${r.status} ttfb=${r.ttfb?.toFixed(0)} ms total=${r.total.toFixed(0)} ms ${r.bytes} bytes`));
+    if (warm.length) log(`  warm TTFB ${Math.min(...warm).toFixed(0)}-${Math.max(...warm).toFixed(0)} ms`);
+  }
+}
+
+main().then(() => process.exit(0), error => {
+  console.error(error);
+  process.exit(1);
+});